@@ -0,0 +1,242 @@
+/**
+ * Achievements Module
+ * Checks each completed workout against a catalog of personal records and
+ * badges, and keeps what the user has earned: in the cache, plus a copy on
+ * the Firestore users doc (users/{uid}.achievements) for account users.
+ *
+ * State:
+ *   {
+ *     records: { longestRun: { value, workoutId, date }, ... },
+ *     badges: { first5k: { unlockedAt, workoutId }, ... },
+ *     totals: { acorn: 12, ... },        // collectibles gathered over all workouts
+ *     trailsFinished: [videoId, ...],
+ *     workoutDays: ['2026-10-19', ...],   // local dates with a workout
+ *     updatedAt
+ *   }
+ *
+ * A record's first value is set quietly; only beating it counts as new.
+ */
+
+class Achievements {
+    constructor(cacheManager = null, authManager = null) {
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.cacheKey = 'achievements';
+        this.state = Achievements.emptyState();
+    }
+
+    /**
+     * State before any workout
+     */
+    static emptyState() {
+        return { records: {}, badges: {}, totals: {}, trailsFinished: [], workoutDays: [], updatedAt: 0 };
+    }
+
+    /**
+     * Load the current user's achievements
+     * Account users get the newer of the cached and Firestore copies
+     */
+    async load() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        this.state = (this.cache ? this.cache.get(this.getKey(user), 'localData') : null) || Achievements.emptyState();
+        
+        if (user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                const doc = await window.firebaseApp.db.collection('users').doc(user.uid).get();
+                const remote = doc.exists ? doc.data().achievements : null;
+                if (remote && remote.updatedAt > this.state.updatedAt) {
+                    this.state = { ...Achievements.emptyState(), ...remote };
+                    this.saveLocal(user);
+                }
+            } catch (error) {
+                console.error('Error loading achievements:', error);
+            }
+        }
+        
+        return this.state;
+    }
+
+    /**
+     * Check a workout without keeping anything
+     * context: { samples (its time series), trailIds (every trail in the library) }
+     * Returns { records, badges, state }: records beaten and badges unlocked
+     * by this workout, and the state to keep if it's saved (see commit())
+     */
+    evaluate(summary, { samples = [], trailIds = [] } = {}) {
+        const state = JSON.parse(JSON.stringify(this.state));
+        const date = new Date(summary.endedAt || Date.now());
+        const day = Achievements.localDay(date);
+        const workoutId = summary.id;
+        
+        // Running totals the badges look at
+        Object.entries(summary.gathered).forEach(([type, count]) => {
+            state.totals[type] = (state.totals[type] || 0) + count;
+        });
+        state.trailsFinished = [...new Set([...state.trailsFinished, ...(summary.trailsFinished || [])])];
+        if (!state.workoutDays.includes(day)) {
+            state.workoutDays = [...state.workoutDays, day].sort().slice(-Achievements.maxDays);
+        }
+        
+        const records = [];
+        Achievements.records.forEach(rule => {
+            const value = rule.measure(summary, samples);
+            if (value === null) return;
+            
+            const previous = state.records[rule.id];
+            if (previous && !(rule.lowerIsBetter ? value < previous.value : value > previous.value)) return;
+            
+            state.records[rule.id] = { value, workoutId, date: date.getTime() };
+            if (previous) {
+                records.push({ ...rule, value, previous: previous.value });
+            }
+        });
+        
+        const badges = [];
+        Achievements.badges.forEach(rule => {
+            if (state.badges[rule.id] || !rule.check({ summary, state, day, trailIds })) return;
+            state.badges[rule.id] = { unlockedAt: date.getTime(), workoutId };
+            badges.push(rule);
+        });
+        
+        state.updatedAt = Date.now();
+        return { records, badges, state };
+    }
+
+    /**
+     * Keep the result of evaluate() (when its workout is saved)
+     */
+    async commit(result) {
+        this.state = result.state;
+        this.saveLocal();
+        
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        if (!user || this.auth.isGuestUser() || !window.firebaseApp?.db) return;
+        
+        try {
+            await window.firebaseApp.db.collection('users').doc(user.uid).set(
+                { achievements: this.state },
+                { merge: true }
+            );
+        } catch (error) {
+            console.error('Error saving achievements:', error);
+        }
+    }
+
+    /**
+     * Write the state to the cache
+     */
+    saveLocal(user = this.auth ? this.auth.getCurrentUser() : null) {
+        if (this.cache) {
+            this.cache.set(this.getKey(user), this.state, 'localData');
+        }
+    }
+
+    /**
+     * Cache key for the user's achievements (guests share one local slot)
+     */
+    getKey(user) {
+        return user && !user.isGuest ? `${this.cacheKey}_${user.uid}` : this.cacheKey;
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD
+     */
+    static localDay(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${date.getDate().toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Days in a row with a workout, ending on day (YYYY-MM-DD)
+     */
+    static getStreak(workoutDays, day) {
+        const [year, month, date] = day.split('-').map(Number);
+        let streak = 0;
+        while (workoutDays.includes(Achievements.localDay(new Date(year, month - 1, date - streak)))) {
+            streak++;
+        }
+        return streak;
+    }
+
+    /**
+     * A record value as text: distance in display units, times as m:ss
+     */
+    static formatValue(rule, value, metrics) {
+        if (rule.format === 'distance') {
+            return `${(value / metrics.getUnitMeters()).toFixed(2)} ${metrics.getUnitLabels().distance}`;
+        }
+        if (rule.format === 'time') {
+            return VideoLibrary.formatDuration(value) || '0:00';
+        }
+        return `${value} spm`;
+    }
+}
+
+Achievements.maxDays = 400; // Workout days kept for streaks
+
+// Personal records: measure() returns the workout's value, or null if it doesn't qualify
+Achievements.records = [
+    {
+        id: 'longestRun',
+        label: 'Longest run',
+        icon: '📏',
+        format: 'distance',
+        measure: summary => (summary.distanceMeters > 0 ? summary.distanceMeters : null)
+    },
+    {
+        id: 'fastestMile',
+        label: 'Fastest mile',
+        icon: '⚡',
+        format: 'time',
+        lowerIsBetter: true,
+        measure: (summary, samples) => {
+            const miles = WorkoutSampler.getSplits(samples, METERS_PER_MILE).filter(split => !split.partial);
+            return miles.length > 0 ? Math.min(...miles.map(split => split.seconds)) : null;
+        }
+    },
+    {
+        id: 'bestCadence',
+        label: 'Most bobs per minute',
+        icon: '👟',
+        format: 'cadence',
+        // Over a whole workout of at least 5 minutes
+        measure: summary => (summary.duration >= 300 ? summary.avgBobsPerMinute : null)
+    }
+];
+
+// Badges: check() sees { summary, state (with this workout added), day, trailIds }
+Achievements.badges = [
+    {
+        id: 'first5k',
+        label: 'First 5K',
+        icon: '🎽',
+        description: 'Run 5 km in one workout',
+        check: ({ summary }) => summary.distanceMeters >= 5000
+    },
+    {
+        id: 'streak7',
+        label: '7-day streak',
+        icon: '🔥',
+        description: 'Work out 7 days in a row',
+        check: ({ state, day }) => Achievements.getStreak(state.workoutDays, day) >= 7
+    },
+    {
+        id: 'acorns100',
+        label: 'Acorn hoarder',
+        icon: '🌰',
+        description: 'Collect 100 acorns',
+        check: ({ state }) => (state.totals.acorn || 0) >= 100
+    },
+    {
+        id: 'allTrails',
+        label: 'Trail master',
+        icon: '🗺️',
+        description: 'Finish every trail in your library',
+        check: ({ state, trailIds }) => trailIds.length > 0 && trailIds.every(id => state.trailsFinished.includes(id))
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Achievements;
+}
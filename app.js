@@ -5,16 +5,25 @@
 
 class VirtualTrailRunApp {
     constructor() {
-        this.videoPlayer = new VideoPlayer();
-        this.headTracker = new HeadTracker();
-        this.collectiblesGame = new CollectiblesGame(this.headTracker);
-        this.workoutStartTime = null;
-        this.workoutTimerInterval = null;
-        this.isWorkoutActive = false;
-        this.elapsedTime = 0; // Track total elapsed seconds
-        this.lastPauseTime = null; // Track when we paused
+        // Video backends; videoPlayer is whichever one the current trail uses
+        this.youtubePlayer = new VideoPlayer();
+        this.localPlayer = new LocalVideoPlayer();
+        this.videoPlayer = this.youtubePlayer;
+        // One camera-frame loop shared by step tracking and hand detection
+        this.frameScheduler = new FrameScheduler({ video: document.getElementById('cameraFeed') });
+        this.motionSource = this.createMotionSource('face'); // Replaced by the backend chosen in settings
+        this.boundMotionSource = null; // Source whose events the app is subscribed to
+        this.motionSourceUnsubscribers = [];
+        this.motionSourceSwitch = Promise.resolve(); // Backend switches run one at a time
+        this.collectiblesGame = new CollectiblesGame(this.motionSource, this.frameScheduler);
+        this.recorder = new SessionRecorder(); // Records keypoints for replay (see replayRunner.js)
+        this.workoutTimerInterval = null; // Ticks the HUD while the session's clock runs
         this.currentVideoId = null;
         this.currentVideoTitle = null;
+        this.currentEntryId = null; // Video library entry being played
+        this.videoLibrary = null;
+        this.pendingFileEntryId = null; // Library entry waiting for its file to be picked again
+        this.importedVideoFolder = null;
         
         // Health and Magic system
         this.health = 100; // Start at full health
@@ -27,6 +36,47 @@ class VirtualTrailRunApp {
         this.lastBobTime = null; // Track last head bob time
         this.magicDecayInterval = null; // Interval for magic decay
         this.lastTotalBobs = 0; // Track last bob count
+        this.stepOffset = 0; // Motion-source steps that aren't the workout's (see updateStepOffset)
+        this.stepsAtPause = 0;
+        this.autoPauseReason = null; // 'faceLost' or 'idle' while the app (not the user) paused the video
+        this.idleSince = null; // When cadence first read zero
+        this.resumeCountdownTimer = null;
+        
+        // Calibration (initialized with the Firebase services)
+        this.calibration = null;
+        this.calibrationOffered = false; // Only offer the wizard once per page load
+        this.strideLength = null; // Metres per step from calibration
+        
+        // Distance, pace and speed
+        this.metrics = new WorkoutMetrics();
+        
+        // Video playback rate follows cadence (enabled in settings)
+        this.speedSync = new SpeedSync(this.videoPlayer);
+        
+        // Route data for the current trail: elevation, incline prompts, ascent
+        this.routeGuide = new RouteGuide();
+        this.elevationChart = new ElevationChart(document.getElementById('elevationChart'));
+        this.routePromptTimer = null;
+        this.pendingRouteEntryId = null; // Library entry a route file is being imported for
+        
+        // Where each video was left off (created with the other Firebase services)
+        this.playbackPositions = null;
+        this.positionSaveInterval = null;
+        
+        // Endless run: the next trail starts when a video ends
+        this.trailQueue = new TrailQueue();
+        this.nextTrailTimer = null;
+        this.nextTrailEntryId = null;
+        this.isBuffering = false; // The clock stops while the video buffers
+        
+        // Structured workout program (runs with the workout clock)
+        this.program = new WorkoutProgram();
+        this.customPrograms = []; // Imported from JSON files, kept in the cache
+        
+        // The workout being run: lifecycle, clock and summary
+        this.session = this.createSession();
+        this.summaryView = new WorkoutSummaryView(this.metrics, this.collectiblesGame.types);
+        this.settings = null;
         
         // Firebase services (initialized later)
         this.cache = null;
@@ -36,19 +86,76 @@ class VirtualTrailRunApp {
         // DOM elements
         this.elements = {
             startButton: document.getElementById('startButton'),
+            nextTrailCard: document.getElementById('nextTrailCard'),
+            nextTrailReason: document.getElementById('nextTrailReason'),
+            nextTrailCountdown: document.getElementById('nextTrailCountdown'),
+            nextTrailTitle: document.getElementById('nextTrailTitle'),
+            nextTrailGo: document.getElementById('nextTrailGo'),
+            nextTrailCancel: document.getElementById('nextTrailCancel'),
+            resumePrompt: document.getElementById('resumePrompt'),
+            resumeButton: document.getElementById('resumeButton'),
+            startOverButton: document.getElementById('startOverButton'),
             videoOverlay: document.getElementById('videoOverlay'),
+            goalRing: document.getElementById('goalRing'),
+            planToday: document.getElementById('planToday'),
             toggleCamera: document.getElementById('toggleCamera'),
             toggleFullscreen: document.getElementById('toggleFullscreen'),
+            calibrate: document.getElementById('calibrate'),
             resetStats: document.getElementById('resetStats'),
+            finishWorkout: document.getElementById('finishWorkout'),
             cameraStatus: document.getElementById('cameraStatus'),
+            faceLostOverlay: document.getElementById('faceLostOverlay'),
+            faceLostMessage: document.getElementById('faceLostMessage'),
+            autoPauseOverlay: document.getElementById('autoPauseOverlay'),
+            autoPauseTitle: document.getElementById('autoPauseTitle'),
+            autoPauseMessage: document.getElementById('autoPauseMessage'),
             verticalMovement: document.getElementById('verticalMovement'),
             bobsPerMinute: document.getElementById('bobsPerMinute'),
             totalBobs: document.getElementById('totalBobs'),
             workoutTime: document.getElementById('workoutTime'),
+            distance: document.getElementById('distance'),
+            distanceUnit: document.getElementById('distanceUnit'),
+            currentPace: document.getElementById('currentPace'),
+            averagePace: document.getElementById('averagePace'),
+            paceUnit: document.getElementById('paceUnit'),
+            speed: document.getElementById('speed'),
+            speedUnit: document.getElementById('speedUnit'),
+            ascent: document.getElementById('ascent'),
+            ascentUnit: document.getElementById('ascentUnit'),
+            routePanel: document.getElementById('routePanel'),
+            routeName: document.getElementById('routeName'),
+            routeChapter: document.getElementById('routeChapter'),
+            routeElevation: document.getElementById('routeElevation'),
+            routeElevationUnit: document.getElementById('routeElevationUnit'),
+            routeGrade: document.getElementById('routeGrade'),
+            routePrompt: document.getElementById('routePrompt'),
+            routeFileInput: document.getElementById('routeFileInput'),
+            programSelect: document.getElementById('programSelect'),
+            importProgramButton: document.getElementById('importProgramButton'),
+            programFileInput: document.getElementById('programFileInput'),
+            programHud: document.getElementById('programHud'),
+            programSegmentName: document.getElementById('programSegmentName'),
+            programRemaining: document.getElementById('programRemaining'),
+            cadenceTarget: document.getElementById('cadenceTarget'),
+            cadenceActual: document.getElementById('cadenceActual'),
+            cadenceTargetLabel: document.getElementById('cadenceTargetLabel'),
+            cadenceActualLabel: document.getElementById('cadenceActualLabel'),
+            programUpcoming: document.getElementById('programUpcoming'),
             indicatorBar: document.getElementById('indicatorBar'),
-            videoOptions: document.querySelectorAll('.video-option'),
+            videoList: document.getElementById('videoList'),
+            videoSort: document.getElementById('videoSort'),
+            videoAddForm: document.getElementById('videoAddForm'),
+            videoUrlInput: document.getElementById('videoUrlInput'),
+            videoTerrainInput: document.getElementById('videoTerrainInput'),
+            addVideoButton: document.getElementById('addVideoButton'),
+            videoLibraryMessage: document.getElementById('videoLibraryMessage'),
+            videoSelection: document.getElementById('videoSelection'),
+            videoFileInput: document.getElementById('videoFileInput'),
+            addVideoFileButton: document.getElementById('addVideoFileButton'),
             healthBar: document.getElementById('healthBar'),
-            magicBar: document.getElementById('magicBar')
+            magicBar: document.getElementById('magicBar'),
+            playbackRateBar: document.getElementById('playbackRateBar'),
+            playbackRate: document.getElementById('playbackRate')
         };
     }
 
@@ -62,56 +169,430 @@ class VirtualTrailRunApp {
             // Initialize Firebase and services
             this.initializeFirebaseServices();
             
-            // Initialize video player
-            await this.videoPlayer.init();
+            // Initialize video players
+            await this.youtubePlayer.init();
+            await this.localPlayer.init();
             console.log('Video player initialized');
             
             // Set up event listeners
             this.setupEventListeners();
             
             // Set up video player callbacks
-            this.videoPlayer.onPlay(() => {
-                console.log('Video playing');
-                if (this.headTracker.isCameraActive() && !this.headTracker.isActive()) {
-                    this.headTracker.startTracking();
-                }
-                if (this.headTracker.isActive()) {
-                    this.startWorkoutTimer();
-                }
-                // Restart collectibles game if camera is active
-                if (this.collectiblesGame && this.headTracker.isCameraActive() && !this.collectiblesGame.isActive) {
-                    const cameraFeed = document.getElementById('cameraFeed');
-                    if (cameraFeed) {
-                        this.collectiblesGame.start(cameraFeed);
-                    }
+            this.bindVideoPlayer(this.youtubePlayer);
+            this.bindVideoPlayer(this.localPlayer);
+            
+            // Set up motion source callbacks (already done if settings switched the backend)
+            this.bindMotionSource();
+            
+            // Speed sync: show the rate in the HUD; a full stop can pause the video
+            this.speedSync.on('rateChange', ({ rate }) => this.updatePlaybackRateUI(rate));
+            this.speedSync.on('stopped', () => {
+                if (this.session.isActive() && this.videoPlayer.playing() && !this.calibration?.isRunning()) {
+                    this.pauseForIdle();
                 }
             });
             
-            this.videoPlayer.onPause(() => {
-                console.log('Video paused');
-                if (this.headTracker.isActive()) {
-                    this.headTracker.stopTracking();
-                }
-                this.pauseWorkoutTimer();
+            // Route prompts over the video
+            this.routeGuide.on('incline', ({ incline, grade, direction }) => {
+                const hint = grade < -1 ? 'downhill ahead' : direction === 'up' ? 'climb ahead' : 'easing off';
+                this.showVideoPrompt(`⛰️ Set your treadmill to ${incline}% — ${hint}`);
+            });
+            this.routeGuide.on('chapter', ({ name }) => {
+                this.elements.routeChapter.textContent = `📍 ${name}`;
+                this.showVideoPrompt(`📍 ${name}`);
+            });
+            this.routeGuide.on('poi', ({ name, inSeconds }) => {
+                this.showVideoPrompt(inSeconds > 0 ? `👀 ${name} in ${inSeconds}s` : `👀 ${name}`);
             });
             
-            // Set up head tracker callbacks
-            this.headTracker.onMovement((verticalMovement, direction) => {
-                this.updateMovementUI(verticalMovement);
+            // Workout program segment changes
+            this.program.on('segmentStart', ({ segment }) => {
+                const length = segment.distance
+                    ? this.formatProgramDistance(segment.distance)
+                    : VideoLibrary.formatDuration(segment.duration);
+                this.showVideoPrompt(`🏁 ${segment.name}: ${segment.cadence.min}–${segment.cadence.max} spm for ${length}`);
+            });
+            this.program.on('complete', ({ results }) => {
+                this.showVideoPrompt(`🏆 ${results.name} complete — ${results.compliance}% on target`);
+                this.updateProgramUI();
             });
             
-            this.headTracker.onBobDetected((totalBobs) => {
-                this.updateBobStats(totalBobs);
+            // Collectible events go into the workout's time series
+            ['collect', 'miss', 'slash'].forEach(type => {
+                this.collectiblesGame.on(type, ({ itemType }) => {
+                    if (this.session.isRunning()) {
+                        this.session.sampler.addEvent(this.session.getElapsedSeconds(), type, itemType ? { itemType } : {});
+                    }
+                });
             });
             
             console.log('App initialized successfully!');
-            
+        
         } catch (error) {
             console.error('Error initializing app:', error);
             alert('Error initializing app. Please check console for details.');
         }
     }
 
+    /**
+     * Subscribe to a video backend's events (only the active backend counts)
+     */
+    bindVideoPlayer(player) {
+        player.on('play', () => {
+            if (player !== this.videoPlayer) return;
+            console.log('Video playing');
+            this.isBuffering = false;
+            this.clearAutoPause();
+            this.updateCurrentVideoInfo();
+            this.updateRouteUI();
+            // A newly loaded video resets to 1×; reapply the synced rate
+            if (this.speedSync.enabled) {
+                this.videoPlayer.setPlaybackRate(this.speedSync.getRate());
+            }
+            this.startPositionSaver();
+            if (this.motionSource.isCameraActive() && !this.motionSource.isActive()) {
+                this.motionSource.startTracking();
+            }
+            if (this.motionSource.isActive()) {
+                this.startWorkoutTimer();
+            }
+            // Carry on after buffering, or restart collectibles game if camera is active
+            if (this.collectiblesGame) {
+                this.collectiblesGame.unfreeze();
+            }
+            if (this.collectiblesGame && this.motionSource.isCameraActive() && !this.collectiblesGame.isActive) {
+                const cameraFeed = document.getElementById('cameraFeed');
+                if (cameraFeed) {
+                    this.collectiblesGame.start(cameraFeed);
+                }
+            }
+        });
+        
+        const onPlaybackStopped = () => {
+            if (player !== this.videoPlayer) return;
+            console.log('Video paused');
+            this.isBuffering = false;
+            // Calibration keeps tracking with the video paused, and so does
+            // an auto-pause (to notice the runner coming back or moving again)
+            if (this.motionSource.isActive() && !this.calibration?.isRunning() && !this.autoPauseReason) {
+                this.motionSource.stopTracking();
+            }
+            this.pauseWorkoutTimer();
+            this.stopPositionSaver();
+        };
+        player.on('pause', () => {
+            onPlaybackStopped();
+            if (player === this.videoPlayer) {
+                this.savePlaybackPosition(true);
+            }
+        });
+        player.on('buffering', () => {
+            if (player !== this.videoPlayer || !this.session.isActive()) return;
+            console.log('Video buffering');
+            // The scenery has stopped: so do the clock and the collectibles
+            this.isBuffering = true;
+            this.pauseWorkoutTimer(true);
+        });
+        player.on('error', ({ code, message }) => {
+            if (player !== this.videoPlayer) return;
+            this.handleVideoError(code, message);
+        });
+        player.on('ended', () => {
+            onPlaybackStopped();
+            if (player !== this.videoPlayer) return;
+            
+            // Finished: next time starts from the beginning
+            if (this.playbackPositions) {
+                this.playbackPositions.clear(this.currentEntryId);
+            }
+            // Playlists move on by themselves; then endless run carries on with
+            // another trail, or the workout is done
+            if (!this.session.isActive() || player.hasNextInPlaylist()) return;
+            this.session.finishTrail(this.currentVideoId);
+            const next = this.trailQueue.isEnabled() ? this.trailQueue.next(this.currentEntryId) : null;
+            if (next) {
+                this.queueNextTrail(next);
+            } else {
+                this.finishWorkout();
+            }
+        });
+    }
+
+    /**
+     * The current video can't be played: say why and switch to another trail
+     * of the same terrain (after a countdown mid-workout, straight away otherwise)
+     */
+    handleVideoError(code, message) {
+        this.isBuffering = false;
+        this.pauseWorkoutTimer();
+        this.stopPositionSaver();
+        
+        const failed = this.getCurrentEntry();
+        if (!failed) {
+            this.showLibraryMessage(message, 'error');
+            return;
+        }
+        this.trailQueue.markFailed(failed.id);
+        
+        if (this.analytics) {
+            this.analytics.trackEvent('video_error', {
+                videoId: this.currentVideoId,
+                videoTitle: this.currentVideoTitle,
+                code
+            });
+        }
+        
+        const fallback = this.trailQueue.fallbackFor(failed.id);
+        if (!fallback) {
+            this.showLibraryMessage(`"${failed.title}" can't be played: ${message}`, 'error');
+            return;
+        }
+        
+        if (this.session.isActive()) {
+            this.queueNextTrail(fallback, `⚠️ "${failed.title}" can't be played: ${message}`);
+        } else {
+            this.loadEntry(fallback);
+            this.showLibraryMessage(
+                `"${failed.title}" can't be played (${message}), so here's "${fallback.title}" instead`, 'error');
+        }
+    }
+
+    /**
+     * Switch the active video backend ('youtube' or 'file')
+     */
+    switchVideoBackend(backend) {
+        const player = backend === 'file' ? this.localPlayer : this.youtubePlayer;
+        if (player === this.videoPlayer) return;
+        
+        this.videoPlayer.pause();
+        this.videoPlayer.setVisible(false);
+        player.setVisible(true);
+        this.videoPlayer = player;
+        this.speedSync.setPlayer(player);
+        console.log('Video backend:', backend);
+    }
+
+    /**
+     * Create a motion source that runs on the shared frame scheduler
+     */
+    createMotionSource(type) {
+        const source = MotionSource.create(type);
+        source.setFrameScheduler(this.frameScheduler);
+        if (this.settings) {
+            source.setPresenceOptions({ graceMs: (this.settings.get('faceLostGraceSeconds') ?? 3) * 1000 });
+        }
+        return source;
+    }
+
+    /**
+     * Subscribe to the current motion source's events (once per source),
+     * dropping the previous source's subscriptions
+     */
+    bindMotionSource() {
+        if (this.boundMotionSource === this.motionSource) return;
+        this.motionSourceUnsubscribers.forEach(unsubscribe => unsubscribe());
+        
+        this.motionSourceUnsubscribers = [
+            this.motionSource.on('movement', (event) => {
+                this.updateMovementUI(event.verticalMovement);
+            }),
+            this.motionSource.on('bob', (event) => {
+                this.updateBobStats(event.stepCount, event);
+            }),
+            this.motionSource.on('faceLost', () => this.handleFaceLost()),
+            this.motionSource.on('faceFound', () => this.handleFaceFound())
+        ];
+        this.boundMotionSource = this.motionSource;
+    }
+
+    /**
+     * The runner left the frame: show the overlay and optionally pause
+     */
+    handleFaceLost() {
+        console.log('Face lost');
+        const shouldPause = this.settings?.get('pauseWhenFaceLost') !== false &&
+            this.session.isActive() && this.videoPlayer.playing();
+        
+        // No countdown while nobody is there to see it
+        this.cancelResumeCountdown();
+        
+        if (shouldPause) {
+            this.autoPauseReason = 'faceLost';
+            this.videoPlayer.pause();
+            this.pauseWorkoutTimer();
+        }
+        
+        this.elements.faceLostMessage.textContent = shouldPause
+            ? 'Workout paused - step back into view to continue'
+            : 'Step back into view to continue';
+        this.elements.faceLostOverlay.style.display = 'flex';
+    }
+
+    /**
+     * The runner is back and stable: hide the overlay and resume
+     */
+    handleFaceFound() {
+        this.elements.faceLostOverlay.style.display = 'none';
+        
+        if (this.autoPauseReason === 'faceLost') {
+            console.log('Face found, resuming workout');
+            this.autoPauseReason = null;
+            this.videoPlayer.play();
+        }
+    }
+
+    /**
+     * Auto-pause: pause when cadence has read zero for the configured time
+     * Called every second by the magic decay monitor while no bobs arrive
+     */
+    checkAutoPause() {
+        const enabled = this.settings?.get('autoPause') && this.session.isActive() && !this.isBuffering &&
+            this.videoPlayer.playing() && this.motionSource.isActive() && !this.calibration?.isRunning();
+        
+        if (!enabled || this.motionSource.getBobsPerMinute() > 0) {
+            this.idleSince = null;
+            return;
+        }
+        
+        const now = Date.now();
+        if (this.idleSince === null) {
+            this.idleSince = now;
+        }
+        
+        const delay = (this.settings.get('autoPauseSeconds') || 5) * 1000;
+        if (now - this.idleSince >= delay) {
+            console.log('No movement, auto-pausing');
+            this.pauseForIdle();
+        }
+    }
+
+    /**
+     * Pause until the runner moves again (resumed by the countdown in updateBobStats)
+     */
+    pauseForIdle() {
+        this.idleSince = null;
+        this.autoPauseReason = 'idle';
+        this.videoPlayer.pause();
+        this.pauseWorkoutTimer();
+        this.showAutoPauseOverlay('⏸️ Auto-paused', 'Start moving to resume');
+    }
+
+    /**
+     * Count down, then resume the video after an idle auto-pause
+     */
+    startResumeCountdown(seconds = 3) {
+        if (this.resumeCountdownTimer) return;
+        
+        let remaining = seconds;
+        this.showAutoPauseOverlay(remaining, 'Resuming...');
+        
+        this.resumeCountdownTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                this.showAutoPauseOverlay(remaining, 'Resuming...');
+                return;
+            }
+            
+            this.cancelResumeCountdown();
+            this.autoPauseReason = null;
+            this.hideAutoPauseOverlay();
+            this.videoPlayer.play();
+        }, 1000);
+    }
+
+    /**
+     * Stop a resume countdown in progress
+     */
+    cancelResumeCountdown() {
+        if (this.resumeCountdownTimer) {
+            clearInterval(this.resumeCountdownTimer);
+            this.resumeCountdownTimer = null;
+            
+            if (this.autoPauseReason === 'idle') {
+                this.showAutoPauseOverlay('⏸️ Auto-paused', 'Start moving to resume');
+            }
+        }
+    }
+
+    /**
+     * Forget any auto-pause (the user took over, or the workout was reset)
+     */
+    clearAutoPause() {
+        this.autoPauseReason = null;
+        this.idleSince = null;
+        this.cancelResumeCountdown();
+        this.hideAutoPauseOverlay();
+    }
+
+    /**
+     * Show the auto-pause overlay on the video
+     */
+    showAutoPauseOverlay(title, message) {
+        this.elements.autoPauseTitle.textContent = title;
+        this.elements.autoPauseMessage.textContent = message;
+        this.elements.autoPauseOverlay.style.display = 'flex';
+    }
+
+    /**
+     * Hide the auto-pause overlay
+     */
+    hideAutoPauseOverlay() {
+        this.elements.autoPauseOverlay.style.display = 'none';
+    }
+
+    /**
+     * Switch to the backend chosen in settings, then configure it
+     * Waits for any switch already under way; resolves when done
+     */
+    applyMotionSourceSetting() {
+        this.motionSourceSwitch = this.motionSourceSwitch.then(async () => {
+            const type = this.settings.get('motionSource');
+            
+            // A new source counts steps from zero, so the workout keeps its source
+            if (this.session.isActive() && type !== this.motionSource.type) {
+                this.showMessage('Step counting will switch when this workout ends', 'info');
+            } else {
+                await this.switchMotionSource(type);
+            }
+            
+            this.motionSource.setPresenceOptions({ graceMs: (this.settings.get('faceLostGraceSeconds') ?? 3) * 1000 });
+            this.applyRecordingSetting(this.settings.get('recordSession'));
+        }).catch(error => {
+            console.error('Could not switch motion source:', error);
+            this.showMessage('Could not switch step counting. Please try again.', 'error');
+        });
+        return this.motionSourceSwitch;
+    }
+
+    /**
+     * Switch to another motion-source backend (face, pose, synthetic)
+     * If the camera is on, it is restarted with the new backend
+     */
+    async switchMotionSource(type) {
+        if (!MotionSource.backends[type] || type === this.motionSource.type) return;
+        
+        console.log('Switching motion source to', type);
+        const wasActive = this.motionSource.isCameraActive();
+        if (wasActive) {
+            await this.toggleCamera();
+        }
+        
+        this.motionSource = this.createMotionSource(type);
+        this.bindMotionSource();
+        this.collectiblesGame.headTracker = this.motionSource;
+        if (this.calibration) {
+            this.calibration.motionSource = this.motionSource;
+        }
+        
+        if (wasActive) {
+            try {
+                await this.toggleCamera();
+            } catch (error) {
+                console.error('Could not start new motion source:', error);
+            }
+        }
+    }
+
     /**
      * Initialize Firebase services
      */
@@ -141,6 +622,142 @@ class VirtualTrailRunApp {
             // Set up auth UI event listeners
             this.setupAuthUI();
         }
+        
+        // Initialize Settings Manager (per-user preferences in cache)
+        if (typeof SettingsManager !== 'undefined') {
+            this.settings = new SettingsManager(this.cache, this.auth);
+            this.settings.addField({
+                key: 'motionSource',
+                label: 'Step counting',
+                type: 'select',
+                options: Object.entries(MotionSource.backends).map(([value, backend]) => ({
+                    value,
+                    label: backend.label
+                }))
+            }, 'face');
+            this.settings.addField({
+                key: 'pauseWhenFaceLost',
+                label: 'Pause the workout when you step out of view',
+                type: 'checkbox'
+            }, true);
+            this.settings.addField({
+                key: 'faceLostGraceSeconds',
+                label: 'Seconds out of view before pausing',
+                type: 'number',
+                min: 0,
+                max: 30,
+                step: 0.5
+            }, 3);
+            this.settings.addField({
+                key: 'autoPause',
+                label: 'Auto-pause when you stop moving',
+                type: 'checkbox'
+            }, false);
+            this.settings.addField({
+                key: 'autoPauseSeconds',
+                label: 'Seconds without steps before auto-pausing',
+                type: 'number',
+                min: 2,
+                max: 60,
+                step: 1
+            }, 5);
+            this.settings.addField({
+                key: 'speedSync',
+                label: 'Match video speed to your cadence',
+                type: 'checkbox'
+            }, false);
+            this.settings.addField({
+                key: 'speedSyncBaseCadence',
+                label: 'Cadence for normal speed (steps/min)',
+                type: 'number',
+                min: 60,
+                max: 220,
+                step: 5
+            }, 150);
+            this.settings.addField({
+                key: 'speedSyncFastCadence',
+                label: 'Cadence for fastest speed (steps/min)',
+                type: 'number',
+                min: 80,
+                max: 260,
+                step: 5
+            }, 190);
+            this.settings.addField({
+                key: 'speedSyncStop',
+                label: 'When you stop',
+                type: 'select',
+                options: [
+                    { value: 'minimum', label: 'Slow to the minimum speed' },
+                    { value: 'pause', label: 'Pause the video' }
+                ]
+            }, 'minimum');
+            this.settings.addField({
+                key: 'endlessMode',
+                label: 'When a trail ends',
+                type: 'select',
+                options: [
+                    { value: 'off', label: 'Stop the workout' },
+                    { value: 'ordered', label: 'Play the next trail in the list' },
+                    { value: 'terrain', label: 'Shuffle trails of the same terrain' }
+                ]
+            }, 'off');
+            this.settings.addField({
+                key: 'videoFolderUrl',
+                label: 'Local video folder URL (MP4/WebM, for offline gyms)',
+                type: 'text',
+                placeholder: 'http://192.168.1.10/videos/'
+            }, '');
+            this.settings.addField({
+                key: 'recordSession',
+                label: 'Record tracking data (saves a replay file when switched off)',
+                type: 'checkbox',
+                persist: false
+            }, false);
+            this.settings.onChange((key) => {
+                this.applySettings();
+                if (key === 'videoFolderUrl') {
+                    this.importVideoFolder();
+                }
+            });
+            this.applySettings();
+        }
+        
+        // Initialize Video Library (cache for guests, Firestore for accounts)
+        this.videoLibrary = new VideoLibrary(this.youtubePlayer, this.cache, this.auth);
+        this.videoLibrary.load().then(() => this.importVideoFolder());
+        this.trailQueue.setLibrary(this.videoLibrary);
+        
+        // Imported workout programs
+        this.loadCustomPrograms();
+        
+        // Initialize resume positions (cache, plus Firestore for accounts)
+        this.playbackPositions = new PlaybackPositions(this.cache, this.auth);
+        this.playbackPositions.load();
+        
+        // Past workouts: Firestore pages through the cache, or this device for guests
+        this.workoutHistory = new WorkoutHistory(this.cache, this.auth);
+        this.historyView = new WorkoutHistoryView(this.workoutHistory, this.summaryView, this.metrics);
+        
+        // Personal records and badges (cache, plus Firestore for accounts)
+        this.achievements = new Achievements(this.cache, this.auth);
+        this.achievements.load();
+        this.trophyCaseView = new TrophyCaseView(this.achievements, this.metrics);
+        
+        // Weekly goal and streaks, shown on the start overlay
+        this.weeklyGoals = new WeeklyGoals(this.cache, this.auth);
+        this.goalsView = new WeeklyGoalsView(this.weeklyGoals, this.metrics, this.elements.goalRing);
+        this.weeklyGoals.load();
+        
+        // Multi-week training plan; today's session shows on the start overlay
+        this.trainingPlans = new TrainingPlans(this.cache, this.auth);
+        this.planView = new TrainingPlanView(this.trainingPlans, this.metrics, this.elements.planToday,
+            programId => this.selectProgram(programId));
+        this.trainingPlans.load();
+        
+        // Initialize Calibration Manager (profiles persist through cache/Firestore)
+        if (typeof CalibrationManager !== 'undefined') {
+            this.calibration = new CalibrationManager(this.motionSource, this.cache, this.auth);
+        }
     }
 
     /**
@@ -168,7 +785,7 @@ class VirtualTrailRunApp {
         
         trySetup();
     }
-    
+
     /**
      * Initialize auth UI event listeners (called once UI is loaded)
      */
@@ -303,6 +920,45 @@ class VirtualTrailRunApp {
                 });
             }
             
+            // Workout history
+            const historyBtn = document.getElementById('viewProfileBtn');
+            if (historyBtn) {
+                historyBtn.addEventListener('click', () => {
+                    userMenuDropdown?.classList.remove('active');
+                    this.historyView?.open(this.videoLibrary.getEntries().map(entry => ({
+                        value: this.getTrailId(entry),
+                        label: entry.title
+                    })));
+                });
+            }
+            
+            // Trophy case
+            const trophyCaseBtn = document.getElementById('trophyCaseBtn');
+            if (trophyCaseBtn) {
+                trophyCaseBtn.addEventListener('click', () => {
+                    userMenuDropdown?.classList.remove('active');
+                    this.trophyCaseView?.open();
+                });
+            }
+            
+            // Training plan
+            const trainingPlanBtn = document.getElementById('trainingPlanBtn');
+            if (trainingPlanBtn) {
+                trainingPlanBtn.addEventListener('click', () => {
+                    userMenuDropdown?.classList.remove('active');
+                    this.planView?.open();
+                });
+            }
+            
+            // Settings button
+            const settingsBtn = document.getElementById('settingsBtn');
+            if (settingsBtn && this.settings) {
+                settingsBtn.addEventListener('click', () => {
+                    userMenuDropdown?.classList.remove('active');
+                    this.settings.openPanel();
+                });
+            }
+            
             // Logout button
             const logoutBtn = document.getElementById('logoutBtn');
             if (logoutBtn) {
@@ -316,10 +972,31 @@ class VirtualTrailRunApp {
             // Listen for auth state changes
             window.addEventListener('userLoggedIn', (e) => {
                 this.updateUIForAuth(true, e.detail);
+                
+                // Switch to this user's settings, trails and calibration profile
+                if (this.settings) {
+                    this.settings.load();
+                    this.applySettings();
+                }
+                this.videoLibrary.load().then(() => this.importVideoFolder());
+                this.playbackPositions.load();
+                this.achievements.load();
+                this.weeklyGoals.load();
+                this.trainingPlans.load();
+                this.loadCustomPrograms();
+                if (this.motionSource.isCameraActive()) {
+                    this.applyCalibration();
+                }
             });
             
             window.addEventListener('userLoggedOut', () => {
                 this.updateUIForAuth(false);
+                this.videoLibrary.load().then(() => this.importVideoFolder());
+                this.playbackPositions.load();
+                this.achievements.load();
+                this.weeklyGoals.load();
+                this.trainingPlans.load();
+                this.loadCustomPrograms();
             });
     }
 
@@ -370,6 +1047,11 @@ class VirtualTrailRunApp {
         this.elements.startButton.addEventListener('click', () => {
             this.startWorkout();
         });
+        this.elements.nextTrailGo.addEventListener('click', () => this.playNextTrail());
+        this.elements.nextTrailCancel.addEventListener('click', () => {
+            this.cancelNextTrail();
+            this.finishWorkout();
+        });
         
         // Toggle camera button
         this.elements.toggleCamera.addEventListener('click', () => {
@@ -382,38 +1064,555 @@ class VirtualTrailRunApp {
         });
         
         // Reset stats button
+        this.elements.finishWorkout.addEventListener('click', () => {
+            this.finishWorkout();
+        });
         this.elements.resetStats.addEventListener('click', () => {
             this.resetStats();
         });
         
-        // Video selection buttons
-        this.elements.videoOptions.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const videoId = e.target.dataset.videoId;
-                this.selectVideo(videoId, e.target);
+        // Calibrate button
+        this.elements.calibrate.addEventListener('click', () => {
+            this.runCalibration();
+        });
+        
+        // Video selection buttons, generated from the library
+        this.renderVideoList();
+        this.videoLibrary.on('change', () => this.renderVideoList());
+        
+        // Adding to the library
+        this.elements.videoTerrainInput.innerHTML = Object.entries(VideoLibrary.terrains)
+            .map(([value, terrain]) => `<option value="${value}">${terrain.icon} ${terrain.label}</option>`)
+            .join('');
+        this.elements.videoTerrainInput.value = 'other';
+        this.elements.videoAddForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addVideoFromInput();
+        });
+        
+        // Local files: file picker or drag and drop onto the trail list
+        this.elements.addVideoFileButton.addEventListener('click', () => {
+            this.pendingFileEntryId = null;
+            this.elements.videoFileInput.click();
+        });
+        this.elements.videoFileInput.addEventListener('change', () => {
+            this.addVideoFiles([...this.elements.videoFileInput.files]);
+            this.elements.videoFileInput.value = '';
+        });
+        this.elements.programSelect.addEventListener('change', () => {
+            this.selectProgram(this.elements.programSelect.value);
+        });
+        this.elements.importProgramButton.addEventListener('click', () => {
+            this.elements.programFileInput.click();
+        });
+        this.elements.programFileInput.addEventListener('change', () => {
+            const file = this.elements.programFileInput.files[0];
+            this.elements.programFileInput.value = '';
+            if (file) {
+                this.importProgram(file);
+            }
+        });
+        this.elements.routeFileInput.addEventListener('change', () => {
+            const file = this.elements.routeFileInput.files[0];
+            this.elements.routeFileInput.value = '';
+            if (file && this.pendingRouteEntryId) {
+                this.importRoute(this.pendingRouteEntryId, file);
+            }
+        });
+        this.elements.videoSelection.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.elements.videoSelection.classList.add('drag-over');
+        });
+        this.elements.videoSelection.addEventListener('dragleave', () => {
+            this.elements.videoSelection.classList.remove('drag-over');
+        });
+        this.elements.videoSelection.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.elements.videoSelection.classList.remove('drag-over');
+            this.pendingFileEntryId = null;
+            this.addVideoFiles([...e.dataTransfer.files]);
+        });
+        
+        this.elements.videoSort.value = this.videoLibrary.sortBy;
+        this.elements.videoSort.addEventListener('change', () => {
+            this.videoLibrary.setSort(this.elements.videoSort.value);
+        });
+    }
+
+    /**
+     * Build the trail buttons from the video library
+     */
+    renderVideoList() {
+        const list = this.elements.videoList;
+        list.innerHTML = '';
+        this.elements.videoSort.value = this.videoLibrary.sortBy;
+        
+        this.videoLibrary.getEntries().forEach(entry => {
+            const terrain = VideoLibrary.terrains[entry.terrain] || VideoLibrary.terrains.other;
+            const item = document.createElement('div');
+            item.className = 'video-entry';
+            
+            const button = document.createElement('button');
+            button.className = 'video-option';
+            button.classList.toggle('active', entry.id === this.currentEntryId);
+            button.dataset.entryId = entry.id;
+            button.textContent = `${terrain.icon} ${entry.title}`;
+            
+            const details = entry.playlistId
+                ? `${entry.videoCount} video${entry.videoCount === 1 ? '' : 's'}`
+                : VideoLibrary.formatDuration(entry.duration);
+            if (details) {
+                const meta = document.createElement('span');
+                meta.className = 'video-meta';
+                meta.textContent = details;
+                button.appendChild(meta);
+            }
+            button.addEventListener('click', () => this.selectVideo(entry.id));
+            
+            // Terrain tag
+            const terrainSelect = document.createElement('select');
+            terrainSelect.className = 'video-terrain';
+            terrainSelect.title = 'Terrain';
+            terrainSelect.innerHTML = this.elements.videoTerrainInput.innerHTML;
+            terrainSelect.value = entry.terrain;
+            terrainSelect.addEventListener('change', () => {
+                this.videoLibrary.updateEntry(entry.id, { terrain: terrainSelect.value });
+            });
+            
+            // Route data (elevation, chapters) from a GPX track or descriptor
+            const routeButton = document.createElement('button');
+            routeButton.className = 'video-route';
+            routeButton.classList.toggle('has-route', Boolean(entry.hasRoute));
+            routeButton.title = entry.hasRoute ? 'Replace route data' : 'Import route data (GPX or JSON)';
+            routeButton.textContent = '🗺️';
+            routeButton.disabled = Boolean(entry.playlistId);
+            routeButton.addEventListener('click', () => {
+                this.pendingRouteEntryId = entry.id;
+                this.elements.routeFileInput.click();
             });
+            
+            item.append(button, terrainSelect, routeButton);
+            
+            if (!entry.builtIn) {
+                const remove = document.createElement('button');
+                remove.className = 'video-remove';
+                remove.title = 'Remove from library';
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => {
+                    if (confirm(`Remove "${entry.title}" from your trails?`)) {
+                        this.videoLibrary.removeEntry(entry.id);
+                    }
+                });
+                item.appendChild(remove);
+            }
+            
+            list.appendChild(item);
         });
     }
 
     /**
-     * Start the workout
+     * Add the pasted URL, video ID or playlist to the library
      */
-    async startWorkout() {
-        console.log('Starting workout...');
+    async addVideoFromInput() {
+        const input = this.elements.videoUrlInput.value;
+        if (!input.trim()) return;
         
-        // Hide overlay
-        this.elements.videoOverlay.classList.add('hidden');
+        this.elements.addVideoButton.disabled = true;
+        this.showLibraryMessage('Checking video...', 'info');
         
-        // Start video (with ready check)
-        if (this.videoPlayer && this.videoPlayer.isReady) {
-            this.videoPlayer.play();
-        } else {
-            console.error('Video player not ready');
-            alert('Video player is still loading. Please wait a moment and try again.');
-            this.elements.videoOverlay.classList.remove('hidden');
-            return;
+        try {
+            const entry = await this.videoLibrary.addFromInput(input, this.elements.videoTerrainInput.value);
+            this.elements.videoUrlInput.value = '';
+            
+            // YouTube doesn't tell us a playlist's name, so ask
+            if (entry.playlistId) {
+                const name = prompt('Name this playlist', entry.title);
+                if (name && name.trim() && name.trim() !== entry.title) {
+                    await this.videoLibrary.updateEntry(entry.id, { title: name.trim() });
+                }
+            }
+            this.showLibraryMessage(`Added "${entry.title}"`, 'success');
+            
+            if (this.analytics) {
+                this.analytics.trackEvent('video_added', {
+                    videoId: entry.id,
+                    terrain: entry.terrain,
+                    isPlaylist: Boolean(entry.playlistId)
+                });
+            }
+        } catch (error) {
+            this.showLibraryMessage(error.message, 'error');
+        } finally {
+            this.elements.addVideoButton.disabled = false;
         }
-        
+    }
+
+    /**
+     * Add picked or dropped video files to the library
+     * If a file-backed entry asked to be picked again, the file is used for it
+     */
+    async addVideoFiles(files) {
+        if (files.length === 0) return;
+        
+        try {
+            if (this.pendingFileEntryId) {
+                const entryId = this.pendingFileEntryId;
+                this.pendingFileEntryId = null;
+                this.videoLibrary.attachFile(entryId, files[0]);
+                this.showLibraryMessage('', 'info');
+                this.selectVideo(entryId);
+                return;
+            }
+            
+            const entries = await this.videoLibrary.addFiles(files, this.elements.videoTerrainInput.value);
+            this.showLibraryMessage(entries.length === 1
+                ? `Added "${entries[0].title}"`
+                : `Added ${entries.length} videos`, 'success');
+            this.selectVideo(entries[0].id);
+        } catch (error) {
+            this.showLibraryMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Import route data for a library entry from a GPX track or JSON descriptor
+     */
+    async importRoute(entryId, file) {
+        const entry = this.videoLibrary.getEntry(entryId);
+        if (!entry) return;
+        
+        try {
+            const text = await file.text();
+            let route;
+            if (file.name.toLowerCase().endsWith('.json')) {
+                route = RouteProfile.fromJSON(text);
+            } else {
+                // The recording usually starts before the footage does
+                const answer = prompt('How many seconds into the GPX track does the video start?', '0');
+                if (answer === null) return;
+                route = RouteProfile.fromGPX(text, { offsetSeconds: parseFloat(answer) || 0 });
+            }
+            
+            const synced = await this.videoLibrary.saveRoute(entry, route);
+            if (synced) {
+                const labels = this.metrics.getUnitLabels();
+                const ascent = labels.ascent === 'ft' ? route.getTotalAscent() * FEET_PER_METER : route.getTotalAscent();
+                this.showLibraryMessage(
+                    `Route added to "${entry.title}" (${Math.round(ascent)} ${labels.ascent} of climbing)`, 'success');
+            } else {
+                this.showLibraryMessage(
+                    `Route added to "${entry.title}" on this device only: it couldn't be saved to your account`, 'error');
+            }
+            
+            if (entry.id === this.currentEntryId) {
+                this.setRoute(route);
+            }
+        } catch (error) {
+            console.error('Error importing route:', error);
+            this.showLibraryMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Load the current trail's route data, if it has any
+     */
+    async loadRoute(entry) {
+        this.setRoute(null);
+        let route = null;
+        try {
+            route = entry.playlistId ? null : await this.videoLibrary.loadRoute(entry);
+        } catch (error) {
+            this.showLibraryMessage(error.message, 'error');
+        }
+        
+        // Another trail may have been picked while this one loaded
+        if (entry.id === this.currentEntryId) {
+            this.setRoute(route);
+        }
+    }
+
+    /**
+     * Follow a route (or none) with the guide, chart and route panel
+     */
+    setRoute(route) {
+        this.routeGuide.setRoute(route);
+        this.elements.routePanel.style.display = route ? 'block' : 'none';
+        this.elements.routeChapter.textContent = '';
+        if (route) {
+            this.elements.routeName.textContent = `🗺️ ${route.name}`;
+        }
+        this.elevationChart.setRoute(route);
+        this.updateRouteUI();
+    }
+
+    /**
+     * Move the route along with the video (called every second of the workout)
+     */
+    updateRoute() {
+        if (!this.routeGuide.hasRoute()) return;
+        
+        this.routeGuide.update(this.videoPlayer.getCurrentTime());
+        this.metrics.setAscent(this.routeGuide.getAscent());
+        this.updateRouteUI();
+    }
+
+    /**
+     * Update the elevation chart and readouts
+     */
+    updateRouteUI() {
+        const currentTime = this.videoPlayer.getCurrentTime();
+        const point = this.routeGuide.getPointAt(currentTime);
+        if (!point) return;
+        
+        const labels = this.metrics.getUnitLabels();
+        const elevation = labels.ascent === 'ft' ? point.elevation * FEET_PER_METER : point.elevation;
+        this.elements.routeElevation.textContent = Math.round(elevation);
+        this.elements.routeElevationUnit.textContent = labels.ascent;
+        this.elements.routeGrade.textContent = point.grade.toFixed(1);
+        this.elevationChart.draw(currentTime);
+    }
+
+    /**
+     * Fill the program picker: free run, built-in, training plan and imported programs
+     */
+    renderProgramOptions() {
+        const select = this.elements.programSelect;
+        const selected = this.program.program?.id || '';
+        select.innerHTML = '';
+        
+        const addOption = (parent, value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            parent.appendChild(option);
+        };
+        addOption(select, '', '🏃 Free run (no program)');
+        
+        [['Programs', WorkoutProgram.builtIns], ['Training plans', TrainingPlans.programs], ['Imported', this.customPrograms]].forEach(([label, programs]) => {
+            if (programs.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            programs.forEach(program => {
+                addOption(group, program.id, `${program.name} (${WorkoutProgram.describeLength(program)})`);
+            });
+            select.appendChild(group);
+        });
+        
+        select.value = selected;
+    }
+
+    /**
+     * Find a built-in, training plan or imported program by id
+     */
+    getProgram(programId) {
+        return WorkoutProgram.builtIns.concat(TrainingPlans.programs, this.customPrograms).find(program => program.id === programId) || null;
+    }
+
+    /**
+     * Use a program for this workout ('' for a free run)
+     * It starts with the workout clock, or straight away if that's running
+     */
+    selectProgram(programId) {
+        const program = this.getProgram(programId);
+        this.program.load(program);
+        this.elements.programSelect.value = program ? program.id : '';
+        this.updateProgramUI();
+        
+        if (program && this.analytics) {
+            this.analytics.trackEvent('program_selected', { programId: program.id, programName: program.name });
+        }
+    }
+
+    /**
+     * Import a program from a JSON file and select it
+     */
+    async importProgram(file) {
+        try {
+            const program = WorkoutProgram.parse(await file.text());
+            this.customPrograms = this.customPrograms.filter(item => item.id !== program.id).concat(program);
+            this.saveCustomPrograms();
+            this.renderProgramOptions();
+            this.selectProgram(program.id);
+        } catch (error) {
+            console.error('Error importing program:', error);
+            alert(`Couldn't load that program: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the current user's imported programs from the cache
+     */
+    loadCustomPrograms() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const key = user && !user.isGuest ? `workoutPrograms_${user.uid}` : 'workoutPrograms';
+        this.customPrograms = (this.cache ? this.cache.get(key, 'localData') : null) || [];
+        this.renderProgramOptions();
+    }
+
+    /**
+     * Keep imported programs on this device
+     */
+    saveCustomPrograms() {
+        if (!this.cache) return;
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const key = user && !user.isGuest ? `workoutPrograms_${user.uid}` : 'workoutPrograms';
+        this.cache.set(key, this.customPrograms, 'localData');
+    }
+
+    /**
+     * Move the program along with the workout clock
+     */
+    updateProgram(elapsedSeconds, cadence) {
+        if (!this.program.hasProgram()) return;
+        
+        if (!this.program.isRunning && !this.program.isComplete) {
+            this.program.start(elapsedSeconds, this.metrics.distanceMeters);
+        } else {
+            this.program.update(elapsedSeconds, this.metrics.distanceMeters, cadence);
+        }
+        this.updateProgramUI(cadence);
+    }
+
+    /**
+     * Update the program HUD: segment, time left, cadence gauge and what's next
+     */
+    updateProgramUI(cadence = this.motionSource.getBobsPerMinute()) {
+        const program = this.program;
+        this.elements.programHud.style.display = program.hasProgram() ? 'flex' : 'none';
+        if (!program.hasProgram()) return;
+        
+        const segment = program.getCurrentSegment();
+        if (program.isComplete) {
+            this.elements.programSegmentName.textContent = `🏆 ${program.program.name} complete`;
+            this.elements.programRemaining.textContent = `${program.getResults().compliance}%`;
+        } else if (segment) {
+            const remaining = program.getRemaining();
+            this.elements.programSegmentName.textContent = `${program.index + 1}/${program.program.segments.length} ${segment.name}`;
+            this.elements.programRemaining.textContent = segment.distance
+                ? this.formatProgramDistance(remaining)
+                : VideoLibrary.formatDuration(remaining) || '0:00';
+        } else {
+            this.elements.programSegmentName.textContent = 'Starts with the workout clock';
+            this.elements.programRemaining.textContent = '';
+        }
+        
+        // Gauge from 100 to 200 steps/min: target band and actual cadence
+        const target = (segment || program.program.segments[0]).cadence;
+        const position = value => `${Math.min(100, Math.max(0, value - 100))}%`;
+        this.elements.cadenceTarget.style.left = position(target.min);
+        this.elements.cadenceTarget.style.width = `${Math.min(100, target.max - target.min)}%`;
+        this.elements.cadenceActual.style.left = position(cadence);
+        this.elements.cadenceActual.classList.toggle('in-range', cadence >= target.min && cadence <= target.max);
+        this.elements.cadenceTargetLabel.textContent = `${target.min}–${target.max}`;
+        this.elements.cadenceActualLabel.textContent = Math.round(cadence);
+        
+        this.elements.programUpcoming.innerHTML = '';
+        program.getUpcoming(3).forEach(next => {
+            const item = document.createElement('li');
+            const length = next.distance ? this.formatProgramDistance(next.distance) : VideoLibrary.formatDuration(next.duration);
+            item.textContent = `${next.name} · ${length} · ${next.cadence.min}–${next.cadence.max} spm`;
+            this.elements.programUpcoming.appendChild(item);
+        });
+    }
+
+    /**
+     * Program distances in the user's units (metres or miles)
+     */
+    formatProgramDistance(meters) {
+        return this.metrics.units === 'metric'
+            ? `${Math.round(meters)} m`
+            : `${(meters / 1609.344).toFixed(2)} mi`;
+    }
+
+    /**
+     * Show a prompt over the video for a few seconds (route, program)
+     */
+    showVideoPrompt(message) {
+        this.elements.routePrompt.textContent = message;
+        this.elements.routePrompt.style.display = 'block';
+        
+        clearTimeout(this.routePromptTimer);
+        this.routePromptTimer = setTimeout(() => {
+            this.elements.routePrompt.style.display = 'none';
+        }, 6000);
+    }
+
+    /**
+     * Import the videos in the folder URL from settings (once per URL and user)
+     */
+    async importVideoFolder() {
+        const folderUrl = this.settings?.get('videoFolderUrl');
+        const key = `${this.videoLibrary.getKey(this.auth?.getCurrentUser())}:${folderUrl}`;
+        if (!folderUrl || key === this.importedVideoFolder) return;
+        
+        this.importedVideoFolder = key;
+        try {
+            const added = await this.videoLibrary.importFolder(folderUrl);
+            if (added.length > 0) {
+                this.showLibraryMessage(`Added ${added.length} videos from your video folder`, 'success');
+            }
+        } catch (error) {
+            console.error('Error importing video folder:', error);
+            this.showLibraryMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show a status line under the add-video form
+     */
+    showLibraryMessage(message, type = 'info') {
+        const messageDiv = this.elements.videoLibraryMessage;
+        messageDiv.textContent = message;
+        messageDiv.className = `video-library-message ${type}`;
+    }
+
+    /**
+     * Fill in a library entry's title and duration from the playing video
+     * (entries added while YouTube was unreachable start with placeholders)
+     */
+    updateCurrentVideoInfo() {
+        const entry = this.currentEntryId ? this.videoLibrary.getEntry(this.currentEntryId) : null;
+        if (!entry || entry.playlistId || entry.duration) return;
+        
+        const data = this.videoPlayer.getVideoData();
+        const duration = Math.round(this.videoPlayer.getDuration());
+        if (data?.title && duration > 0) {
+            this.videoLibrary.updateEntry(entry.id, { title: data.title, duration });
+        }
+    }
+
+    /**
+     * Start the workout
+     */
+    async startWorkout() {
+        console.log('Starting workout...');
+        
+        // Offer calibration before the first workout
+        await this.offerCalibration();
+        
+        // Pick up where this video was left off, if the user wants to
+        const resumeAt = await this.offerResume();
+        
+        // Hide overlay
+        this.elements.videoOverlay.classList.add('hidden');
+        
+        // Start video (with ready check)
+        if (this.videoPlayer && this.videoPlayer.isReady) {
+            if (resumeAt !== null) {
+                this.videoPlayer.seekTo(resumeAt);
+            }
+            this.videoPlayer.play();
+        } else {
+            console.error('Video player not ready');
+            alert('Video player is still loading. Please wait a moment and try again.');
+            this.elements.videoOverlay.classList.remove('hidden');
+            return;
+        }
+        
+        // Endless run starts from this trail
+        this.trailQueue.reset(this.currentEntryId);
+        this.session.addTrail(this.currentVideoId, this.currentVideoTitle);
+        
         // Track workout start in analytics
         if (this.analytics) {
             this.analytics.trackEvent('workout_started', {
@@ -431,7 +1630,7 @@ class VirtualTrailRunApp {
         this.startMagicDecayMonitor();
         
         // Initialize camera if not already active
-        if (!this.headTracker.isCameraActive()) {
+        if (!this.motionSource.isCameraActive()) {
             try {
                 await this.toggleCamera();
             } catch (error) {
@@ -446,16 +1645,90 @@ class VirtualTrailRunApp {
             this.collectiblesGame.start(cameraFeed);
         }
         
-        this.isWorkoutActive = true;
+        this.session.start();
+    }
+
+    /**
+     * Ask whether to resume the current video at its saved position
+     * Resolves the position to seek to (0 to start over), or null when there's nothing to resume
+     */
+    offerResume() {
+        const position = this.playbackPositions && !this.getCurrentEntry()?.playlistId
+            ? this.playbackPositions.get(this.currentEntryId)
+            : null;
+        if (position === null) return Promise.resolve(null);
+        
+        this.elements.resumeButton.textContent = `▶️ Resume at ${VideoLibrary.formatDuration(position)}`;
+        this.elements.startButton.style.display = 'none';
+        this.elements.resumePrompt.style.display = 'flex';
+        
+        return new Promise(resolve => {
+            const choose = (resume) => {
+                this.elements.resumeButton.onclick = null;
+                this.elements.startOverButton.onclick = null;
+                this.elements.resumePrompt.style.display = 'none';
+                this.elements.startButton.style.display = '';
+                
+                if (!resume) {
+                    this.playbackPositions.clear(this.currentEntryId);
+                }
+                resolve(resume ? position : 0);
+            };
+            this.elements.resumeButton.onclick = () => choose(true);
+            this.elements.startOverButton.onclick = () => choose(false);
+        });
+    }
+
+    /**
+     * Save the current video's position every few seconds while it plays
+     */
+    startPositionSaver() {
+        if (this.positionSaveInterval) return;
+        
+        this.positionSaveInterval = setInterval(() => this.savePlaybackPosition(), 10000);
+    }
+
+    /**
+     * Stop the periodic position saves
+     */
+    stopPositionSaver() {
+        clearInterval(this.positionSaveInterval);
+        this.positionSaveInterval = null;
+    }
+
+    /**
+     * Remember the current video's position (flush also writes Firestore now)
+     * Playlists restart at their first video, so they aren't saved
+     */
+    savePlaybackPosition(flush = false) {
+        const entry = this.getCurrentEntry();
+        if (!this.playbackPositions || !entry || entry.playlistId) return;
+        
+        const position = this.videoPlayer.getCurrentTime();
+        if (position > 0) {
+            this.playbackPositions.set(entry.id, position, this.videoPlayer.getDuration());
+        }
+        if (flush) {
+            this.playbackPositions.flush();
+        }
+    }
+
+    /**
+     * The library entry being played, if any
+     */
+    getCurrentEntry() {
+        return this.currentEntryId && this.videoLibrary ? this.videoLibrary.getEntry(this.currentEntryId) : null;
     }
 
     /**
      * Toggle camera on/off
      */
     async toggleCamera() {
-        if (this.headTracker.isCameraActive()) {
+        if (this.motionSource.isCameraActive()) {
             // Turn off camera
-            this.headTracker.stop();
+            this.motionSource.stop();
+            this.elements.faceLostOverlay.style.display = 'none';
+            this.clearAutoPause();
             this.elements.toggleCamera.textContent = '📹 Enable Camera';
             this.elements.toggleCamera.classList.remove('active');
             this.elements.cameraStatus.textContent = 'Camera Off';
@@ -467,8 +1740,9 @@ class VirtualTrailRunApp {
                 this.elements.toggleCamera.textContent = 'Initializing...';
                 this.elements.toggleCamera.disabled = true;
                 
-                await this.headTracker.init();
-                this.headTracker.startTracking();
+                await this.motionSource.init();
+                await this.applyCalibration();
+                this.motionSource.startTracking();
                 
                 this.elements.toggleCamera.textContent = '📹 Disable Camera';
                 this.elements.toggleCamera.classList.add('active');
@@ -480,7 +1754,7 @@ class VirtualTrailRunApp {
                 if (this.videoPlayer.playing()) {
                     this.startWorkoutTimer();
                 }
-                
+            
             } catch (error) {
                 console.error('Error enabling camera:', error);
                 this.elements.toggleCamera.textContent = '📹 Enable Camera';
@@ -502,18 +1776,161 @@ class VirtualTrailRunApp {
     }
 
     /**
-     * Select a video to play
+     * Load the user's calibration profile and apply it to the tracker
      */
-    selectVideo(videoId, buttonElement) {
-        console.log('Selecting video:', videoId);
+    async applyCalibration() {
+        if (!this.calibration) return;
         
-        // Update UI
-        this.elements.videoOptions.forEach(btn => btn.classList.remove('active'));
-        buttonElement.classList.add('active');
+        const profile = await this.calibration.loadProfile();
+        if (profile) {
+            this.applyCalibrationProfile(profile);
+        }
+    }
+
+    /**
+     * Apply a calibration profile to the tracker and distance settings
+     */
+    applyCalibrationProfile(profile) {
+        this.motionSource.applyProfile(profile);
+        this.strideLength = profile.strideLength;
+        this.applySettings();
+    }
+
+    /**
+     * Apply user settings (units, stride length override)
+     */
+    applySettings() {
+        if (this.settings) {
+            this.metrics.setUnits(this.settings.get('units'));
+            this.goalsView?.renderRing(); // Distance goals follow the units
+        }
         
-        // Track current video
-        this.currentVideoId = videoId;
-        this.currentVideoTitle = buttonElement.textContent.trim();
+        // Motion-source backend
+        if (this.settings) {
+            this.applyMotionSourceSetting();
+            
+            this.speedSync.setCurve({
+                baseCadence: this.settings.get('speedSyncBaseCadence'),
+                fastCadence: this.settings.get('speedSyncFastCadence'),
+                stopBehavior: this.settings.get('speedSyncStop')
+            });
+            this.speedSync.setEnabled(!!this.settings.get('speedSync'));
+            this.elements.playbackRateBar.style.display = this.speedSync.enabled ? 'flex' : 'none';
+            this.updatePlaybackRateUI(this.speedSync.getRate());
+            
+            this.trailQueue.setMode(this.settings.get('endlessMode'));
+        }
+        
+        // A manual stride length wins over the calibrated one
+        const strideLength = this.settings?.get('strideLength') || this.strideLength;
+        if (strideLength) {
+            this.metrics.setStrideLength(strideLength);
+        }
+        
+        this.updateMetricsUI();
+    }
+
+    /**
+     * Start or stop the session recorder; stopping saves the recording
+     */
+    applyRecordingSetting(enabled) {
+        if (enabled && !this.recorder.isRecording) {
+            const video = document.getElementById('cameraFeed');
+            this.recorder.start({
+                source: this.motionSource.type,
+                model: this.motionSource.workerModel,
+                frameSize: {
+                    width: video?.videoWidth || 640,
+                    height: video?.videoHeight || 480
+                }
+            });
+            this.frameScheduler.setRecorder(this.recorder);
+        } else if (!enabled && this.recorder.isRecording) {
+            this.frameScheduler.setRecorder(null);
+            this.recorder.stop();
+            this.recorder.download();
+        }
+    }
+
+    /**
+     * Offer the calibration wizard if this user has no profile yet
+     */
+    async offerCalibration() {
+        if (!this.calibration || this.calibrationOffered) return;
+        this.calibrationOffered = true;
+        
+        // The profile is loaded when the camera starts
+        if (!this.motionSource.isCameraActive()) {
+            try {
+                await this.toggleCamera();
+            } catch (error) {
+                return; // toggleCamera already told the user
+            }
+        }
+        
+        if (!this.calibration.hasProfile()) {
+            await this.runCalibration();
+        }
+    }
+
+    /**
+     * Run the calibration wizard
+     */
+    async runCalibration() {
+        if (!this.calibration) return;
+        
+        if (!this.motionSource.isCameraActive()) {
+            try {
+                await this.toggleCamera();
+            } catch (error) {
+                return;
+            }
+        }
+        
+        // Calibration needs the tracker but not the video
+        this.videoPlayer.pause();
+        if (!this.motionSource.isActive()) {
+            this.motionSource.startTracking();
+        }
+        
+        const profile = await this.calibration.run();
+        if (profile) {
+            this.applyCalibrationProfile(profile);
+            this.showMessage('Calibration saved!', 'success');
+        }
+        
+        // Calibration steps don't belong to the workout that follows
+        if (!this.session.isActive()) {
+            this.motionSource.resetStats();
+            this.lastTotalBobs = 0;
+            this.metrics.reset();
+            this.elements.totalBobs.textContent = '0';
+            this.elements.bobsPerMinute.textContent = '0';
+            this.updateMetricsUI();
+        }
+    }
+
+    /**
+     * Select a video or playlist from the library to play
+     */
+    selectVideo(entryId) {
+        const entry = this.videoLibrary.getEntry(entryId);
+        if (!entry) return;
+        console.log('Selecting video:', entry.id);
+        
+        // Remember where the previous video got to
+        this.savePlaybackPosition(true);
+        
+        // Picked files don't survive a reload; ask for this one again
+        if (entry.backend === 'file' && !this.videoLibrary.getSource(entry)) {
+            this.pendingFileEntryId = entry.id;
+            this.showLibraryMessage(`Pick "${entry.fileName}" again to play it`, 'info');
+            this.elements.videoFileInput.click();
+            return;
+        }
+        
+        this.cancelNextTrail();
+        this.loadEntry(entry);
         
         // Track video selection in analytics
         if (this.analytics) {
@@ -523,42 +1940,152 @@ class VirtualTrailRunApp {
             });
         }
         
-        // Load video
-        this.videoPlayer.loadVideo(videoId);
-        
         // Show overlay again
         this.elements.videoOverlay.classList.remove('hidden');
     }
 
+    /**
+     * Id a workout records for a library entry (YouTube video or playlist id, or the entry id for files)
+     */
+    getTrailId(entry) {
+        return entry.videoId || entry.playlistId || entry.id;
+    }
+
+    /**
+     * Make a library entry the current trail and load it in the backend it needs
+     */
+    loadEntry(entry) {
+        const isFile = entry.backend === 'file';
+        
+        // Update UI
+        this.elements.videoList.querySelectorAll('.video-option').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.entryId === entry.id);
+        });
+        
+        // Track current video
+        this.currentEntryId = entry.id;
+        this.currentVideoId = this.getTrailId(entry);
+        this.currentVideoTitle = entry.title;
+        
+        this.switchVideoBackend(isFile ? 'file' : 'youtube');
+        if (isFile) {
+            this.videoPlayer.loadVideo(this.videoLibrary.getSource(entry), entry.id);
+        } else if (entry.playlistId) {
+            this.videoPlayer.loadPlaylist(entry.playlistId);
+        } else {
+            this.videoPlayer.loadVideo(entry.videoId);
+        }
+        this.loadRoute(entry);
+    }
+
+    /**
+     * Show the next trail and start it after a countdown
+     * reason explains a switch that wasn't planned (the video failed)
+     */
+    queueNextTrail(next, reason = '', seconds = 5) {
+        if (!next) return;
+        
+        this.cancelNextTrail();
+        this.nextTrailEntryId = next.id;
+        this.elements.nextTrailReason.textContent = reason;
+        this.elements.nextTrailTitle.textContent = next.title;
+        this.elements.nextTrailCard.style.display = 'flex';
+        
+        let remaining = seconds;
+        this.elements.nextTrailCountdown.textContent = `Next trail in ${remaining}…`;
+        this.nextTrailTimer = setInterval(() => {
+            remaining--;
+            if (remaining <= 0) {
+                this.playNextTrail();
+            } else {
+                this.elements.nextTrailCountdown.textContent = `Next trail in ${remaining}…`;
+            }
+        }, 1000);
+    }
+
+    /**
+     * Start the queued trail as part of the same workout
+     */
+    playNextTrail() {
+        const entry = this.videoLibrary.getEntry(this.nextTrailEntryId);
+        this.cancelNextTrail();
+        if (!entry) return;
+        
+        console.log('Next trail:', entry.id);
+        this.loadEntry(entry);
+        this.session.addTrail(this.currentVideoId, this.currentVideoTitle);
+        
+        // Local videos don't start by themselves
+        this.videoPlayer.play();
+        
+        if (this.analytics) {
+            this.analytics.trackEvent('trail_chained', {
+                videoId: this.currentVideoId,
+                videoTitle: this.currentVideoTitle,
+                trailNumber: this.session.trails.length
+            });
+        }
+    }
+
+    /**
+     * Hide the next-trail card and stop its countdown
+     */
+    cancelNextTrail() {
+        clearInterval(this.nextTrailTimer);
+        this.nextTrailTimer = null;
+        this.nextTrailEntryId = null;
+        this.elements.nextTrailCard.style.display = 'none';
+    }
+
     /**
      * Update movement UI
+     * verticalMovement is in relative units (% of eye distance or shoulder width)
      */
     updateMovementUI(verticalMovement) {
         // Update movement display
         this.elements.verticalMovement.textContent = verticalMovement.toFixed(1);
         
+        // Keep cadence current between steps (drops to 0 when standing still)
+        this.elements.bobsPerMinute.textContent = this.motionSource.getBobsPerMinute();
+        
         // Update indicator bar (scale to 0-100%)
-        const percentage = Math.min((verticalMovement / 20) * 100, 100);
+        const percentage = Math.min((verticalMovement / this.motionSource.fullScaleMovement) * 100, 100);
         this.elements.indicatorBar.style.width = percentage + '%';
     }
 
     /**
      * Update bob statistics
+     * totalBobs is the smoothed step count from the cadence estimator
      */
-    updateBobStats(totalBobs) {
-        this.elements.totalBobs.textContent = totalBobs;
+    updateBobStats(totalBobs, cadence = this.motionSource.getCadence()) {
+        // Update bobs per minute (dim the value while the estimate is uncertain)
+        this.elements.bobsPerMinute.textContent = cadence.stepsPerMinute;
+        this.elements.bobsPerMinute.classList.toggle('low-confidence', cadence.confidence < 0.6);
         
-        // Update bobs per minute
-        const bobsPerMinute = this.headTracker.getBobsPerMinute();
-        this.elements.bobsPerMinute.textContent = bobsPerMinute;
+        // Steps only count towards the workout while its clock runs
+        if (this.session.isRunning()) {
+            const workoutBobs = totalBobs - this.stepOffset;
+            this.session.setBobs(workoutBobs);
+            this.metrics.update(workoutBobs, cadence.stepsPerMinute, this.session.getElapsedSeconds());
+            this.updateMetricsUI();
+        }
+        this.elements.totalBobs.textContent = this.session.isActive() ? this.session.totalBobs : totalBobs;
         
         // Check if bobs increased (person is walking)
         if (totalBobs > this.lastTotalBobs) {
             this.lastBobTime = Date.now();
             this.lastTotalBobs = totalBobs;
+            this.idleSince = null;
             
-            // Update magic bar based on total bobs
-            this.magic = Math.min((totalBobs / this.bobsForFullMagic) * 100, this.maxMagic);
+            // Moving again after an idle auto-pause
+            if (this.autoPauseReason === 'idle') {
+                this.startResumeCountdown();
+            }
+            
+            // Update magic bar based on the workout's bobs
+            if (this.session.isActive()) {
+                this.magic = Math.min((this.session.totalBobs / this.bobsForFullMagic) * 100, this.maxMagic);
+            }
             
             // Add glowing class when increasing
             this.elements.magicBar.classList.add('magic-increasing');
@@ -570,6 +2097,23 @@ class VirtualTrailRunApp {
         this.updateStatBars();
     }
 
+    /**
+     * Update the distance, pace and speed displays
+     */
+    updateMetricsUI() {
+        const labels = this.metrics.getUnitLabels();
+        
+        this.elements.distance.textContent = this.metrics.getDistance().toFixed(2);
+        this.elements.distanceUnit.textContent = labels.distance;
+        this.elements.currentPace.textContent = this.metrics.formatPace(this.metrics.getCurrentPace());
+        this.elements.averagePace.textContent = this.metrics.formatPace(this.metrics.getAveragePace());
+        this.elements.paceUnit.textContent = labels.pace;
+        this.elements.speed.textContent = this.metrics.getSpeed().toFixed(1);
+        this.elements.speedUnit.textContent = labels.speed;
+        this.elements.ascent.textContent = Math.round(this.metrics.getAscent());
+        this.elements.ascentUnit.textContent = labels.ascent;
+    }
+
     /**
      * Start monitoring for magic decay when user stops walking
      */
@@ -583,7 +2127,7 @@ class VirtualTrailRunApp {
             const timeSinceLastBob = Date.now() - (this.lastBobTime || Date.now());
             
             // If more than 2 seconds since last bob and video is playing
-            if (timeSinceLastBob > 2000 && this.isWorkoutActive && !this.videoPlayer.isPaused()) {
+            if (timeSinceLastBob > 2000 && this.session.isActive() && !this.videoPlayer.isPaused() && !this.isBuffering) {
                 // Remove glowing effect, add decay effect
                 this.elements.magicBar.classList.remove('magic-increasing');
                 this.elements.magicBar.classList.add('magic-decaying');
@@ -597,6 +2141,8 @@ class VirtualTrailRunApp {
                 // User is walking, remove decay effect
                 this.elements.magicBar.classList.remove('magic-decaying');
             }
+            
+            this.checkAutoPause();
         }, 1000); // Check every second
     }
 
@@ -621,6 +2167,7 @@ class VirtualTrailRunApp {
         
         this.elements.healthBar.style.width = `${healthPercent}%`;
         this.elements.magicBar.style.width = `${magicPercent}%`;
+        this.session.setBars(this.health, this.magic);
     }
 
     /**
@@ -654,15 +2201,20 @@ class VirtualTrailRunApp {
     startWorkoutTimer() {
         if (this.workoutTimerInterval) return; // Already running
         
-        // Record when we're starting/resuming
-        this.workoutStartTime = Date.now();
+        // Start or resume the session's clock
+        if (this.session.state === 'idle') {
+            this.session.start();
+            this.session.addTrail(this.currentVideoId, this.currentVideoTitle);
+        } else {
+            this.session.resume();
+        }
         
         this.workoutTimerInterval = setInterval(() => {
             this.updateWorkoutTimer();
         }, 1000);
         
         // Restart collectibles game if not already active
-        if (this.collectiblesGame && !this.collectiblesGame.isActive && this.headTracker.isCameraActive()) {
+        if (this.collectiblesGame && !this.collectiblesGame.isActive && this.motionSource.isCameraActive()) {
             const cameraFeed = document.getElementById('cameraFeed');
             if (cameraFeed) {
                 this.collectiblesGame.start(cameraFeed);
@@ -673,21 +2225,20 @@ class VirtualTrailRunApp {
     /**
      * Pause the workout timer
      */
-    pauseWorkoutTimer() {
+    pauseWorkoutTimer(freezeCollectibles = false) {
         if (this.workoutTimerInterval) {
             clearInterval(this.workoutTimerInterval);
             this.workoutTimerInterval = null;
-            
-            // Add the elapsed time since last start to total
-            if (this.workoutStartTime) {
-                this.elapsedTime += Math.floor((Date.now() - this.workoutStartTime) / 1000);
-                this.workoutStartTime = null;
-            }
         }
+        this.session.pause();
         
-        // Stop collectibles game
+        // Stop collectibles game (or hold it still while the video buffers)
         if (this.collectiblesGame) {
-            this.collectiblesGame.stop();
+            if (freezeCollectibles) {
+                this.collectiblesGame.freeze();
+            } else {
+                this.collectiblesGame.stop();
+            }
         }
     }
 
@@ -695,122 +2246,260 @@ class VirtualTrailRunApp {
      * Update the workout timer display
      */
     updateWorkoutTimer() {
-        if (!this.workoutStartTime) return;
-        
-        // Calculate current session time plus any previous elapsed time
-        const currentSessionTime = Math.floor((Date.now() - this.workoutStartTime) / 1000);
-        const totalElapsed = this.elapsedTime + currentSessionTime;
+        if (!this.session.isRunning()) return;
         
+        const totalElapsed = this.session.getElapsedSeconds();
         const minutes = Math.floor(totalElapsed / 60);
         const seconds = totalElapsed % 60;
         
         this.elements.workoutTime.textContent = 
             `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        
+        // Keep average pace and current speed moving with the clock
+        const cadence = this.motionSource.getCadence();
+        this.metrics.update(cadence.stepCount, cadence.stepsPerMinute, totalElapsed);
+        this.updateRoute();
+        this.updateMetricsUI();
+        this.updateProgram(totalElapsed, cadence.stepsPerMinute);
+        this.session.sampler.sample({
+            t: totalElapsed,
+            cadence: cadence.stepsPerMinute,
+            bobs: this.session.totalBobs,
+            distance: this.metrics.distanceMeters,
+            videoTime: this.videoPlayer.getCurrentTime(),
+            magic: this.magic,
+            health: this.health
+        });
+        
+        // Scenery speed follows cadence (not while calibrating with the video paused)
+        if (!this.calibration?.isRunning()) {
+            this.speedSync.update(cadence.stepsPerMinute);
+        }
     }
 
     /**
-     * Reset all statistics
+     * Show the playback rate in effect in the HUD
      */
-    async resetStats() {
-        if (confirm('Reset all workout statistics?')) {
-            // Save workout before resetting if user is logged in and workout was substantial
-            const totalBobs = parseInt(this.elements.totalBobs.textContent) || 0;
-            const workoutMinutes = Math.floor(this.elapsedTime / 60);
-            
-            if (this.auth && this.auth.user && !this.auth.user.isGuest && totalBobs > 10) {
-                try {
-                    await this.saveWorkout();
-                } catch (error) {
-                    console.error('Error saving workout:', error);
-                }
-            }
-            
-            this.headTracker.resetStats();
-            this.workoutStartTime = null;
-            this.elapsedTime = 0;
-            this.pauseWorkoutTimer();
-            
-            this.elements.verticalMovement.textContent = '0.0';
-            this.elements.bobsPerMinute.textContent = '0';
-            this.elements.totalBobs.textContent = '0';
-            this.elements.workoutTime.textContent = '0:00';
-            this.elements.indicatorBar.style.width = '0%';
-            
-            // Reset health and magic
-            this.health = this.maxHealth;
-            this.magic = 0;
-            this.lastBobTime = null;
-            this.lastTotalBobs = 0;
-            this.stopMagicDecayMonitor();
-            this.updateStatBars();
-            
-            // Reset collectibles game
-            if (this.collectiblesGame) {
-                this.collectiblesGame.reset();
-            }
-            
-            console.log('Stats reset');
-        }
+    updatePlaybackRateUI(rate) {
+        this.elements.playbackRate.textContent = `${rate}×`;
     }
 
     /**
-     * Save completed workout to Firebase
+     * Create a new (idle) workout session over the app's metrics, program and game
      */
-    async saveWorkout() {
-        if (!this.auth || !this.auth.user || this.auth.user.isGuest) {
-            console.log('Guest user - workout not saved to cloud');
-            return;
+    createSession() {
+        const session = new WorkoutSession({
+            metrics: this.metrics,
+            program: this.program,
+            collectibles: this.collectiblesGame,
+            sampler: new WorkoutSampler()
+        });
+        session.on('stateChange', ({ state, previousState }) => {
+            this.updateStepOffset(state, previousState);
+            this.updateSessionUI();
+        });
+        return session;
+    }
+
+    /**
+     * Leave out steps taken before the start and while paused
+     * The motion source keeps counting throughout; the offset is what the workout skips
+     */
+    updateStepOffset(state, previousState) {
+        const steps = this.motionSource.getCadence().stepCount;
+        if (state === 'paused') {
+            this.stepsAtPause = steps;
+        } else if (state === 'running' && previousState === 'idle') {
+            this.stepOffset = steps;
+        } else if (state === 'running' && previousState === 'paused') {
+            this.stepOffset += steps - this.stepsAtPause;
         }
+    }
 
-        const totalBobs = parseInt(this.elements.totalBobs.textContent) || 0;
-        const bobsPerMinute = parseInt(this.elements.bobsPerMinute.textContent) || 0;
-        const durationSeconds = this.elapsedTime + 
-            (this.workoutStartTime ? Math.floor((Date.now() - this.workoutStartTime) / 1000) : 0);
-        const collectiblesScore = this.collectiblesGame ? this.collectiblesGame.getScore() : 0;
+    /**
+     * Enable the Finish button while a workout is in progress
+     */
+    updateSessionUI() {
+        if (this.elements?.finishWorkout) {
+            this.elements.finishWorkout.disabled = !this.session.isActive();
+        }
+    }
 
-        const workoutData = {
-            userId: this.auth.user.uid,
-            videoId: this.currentVideoId,
-            videoTitle: this.currentVideoTitle,
-            date: new Date().toISOString(),
-            duration: durationSeconds,
-            totalBobs: totalBobs,
-            magic: Math.floor(this.magic),
-            health: Math.floor(this.health),
-            avgBobsPerMinute: bobsPerMinute,
-            collectiblesScore: collectiblesScore,
-            completedAt: Date.now()
-        };
+    /**
+     * Finish the workout: stop, fix the summary, show it (the user saves or
+     * discards it) and start afresh
+     * Also called when the video ends (and no endless-run trail follows)
+     * Resolves the summary, or null if no workout was in progress
+     */
+    async finishWorkout() {
+        if (!this.session.isActive()) return null;
+        
+        this.cancelNextTrail();
+        this.videoPlayer.pause();
+        this.pauseWorkoutTimer();
+        this.stopMagicDecayMonitor();
+        
+        // Bring distance up to the final second before the summary is fixed
+        const cadence = this.motionSource.getCadence();
+        this.metrics.update(this.session.totalBobs, cadence.stepsPerMinute, this.session.getElapsedSeconds());
+        const summary = this.session.complete();
+        console.log('Workout complete:', summary);
+        
+        // New records and badges show now; they're kept if the workout is saved
+        const session = this.session;
+        const series = session.sampler.toJSON();
+        const achieved = this.achievements ? this.achievements.evaluate(summary, {
+            samples: series.samples,
+            trailIds: this.videoLibrary.getEntries().map(entry => this.getTrailId(entry))
+        }) : null;
+        
+        const isGuest = !this.auth || !this.auth.isLoggedIn() || this.auth.isGuestUser();
+        let saved = false; // Retry only repeats what failed
+        const result = await this.summaryView.open(summary, series, {
+            save: async () => {
+                if (!saved) {
+                    await this.saveWorkout(summary, session.sampler);
+                    saved = true;
+                }
+                await this.recordSavedWorkout(summary, achieved);
+            },
+            saveLabel: isGuest ? '💾 Save on this device' : '💾 Save',
+            achievements: achieved
+        });
+        if (result === 'discarded') {
+            session.discard();
+        }
+        
+        this.resetWorkout();
+        return session.getSummary();
+    }
 
+    /**
+     * Count a stored workout towards analytics, records, goals and the plan
+     * The workout is already saved, so a failure here is reported rather than retried
+     */
+    async recordSavedWorkout(summary, achieved) {
         try {
-            // Save to Firestore
-            const db = window.firebaseApp.db;
-            if (db) {
-                await db.collection('workouts').add(workoutData);
-                console.log('Workout saved successfully');
-                this.showMessage('Workout saved!', 'success');
-            } else {
-                console.log('Firestore not initialized - workout not saved');
-            }
-            
-            // Track in analytics
             if (this.analytics) {
-                this.analytics.trackEvent('workout_completed', {
-                    videoId: this.currentVideoId,
-                    videoTitle: this.currentVideoTitle,
-                    duration: durationSeconds,
-                    totalBobs: totalBobs,
-                    distance: miles,
-                    collectiblesScore: collectiblesScore
+                this.analytics.trackWorkoutComplete({
+                    videoId: summary.videoId,
+                    duration: summary.duration,
+                    totalBobs: summary.totalBobs,
+                    distance: summary.distance,
+                    bobsPerMinute: summary.avgBobsPerMinute
                 });
             }
-            
-            console.log('Workout saved successfully');
-            this.showMessage('Workout saved!', 'success');
+            if (achieved) {
+                await this.achievements.commit(achieved);
+            }
+            const goal = await this.weeklyGoals.record(summary);
+            const plan = await this.trainingPlans.record(summary);
+            if (plan?.planCompleted) {
+                this.showMessage(`🎉 You finished ${this.trainingPlans.state.plan.name}!`, 'success');
+            } else if (plan?.completed) {
+                this.showMessage(`✅ Plan workout done: ${plan.session.name}`, 'success');
+            } else if (goal.goalMet) {
+                this.showMessage('🎯 Weekly goal reached! You earned a freeze day', 'success');
+            } else if (goal.frozenDays.length > 0) {
+                this.showMessage(`🧊 ${goal.frozenDays.length} freeze ${goal.frozenDays.length === 1 ? 'day' : 'days'} kept your streak going`, 'success');
+            }
         } catch (error) {
-            console.error('Error saving workout:', error);
-            throw error;
+            console.error('Error recording saved workout:', error);
+            this.showMessage('Workout saved, but your records and goals could not be updated', 'error');
+        }
+    }
+
+    /**
+     * Reset all statistics (discards the workout in progress)
+     */
+    async resetStats() {
+        if (confirm('Discard this workout and reset all statistics?')) {
+            this.resetWorkout();
+        }
+    }
+
+    /**
+     * Throw away the current session (unless it's finished) and start a new one
+     */
+    resetWorkout() {
+        if (this.session.state !== 'completed') {
+            this.session.discard();
+        }
+        this.pauseWorkoutTimer();
+        this.session = this.createSession();
+        this.updateSessionUI();
+        
+        this.motionSource.resetStats();
+        
+        this.elements.verticalMovement.textContent = '0.0';
+        this.elements.bobsPerMinute.textContent = '0';
+        this.elements.totalBobs.textContent = '0';
+        this.elements.workoutTime.textContent = '0:00';
+        this.elements.indicatorBar.style.width = '0%';
+        
+        // Reset distance, pace, speed and ascent
+        this.metrics.reset();
+        this.routeGuide.resetAscent();
+        this.program.reset();
+        this.updateProgramUI();
+        this.updateMetricsUI();
+        
+        // Reset health and magic
+        this.health = this.maxHealth;
+        this.magic = 0;
+        this.lastBobTime = null;
+        this.lastTotalBobs = 0;
+        this.stopMagicDecayMonitor();
+        this.clearAutoPause();
+        this.speedSync.reset();
+        this.updateStatBars();
+        
+        // Reset collectibles game
+        if (this.collectiblesGame) {
+            this.collectiblesGame.reset();
         }
+        
+        // A backend picked during the workout takes over now
+        if (this.settings) {
+            this.applyMotionSourceSetting();
+        }
+        
+        console.log('Stats reset');
+    }
+
+    /**
+     * Save a completed workout's summary to Firebase, with its time series
+     * (workouts/{summary.id}, samples in workouts/{summary.id}/samples)
+     * Guests keep it on this device instead
+     * Throws if the workout couldn't be stored
+     */
+    async saveWorkout(summary, sampler = this.session.sampler) {
+        if (!this.auth || !this.auth.isLoggedIn() || this.auth.isGuestUser()) {
+            if (!this.workoutHistory.addLocal(summary, sampler)) {
+                throw new Error('This device is out of storage');
+            }
+            console.log('Guest user - workout saved on this device');
+            this.showMessage('Workout saved on this device', 'success');
+            return;
+        }
+        
+        const db = window.firebaseApp.db;
+        if (!db) {
+            throw new Error('Firestore not initialized');
+        }
+        
+        const workoutData = {
+            ...summary,
+            userId: this.auth.getCurrentUser().uid,
+            completedAt: summary.endedAt
+        };
+        
+        const workoutRef = db.collection('workouts').doc(summary.id);
+        await workoutRef.set(workoutData);
+        await sampler.save(workoutRef);
+        this.workoutHistory.invalidate();
+        console.log('Workout saved successfully');
+        this.showMessage('Workout saved!', 'success');
     }
 }
 
@@ -835,7 +2524,13 @@ document.addEventListener('visibilitychange', () => {
 
 // Handle page unload (cleanup)
 window.addEventListener('beforeunload', () => {
-    if (app && app.headTracker) {
-        app.headTracker.stop();
+    if (app) {
+        app.savePlaybackPosition(true);
+    }
+    if (app && app.motionSource) {
+        app.motionSource.stop();
+    }
+    if (app && app.frameScheduler) {
+        app.frameScheduler.destroy();
     }
 });
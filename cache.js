@@ -18,6 +18,11 @@ class CacheManager {
             appConfig: 24 * 60 * 60 * 1000         // 24 hours
         };
         
+        // Data that may exist only on this device (guests' workouts, library,
+        // settings, records, goals, plans, calibration): never expires and is
+        // never cleared to make room
+        this.persistentCategories = ['localData'];
+        
         // Track cache hits/misses for optimization
         this.stats = {
             hits: 0,
@@ -58,7 +63,7 @@ class CacheManager {
             const { data, expiry } = JSON.parse(cached);
             
             // Check if expired
-            if (Date.now() > expiry) {
+            if (expiry !== null && Date.now() > expiry) {
                 this.remove(key, category);
                 this.stats.misses++;
                 return null;
@@ -81,7 +86,7 @@ class CacheManager {
     set(key, data, category = 'default', customTTL = null) {
         const cacheKey = this.getCacheKey(key, category);
         const ttl = customTTL || this.ttls[category] || this.defaultTTL;
-        const expiry = Date.now() + ttl;
+        const expiry = this.persistentCategories.includes(category) ? null : Date.now() + ttl;
         
         try {
             const cacheData = {
@@ -93,7 +98,7 @@ class CacheManager {
             
             localStorage.setItem(cacheKey, JSON.stringify(cacheData));
             this.stats.writes++;
-            console.log(`Cache SET: ${category}/${key} (TTL: ${ttl / 1000}s)`);
+            console.log(`Cache SET: ${category}/${key} (TTL: ${expiry === null ? 'none' : `${ttl / 1000}s`})`);
             return true;
             
         } catch (error) {
@@ -156,6 +161,16 @@ class CacheManager {
         }
     }
 
+    /**
+     * Remove every item in a category whose key starts with keyPrefix
+     */
+    removeMatching(keyPrefix, category = 'default') {
+        const prefix = this.getCacheKey(keyPrefix, category);
+        const keys = Object.keys(localStorage).filter(key => key.startsWith(prefix));
+        keys.forEach(key => localStorage.removeItem(key));
+        console.log(`Cache REMOVE: ${category}/${keyPrefix}* (${keys.length} entries)`);
+    }
+
     /**
      * Clean expired entries
      */
@@ -169,7 +184,7 @@ class CacheManager {
                     const cached = localStorage.getItem(key);
                     const { expiry } = JSON.parse(cached);
                     
-                    if (Date.now() > expiry) {
+                    if (expiry !== null && Date.now() > expiry) {
                         localStorage.removeItem(key);
                         cleaned++;
                     }
@@ -197,8 +212,10 @@ class CacheManager {
             if (key.startsWith(this.prefix)) {
                 try {
                     const cached = localStorage.getItem(key);
-                    const { cachedAt } = JSON.parse(cached);
-                    cacheEntries.push({ key, cachedAt });
+                    const { cachedAt, category } = JSON.parse(cached);
+                    if (!this.persistentCategories.includes(category)) {
+                        cacheEntries.push({ key, cachedAt });
+                    }
                 } catch (error) {
                     // Invalid entry
                 }
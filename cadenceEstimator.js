@@ -0,0 +1,255 @@
+/**
+ * Cadence Estimator Module
+ * Finds the dominant step frequency in the nose-Y signal using autocorrelation
+ * over a sliding window, so the step count no longer depends on frame rate,
+ * per-frame jitter or a fixed pixel threshold
+ */
+
+class CadenceEstimator {
+    constructor(options = {}) {
+        // Sliding window of raw samples
+        this.windowMs = options.windowMs || 8000; // Analyse the last 8 seconds
+        this.minWindowMs = options.minWindowMs || 3000; // Need 3 seconds before estimating
+        this.maxGapMs = options.maxGapMs || 500; // A longer gap (face lost) restarts the window
+        this.samples = []; // { t, y }
+        
+        // Analysis settings
+        this.sampleRate = options.sampleRate || 30; // Resample to a uniform 30 Hz
+        this.minStepsPerMinute = options.minStepsPerMinute || 60;
+        this.maxStepsPerMinute = options.maxStepsPerMinute || 220;
+        this.minConfidence = options.minConfidence || 0.4; // Below this we assume no steady stepping
+        this.minAmplitude = options.minAmplitude || 0; // Smaller bobs (RMS, input units) are sway, not steps
+        this.estimateIntervalMs = options.estimateIntervalMs || 250;
+        this.smoothing = options.smoothing || 0.3; // EMA weight for new estimates
+        
+        // Output
+        this.stepsPerMinute = 0;
+        this.confidence = 0;
+        this.stepCount = 0; // Fractional, integrated from the smoothed cadence
+        
+        this.lastEstimateTime = null;
+        this.lastSampleTime = null;
+    }
+
+    /**
+     * Add a nose-Y sample (any unit, only the shape of the signal matters)
+     */
+    addSample(y, timestamp = Date.now()) {
+        if (this.lastSampleTime !== null) {
+            const dt = timestamp - this.lastSampleTime;
+            
+            if (dt > this.maxGapMs) {
+                // Signal dropped out - don't correlate across the gap
+                this.samples = [];
+                this.stepsPerMinute = 0;
+                this.confidence = 0;
+            } else if (dt > 0 && this.confidence >= this.minConfidence) {
+                // Integrate steps from the current cadence
+                this.stepCount += (this.stepsPerMinute / 60) * (dt / 1000);
+            }
+        }
+        
+        this.lastSampleTime = timestamp;
+        this.samples.push({ t: timestamp, y });
+        
+        // Drop samples that have left the window
+        const windowStart = timestamp - this.windowMs;
+        while (this.samples.length > 0 && this.samples[0].t < windowStart) {
+            this.samples.shift();
+        }
+        
+        if (this.lastEstimateTime === null || timestamp - this.lastEstimateTime >= this.estimateIntervalMs) {
+            this.lastEstimateTime = timestamp;
+            this.estimate();
+        }
+    }
+
+    /**
+     * Re-estimate cadence from the current window
+     */
+    estimate() {
+        const signal = this.resample();
+        if (!signal) return;
+        
+        // Swaying or fidgeting in place can be periodic too; it's just too small
+        const result = this.rms(signal) < this.minAmplitude ? null : this.findDominantPeriod(signal);
+        
+        if (!result || result.confidence < this.minConfidence) {
+            // No clear periodicity - treat as standing still
+            this.confidence = result ? result.confidence : 0;
+            this.stepsPerMinute = this.stepsPerMinute * (1 - this.smoothing);
+            if (this.stepsPerMinute < 1) this.stepsPerMinute = 0;
+            return;
+        }
+        
+        const estimate = 60 * this.sampleRate / result.lag;
+        this.stepsPerMinute = this.stepsPerMinute === 0
+            ? estimate
+            : this.stepsPerMinute + this.smoothing * (estimate - this.stepsPerMinute);
+        this.confidence = result.confidence;
+    }
+
+    /**
+     * Resample the buffered samples onto a uniform grid (linear interpolation)
+     * and remove the mean. Returns null if the window is too short.
+     */
+    resample() {
+        if (this.samples.length < 2) return null;
+        
+        const start = this.samples[0].t;
+        const end = this.samples[this.samples.length - 1].t;
+        if (end - start < this.minWindowMs) return null;
+        
+        const step = 1000 / this.sampleRate;
+        const count = Math.floor((end - start) / step) + 1;
+        const signal = new Float64Array(count);
+        
+        let j = 0;
+        for (let i = 0; i < count; i++) {
+            const t = start + i * step;
+            while (j < this.samples.length - 2 && this.samples[j + 1].t < t) {
+                j++;
+            }
+            const a = this.samples[j];
+            const b = this.samples[j + 1];
+            const span = b.t - a.t;
+            const ratio = span > 0 ? Math.min(Math.max((t - a.t) / span, 0), 1) : 0;
+            signal[i] = a.y + (b.y - a.y) * ratio;
+        }
+        
+        // Remove mean and linear drift (runner slowly leaning in or out)
+        const n = signal.length;
+        let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+        for (let i = 0; i < n; i++) {
+            sumX += i;
+            sumY += signal[i];
+            sumXY += i * signal[i];
+            sumXX += i * i;
+        }
+        const denom = n * sumXX - sumX * sumX;
+        const slope = denom !== 0 ? (n * sumXY - sumX * sumY) / denom : 0;
+        const intercept = (sumY - slope * sumX) / n;
+        for (let i = 0; i < n; i++) {
+            signal[i] -= intercept + slope * i;
+        }
+        
+        return signal;
+    }
+
+    /**
+     * Root mean square of a mean-removed signal
+     */
+    rms(signal) {
+        if (signal.length === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < signal.length; i++) {
+            sum += signal[i] * signal[i];
+        }
+        return Math.sqrt(sum / signal.length);
+    }
+
+    /**
+     * Bob size in the current window (RMS of the detrended signal), 0 if too short
+     */
+    getAmplitude() {
+        const signal = this.resample();
+        return signal ? this.rms(signal) : 0;
+    }
+
+    /**
+     * Set the smallest bob that counts as stepping (from calibration)
+     */
+    setMinAmplitude(minAmplitude) {
+        this.minAmplitude = minAmplitude;
+    }
+
+    /**
+     * Find the dominant period via normalized autocorrelation.
+     * Returns { lag, confidence } with lag in samples (fractional), or null.
+     */
+    findDominantPeriod(signal) {
+        const n = signal.length;
+        const minLag = Math.max(1, Math.floor(60 * this.sampleRate / this.maxStepsPerMinute));
+        const maxLag = Math.min(n - 1, Math.ceil(60 * this.sampleRate / this.minStepsPerMinute));
+        if (maxLag <= minLag + 1) return null;
+        
+        let energy = 0;
+        for (let i = 0; i < n; i++) {
+            energy += signal[i] * signal[i];
+        }
+        if (energy === 0) return null;
+        
+        // Autocorrelation for lags minLag-1 .. maxLag+1 (neighbours needed for peak picking)
+        const correlations = new Float64Array(maxLag + 2);
+        for (let lag = minLag - 1; lag <= maxLag + 1 && lag < n; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) {
+                sum += signal[i] * signal[i + lag];
+            }
+            // Unbiased, normalized to [-1, 1]
+            correlations[lag] = (sum / (n - lag)) / (energy / n);
+        }
+        
+        // Collect local maxima in the allowed range
+        const peaks = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const value = correlations[lag];
+            if (value > 0 && value >= correlations[lag - 1] && value >= correlations[lag + 1]) {
+                peaks.push({ lag, value });
+            }
+        }
+        if (peaks.length === 0) return null;
+        
+        // Prefer the shortest period close to the best one, so a two-step
+        // (stride) repeat doesn't halve the cadence
+        const best = Math.max(...peaks.map(p => p.value));
+        const chosen = peaks.find(p => p.value >= best * 0.85);
+        
+        // Parabolic interpolation for sub-sample accuracy
+        const y0 = correlations[chosen.lag - 1];
+        const y1 = correlations[chosen.lag];
+        const y2 = correlations[chosen.lag + 1];
+        const curvature = y0 - 2 * y1 + y2;
+        const offset = curvature !== 0 ? 0.5 * (y0 - y2) / curvature : 0;
+        
+        return {
+            lag: chosen.lag + Math.max(-0.5, Math.min(0.5, offset)),
+            confidence: Math.max(0, Math.min(1, chosen.value))
+        };
+    }
+
+    /**
+     * Get the current estimate
+     */
+    getEstimate() {
+        return {
+            stepsPerMinute: Math.round(this.stepsPerMinute),
+            confidence: this.confidence,
+            stepCount: Math.floor(this.stepCount)
+        };
+    }
+
+    /**
+     * Clear the sample window but keep the step count
+     */
+    clearWindow() {
+        this.samples = [];
+        this.lastSampleTime = null;
+        this.lastEstimateTime = null;
+        this.stepsPerMinute = 0;
+        this.confidence = 0;
+    }
+
+    /**
+     * Reset everything including the step count
+     */
+    reset() {
+        this.clearWindow();
+        this.stepCount = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CadenceEstimator;
+}
@@ -0,0 +1,401 @@
+/**
+ * Calibration Module
+ * Guided wizard that records the runner standing still and walking at a known
+ * treadmill speed, then derives a personal bob profile (noise floor, bob
+ * amplitude, step gate and stride length) and persists it
+ */
+
+class CalibrationManager {
+    constructor(motionSource, cacheManager = null, authManager = null) {
+        this.motionSource = motionSource;
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.profile = null;
+        this.panel = null;
+        this.timer = null;
+        this.resolveRun = null;
+        
+        // Recording phases
+        this.prepareSeconds = 3; // Countdown before each recording
+        this.standSeconds = 25;
+        this.walkSeconds = 30;
+        this.defaultWalkSpeed = 3.0; // mph
+        
+        // Persistence
+        this.cacheKey = 'calibration';
+    }
+
+    /**
+     * Load the saved profile for the current user
+     * Cache first; account users fall back to their Firestore users doc
+     */
+    async loadProfile() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const key = this.getProfileKey(user);
+        
+        let profile = this.cache ? this.cache.get(key, 'localData') : null;
+        
+        if (!profile && user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                const doc = await window.firebaseApp.db.collection('users').doc(user.uid).get();
+                profile = doc.exists ? (doc.data().calibration || null) : null;
+                
+                if (profile && this.cache) {
+                    this.cache.set(key, profile, 'localData');
+                }
+            } catch (error) {
+                console.error('Error loading calibration profile:', error);
+            }
+        }
+        
+        this.profile = profile;
+        return profile;
+    }
+
+    /**
+     * Save a profile through CacheManager and, for accounts, to Firestore
+     */
+    async saveProfile(profile) {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        this.profile = profile;
+        
+        if (this.cache) {
+            this.cache.set(this.getProfileKey(user), profile, 'localData');
+        }
+        
+        if (user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                await window.firebaseApp.db.collection('users').doc(user.uid).set(
+                    { calibration: profile },
+                    { merge: true }
+                );
+                console.log('Calibration profile saved to Firestore');
+            } catch (error) {
+                console.error('Error saving calibration profile:', error);
+            }
+        }
+    }
+
+    /**
+     * Cache key for the user's profile (guests share one local slot)
+     */
+    getProfileKey(user) {
+        return user && !user.isGuest ? `${this.cacheKey}_${user.uid}` : this.cacheKey;
+    }
+
+    /**
+     * Check if a profile has been loaded
+     */
+    hasProfile() {
+        return this.profile !== null;
+    }
+
+    /**
+     * Check if the wizard is open
+     */
+    isRunning() {
+        return Boolean(this.resolveRun);
+    }
+
+    /**
+     * Run the wizard. Resolves with the saved profile, or null if skipped.
+     * The motion source must already be tracking.
+     */
+    run() {
+        return new Promise((resolve) => {
+            this.resolveRun = resolve;
+            this.openPanel();
+            this.showIntro();
+        });
+    }
+
+    /**
+     * Create and show the wizard panel
+     */
+    openPanel() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'calibrationPanel';
+            this.panel.className = 'calibration-panel';
+            document.body.appendChild(this.panel);
+        }
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Close the wizard and resolve the run() promise
+     */
+    finish(profile) {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.motionSource.stopRecording();
+        
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+        
+        if (this.resolveRun) {
+            this.resolveRun(profile);
+            this.resolveRun = null;
+        }
+    }
+
+    /**
+     * Step 1: explain and ask for the walking speed
+     */
+    showIntro() {
+        this.panel.innerHTML = `
+            <div class="calibration-content">
+                <h2>🎯 Calibrate Your Stride</h2>
+                <p>We'll record you for about a minute so step counting fits your height and gait.</p>
+                <ol class="calibration-steps">
+                    <li>Stand still on the treadmill for ${this.standSeconds} seconds</li>
+                    <li>Walk at a steady speed for ${this.walkSeconds} seconds</li>
+                </ol>
+                <label class="calibration-speed">
+                    Walking speed
+                    <input type="number" id="calibrationSpeed" min="0.5" max="6" step="0.1" value="${this.defaultWalkSpeed}">
+                    <select id="calibrationSpeedUnit">
+                        <option value="mph">mph</option>
+                        <option value="kmh">km/h</option>
+                    </select>
+                </label>
+                <div class="calibration-actions">
+                    <button class="control-button secondary" id="calibrationSkip">Skip for now</button>
+                    <button class="control-button" id="calibrationBegin">Begin</button>
+                </div>
+            </div>
+        `;
+        
+        this.panel.querySelector('#calibrationSkip').addEventListener('click', () => this.finish(null));
+        this.panel.querySelector('#calibrationBegin').addEventListener('click', () => {
+            const speed = parseFloat(this.panel.querySelector('#calibrationSpeed').value);
+            const unit = this.panel.querySelector('#calibrationSpeedUnit').value;
+            
+            if (!speed || speed <= 0) {
+                alert('Please enter your treadmill speed.');
+                return;
+            }
+            
+            // Work in metres per second internally
+            const metersPerSecond = unit === 'kmh' ? speed / 3.6 : speed * 0.44704;
+            this.runPhases(metersPerSecond, { speed, unit });
+        });
+    }
+
+    /**
+     * Steps 2 and 3: record standing, then walking
+     */
+    async runPhases(metersPerSecond, displaySpeed) {
+        const standSamples = await this.recordPhase(
+            'Stand still',
+            'Keep your head steady and look at the screen.',
+            this.standSeconds
+        );
+        if (!standSamples) return;
+        
+        const walkSamples = await this.recordPhase(
+            `Walk at ${displaySpeed.speed} ${displaySpeed.unit === 'kmh' ? 'km/h' : 'mph'}`,
+            'Start the treadmill and walk normally.',
+            this.walkSeconds
+        );
+        if (!walkSamples) return;
+        
+        const profile = this.deriveProfile(standSamples, walkSamples, metersPerSecond);
+        if (!profile) {
+            this.showError('We couldn\'t see your face clearly enough. Check the lighting and try again.');
+            return;
+        }
+        
+        this.showResult(profile);
+    }
+
+    /**
+     * Countdown, then record samples for the given number of seconds
+     * Resolves with the samples, or null if cancelled
+     */
+    recordPhase(title, instructions, seconds) {
+        return new Promise((resolve) => {
+            let remaining = this.prepareSeconds;
+            let recording = false;
+            
+            this.panel.innerHTML = `
+                <div class="calibration-content">
+                    <h2>${title}</h2>
+                    <p>${instructions}</p>
+                    <div class="calibration-countdown" id="calibrationCountdown">Starting in ${remaining}…</div>
+                    <div class="movement-indicator">
+                        <div class="indicator-bar" id="calibrationProgress"></div>
+                    </div>
+                    <div class="calibration-actions">
+                        <button class="control-button secondary" id="calibrationCancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+            
+            const countdown = this.panel.querySelector('#calibrationCountdown');
+            const progress = this.panel.querySelector('#calibrationProgress');
+            
+            this.panel.querySelector('#calibrationCancel').addEventListener('click', () => {
+                this.finish(null);
+                resolve(null);
+            });
+            
+            this.timer = setInterval(() => {
+                remaining--;
+                
+                if (!recording) {
+                    if (remaining > 0) {
+                        countdown.textContent = `Starting in ${remaining}…`;
+                        return;
+                    }
+                    recording = true;
+                    remaining = seconds;
+                    this.motionSource.startRecording();
+                }
+                
+                if (remaining <= 0) {
+                    clearInterval(this.timer);
+                    this.timer = null;
+                    resolve(this.motionSource.stopRecording());
+                    return;
+                }
+                
+                countdown.textContent = `${remaining}s`;
+                progress.style.width = `${((seconds - remaining) / seconds) * 100}%`;
+            }, 1000);
+        });
+    }
+
+    /**
+     * Derive the profile from the two recordings
+     * Samples are { t, y, movement } in the source's relative units
+     */
+    deriveProfile(standSamples, walkSamples, metersPerSecond) {
+        // Expect at least ~5 fps worth of face detections in each phase
+        if (standSamples.length < this.standSeconds * 5 || walkSamples.length < this.walkSeconds * 5) {
+            return null;
+        }
+        
+        const standMovement = standSamples.map(s => Math.abs(s.movement));
+        const walkMovement = walkSamples.map(s => Math.abs(s.movement));
+        
+        // Noise floor: what the tracker reports while standing still
+        const noiseFloor = this.percentile(standMovement, 0.95);
+        // Bob amplitude: typical per-frame movement at the top of each bob
+        const bobAmplitude = this.percentile(walkMovement, 0.9);
+        
+        if (bobAmplitude <= noiseFloor) {
+            return null;
+        }
+        
+        // Raw bob counter threshold, halfway between noise and bobs but safely above the noise
+        const bobThreshold = Math.max(noiseFloor * 1.5, noiseFloor + (bobAmplitude - noiseFloor) * 0.5);
+        
+        // Cadence over the walk gives steps per second at a known speed
+        const estimator = new CadenceEstimator();
+        walkSamples.forEach(s => estimator.addSample(s.y, s.t));
+        const cadence = estimator.getEstimate();
+        
+        if (cadence.stepsPerMinute === 0) {
+            return null;
+        }
+        
+        // Step gate for the cadence estimator: sway while standing vs bob while walking
+        const standEstimator = new CadenceEstimator();
+        standSamples.forEach(s => standEstimator.addSample(s.y, s.t));
+        const standSway = standEstimator.getAmplitude();
+        const walkBob = estimator.getAmplitude();
+        
+        if (walkBob <= standSway) {
+            return null;
+        }
+        
+        // A quarter of the way up from sway, so faster running (bigger bobs) always clears it
+        const minAmplitude = Math.max(standSway * 1.5, standSway + (walkBob - standSway) * 0.25);
+        
+        const strideLength = metersPerSecond / (cadence.stepsPerMinute / 60);
+        
+        return {
+            noiseFloor: Number(noiseFloor.toFixed(2)),
+            bobAmplitude: Number(bobAmplitude.toFixed(2)),
+            bobThreshold: Number(bobThreshold.toFixed(2)),
+            minAmplitude: Number(minAmplitude.toFixed(2)),
+            strideLength: Number(strideLength.toFixed(3)), // metres per step
+            walkCadence: cadence.stepsPerMinute,
+            source: this.motionSource.type, // Thresholds are in this source's units
+            calibratedAt: Date.now()
+        };
+    }
+
+    /**
+     * Get the p-th percentile (0-1) of a list of numbers
+     */
+    percentile(values, p) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+        return sorted[index];
+    }
+
+    /**
+     * Step 4: show the result and let the user save it
+     */
+    showResult(profile) {
+        const strideInches = profile.strideLength * 39.3701;
+        
+        this.panel.innerHTML = `
+            <div class="calibration-content">
+                <h2>✅ Calibration Complete</h2>
+                <div class="stat-item">
+                    <span class="stat-label">Walking cadence:</span>
+                    <span class="stat-value">${profile.walkCadence} steps/min</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Stride length:</span>
+                    <span class="stat-value">${strideInches.toFixed(0)} in (${profile.strideLength.toFixed(2)} m)</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Smallest bob counted as a step:</span>
+                    <span class="stat-value">${profile.minAmplitude.toFixed(1)}</span>
+                </div>
+                <div class="calibration-actions">
+                    <button class="control-button secondary" id="calibrationRetry">Try Again</button>
+                    <button class="control-button" id="calibrationSave">Save Profile</button>
+                </div>
+            </div>
+        `;
+        
+        this.panel.querySelector('#calibrationRetry').addEventListener('click', () => this.showIntro());
+        this.panel.querySelector('#calibrationSave').addEventListener('click', async () => {
+            await this.saveProfile(profile);
+            this.finish(profile);
+        });
+    }
+
+    /**
+     * Show an error with retry/skip options
+     */
+    showError(message) {
+        this.panel.innerHTML = `
+            <div class="calibration-content">
+                <h2>⚠️ Calibration Failed</h2>
+                <p>${message}</p>
+                <div class="calibration-actions">
+                    <button class="control-button secondary" id="calibrationSkip">Skip for now</button>
+                    <button class="control-button" id="calibrationRetry">Try Again</button>
+                </div>
+            </div>
+        `;
+        
+        this.panel.querySelector('#calibrationSkip').addEventListener('click', () => this.finish(null));
+        this.panel.querySelector('#calibrationRetry').addEventListener('click', () => this.showIntro());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalibrationManager;
+}
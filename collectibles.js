@@ -1,16 +1,25 @@
 /**
  * Collectibles Game Module
  * Spawns objects on the trail and detects hand gestures to collect them
+ *
+ * Events (payloads also carry type and timestamp):
+ *   collect         - { itemType, x, y }
+ *   miss            - { x, y } (throttled like the on-screen feedback)
+ *   slash           - { startX, startY, endX, endY, angle, speed, isHorizontal }
+ *   inventoryChange - { itemType, delta, inventory } (itemType null on reset)
  */
 
-class CollectiblesGame {
-    constructor(headTracker = null) {
+class CollectiblesGame extends EventEmitter {
+    constructor(headTracker = null, scheduler = null) {
+        super(['collect', 'miss', 'slash', 'inventoryChange']);
         this.collectibles = [];
         this.collectedCount = 0;
         this.isActive = false;
+        this.frozenAt = null; // Set while frozen (the video is buffering)
         this.spawnInterval = null;
         this.animationFrame = null;
-        this.handDetector = null;
+        this.handDetector = null; // { inWorker: true } when the scheduler's worker runs the model
+        this.scheduler = scheduler; // Shared FrameScheduler (hand detection runs through it)
         this.videoElement = null;
         this.canvas = null;
         this.ctx = null;
@@ -35,11 +44,14 @@ class CollectiblesGame {
             'leaf': 0,
             'stone': 0
         };
+        this.gathered = {}; // Picked up this game by type (using items doesn't lower it)
         
         // Slash gesture tracking
         this.slashHistory = []; // Track hand positions for slash detection
         this.maxSlashHistory = 10; // Keep last 10 positions
         this.isSlashing = false;
+        this.slashCooldown = 500; // ms before another slash can be detected
+        this.slashCooldownUntil = 0;
         this.slashAnimations = []; // Active slash animations
         
         // Timing
@@ -79,7 +91,23 @@ class CollectiblesGame {
         // Set up inventory panel click handlers
         this.setupInventoryPanel();
         
-        // Load hand detection model
+        // Load hand detection model (in the scheduler's worker if possible)
+        if (this.scheduler && await this.scheduler.loadModel('hands')) {
+            this.handDetector = { inWorker: true };
+        } else {
+            await this.loadHandModel();
+        }
+        
+        // The game may have started while the model was loading
+        if (this.isActive) {
+            this.startDetection();
+        }
+    }
+
+    /**
+     * Load the hand detection model on the main thread
+     */
+    async loadHandModel() {
         try {
             if (typeof handPoseDetection !== 'undefined') {
                 const model = handPoseDetection.SupportedModels.MediaPipeHands;
@@ -132,6 +160,9 @@ class CollectiblesGame {
         // Start game loop
         this.gameLoop();
         
+        // Start hand detection on the shared scheduler
+        this.startDetection();
+        
         console.log('Collectibles game started');
     }
 
@@ -140,6 +171,7 @@ class CollectiblesGame {
      */
     stop() {
         this.isActive = false;
+        this.frozenAt = null;
         
         if (this.spawnInterval) {
             clearTimeout(this.spawnInterval);
@@ -151,6 +183,10 @@ class CollectiblesGame {
             this.animationFrame = null;
         }
         
+        if (this.scheduler) {
+            this.scheduler.removeTask('hands');
+        }
+        
         // Clear all collectibles
         this.collectibles = [];
         this.clearCanvas();
@@ -158,11 +194,60 @@ class CollectiblesGame {
         console.log('Collectibles game stopped');
     }
 
+    /**
+     * Freeze the game where it is: collectibles stay on screen but stop
+     * moving, spawning and being grabbable until unfreeze()
+     */
+    freeze() {
+        if (!this.isActive || this.frozenAt) return;
+        this.frozenAt = Date.now();
+        
+        clearTimeout(this.spawnInterval);
+        this.spawnInterval = null;
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        if (this.scheduler) {
+            this.scheduler.removeTask('hands');
+        }
+    }
+
+    /**
+     * Carry on after freeze(), with collectibles picking up where they stopped
+     */
+    unfreeze() {
+        if (!this.frozenAt) return;
+        
+        // Positions come from age, so age them by the active time only
+        const frozenFor = Date.now() - this.frozenAt;
+        this.collectibles.forEach(collectible => {
+            collectible.createdAt += frozenFor;
+        });
+        this.frozenAt = null;
+        
+        this.scheduleNextSpawn();
+        this.gameLoop();
+        this.startDetection();
+    }
+
+    /**
+     * Register hand detection with the frame scheduler
+     */
+    startDetection() {
+        if (!this.scheduler || !this.handDetector || !this.isActive || this.frozenAt) return;
+        
+        this.scheduler.addTask('hands', {
+            model: this.handDetector.inWorker ? 'hands' : null,
+            config: { flipHorizontal: true },
+            detect: (frame) => this.estimateHands(frame),
+            onResult: (hands, timestamp) => this.processHands(hands, timestamp)
+        });
+    }
+
     /**
      * Schedule the next collectible spawn
      */
     scheduleNextSpawn() {
-        if (!this.isActive) return;
+        if (!this.isActive || this.frozenAt) return;
         
         const delay = Math.random() * (this.maxSpawnTime - this.minSpawnTime) + this.minSpawnTime;
         
@@ -201,13 +286,13 @@ class CollectiblesGame {
      * Main game loop
      */
     async gameLoop() {
-        if (!this.isActive) return;
+        if (!this.isActive || this.frozenAt) return;
         
         // Update collectibles
         this.updateCollectibles();
         
-        // Detect hand gestures
-        if (this.handDetector && this.videoElement) {
+        // Detect hand gestures (the scheduler does this when there is one)
+        if (!this.scheduler && this.handDetector && this.videoElement) {
             await this.detectGesture();
         }
         
@@ -246,25 +331,52 @@ class CollectiblesGame {
     async detectGesture() {
         if (!this.videoElement || this.videoElement.readyState !== 4) return;
         
+        try {
+            const hands = await this.estimateHands(this.videoElement);
+            this.processHands(hands);
+        } catch (error) {
+            // Silently handle detection errors
+            this.lastHandPosition = null;
+            this.lastHandKeypoints = null;
+            this.isGrabbing = false;
+        }
+    }
+
+    /**
+     * Run hand detection on a frame on the main thread
+     * Loads the model here if the worker has gone away
+     */
+    async estimateHands(frame) {
+        if (!this.handDetector || this.handDetector.inWorker) {
+            await this.loadHandModel();
+        }
+        if (!this.handDetector || this.handDetector.inWorker) return [];
+        
+        return this.handDetector.estimateHands(frame, {
+            flipHorizontal: true
+        });
+    }
+
+    /**
+     * Process detected hands: face filtering, gestures and collisions
+     */
+    processHands(hands, timestamp = Date.now()) {
+        if (!this.isActive) return;
+        
         // Clear debug canvas
         if (this.debugCtx && this.debugCanvas) {
             this.debugCtx.clearRect(0, 0, this.debugCanvas.width, this.debugCanvas.height);
         }
         
         try {
-            const hands = await this.handDetector.estimateHands(this.videoElement, {
-                flipHorizontal: true
-            });
-            
             if (hands && hands.length > 0) {
                 const hand = hands[0];
+                const gesture = this.analyzeHand(hand, timestamp);
                 
-                // Filter out hands that are likely the face
-                if (this.isHandWithinFace(hand)) {
+                if (gesture.isFace) {
                     // Ignore this detection - it's likely the user's face
                     this.lastHandPosition = null;
                     this.lastHandKeypoints = null;
-                    this.isGrabbing = false;
                     return;
                 }
                 
@@ -274,22 +386,9 @@ class CollectiblesGame {
                 // Draw hand keypoints for debugging
                 this.drawHandDebug(hand);
                 
-                // Check for slash gesture
-                const slashDetected = this.detectSlashGesture(hand);
-                if (slashDetected) {
-                    this.createSlashAnimation(slashDetected);
-                }
-                
-                // Check for closed fist gesture (to close inventory)
-                // Must check BEFORE pinch detection since fist can look like pinch
-                this.isClosedFist = this.isClosedFistGesture(hand);
-                
-                // Check if hand is making a grabbing gesture (pinch)
-                // Skip pinch detection if closed fist is detected
-                if (!this.isClosedFist) {
-                    this.isGrabbing = this.isGrabbingGesture(hand);
-                } else {
-                    this.isGrabbing = false;
+                if (gesture.slash) {
+                    this.createSlashAnimation(gesture.slash);
+                    this.emit('slash', { timestamp, ...gesture.slash });
                 }
                 
                 if (this.isGrabbing) {
@@ -328,6 +427,41 @@ class CollectiblesGame {
         }
     }
 
+    /**
+     * Classify a hand: face filter, slash, closed fist and pinch
+     * Updates gesture state without touching the DOM or canvas, so recorded
+     * sessions can be replayed through it (see ReplaySource)
+     */
+    analyzeHand(hand, timestamp = Date.now()) {
+        // Filter out hands that are likely the face
+        if (this.isHandWithinFace(hand)) {
+            this.isGrabbing = false;
+            return { isFace: true, slash: null, isClosedFist: false, isGrabbing: false };
+        }
+        
+        // Check for slash gesture
+        const slash = this.detectSlashGesture(hand, timestamp);
+        
+        // Check for closed fist gesture (to close inventory)
+        // Must check BEFORE pinch detection since fist can look like pinch
+        this.isClosedFist = this.isClosedFistGesture(hand);
+        
+        // Check if hand is making a grabbing gesture (pinch)
+        // Skip pinch detection if closed fist is detected
+        if (!this.isClosedFist) {
+            this.isGrabbing = this.isGrabbingGesture(hand);
+        } else {
+            this.isGrabbing = false;
+        }
+        
+        return {
+            isFace: false,
+            slash,
+            isClosedFist: this.isClosedFist,
+            isGrabbing: this.isGrabbing
+        };
+    }
+
     /**
      * Draw hand keypoints for debugging
      */
@@ -527,9 +661,14 @@ class CollectiblesGame {
      * Detect slash gesture - flat hand moving quickly
      * Returns slash data if detected, null otherwise
      */
-    detectSlashGesture(hand) {
+    detectSlashGesture(hand, timestamp = Date.now()) {
         const keypoints = hand.keypoints;
         
+        // Cooldown after a slash
+        if (this.isSlashing && timestamp >= this.slashCooldownUntil) {
+            this.isSlashing = false;
+        }
+        
         // Get fingertips and their bases
         const indexTip = keypoints[8];
         const middleTip = keypoints[12];
@@ -578,7 +717,7 @@ class CollectiblesGame {
         
         // Track hand position for movement detection
         const wrist = keypoints[0];
-        const currentPos = { x: wrist.x, y: wrist.y, time: Date.now() };
+        const currentPos = { x: wrist.x, y: wrist.y, time: timestamp };
         
         this.slashHistory.push(currentPos);
         if (this.slashHistory.length > this.maxSlashHistory) {
@@ -615,7 +754,7 @@ class CollectiblesGame {
             const absAngle = Math.abs(angle);
             const isHorizontal = absAngle < Math.PI / 4 || absAngle > (3 * Math.PI) / 4;
             
-            setTimeout(() => { this.isSlashing = false; }, 500); // Cooldown
+            this.slashCooldownUntil = timestamp + this.slashCooldown;
             
             console.log(`🗡️ SLASH DETECTED! Speed: ${speed.toFixed(0)} px/s, Angle: ${(angle * 180 / Math.PI).toFixed(0)}°`);
             return {
@@ -730,6 +869,7 @@ class CollectiblesGame {
         
         // Add to inventory by type
         this.inventory[collectible.type.name]++;
+        this.gathered[collectible.type.name] = (this.gathered[collectible.type.name] || 0) + 1;
         
         // Don't increment immediately - show pending animation first
         // this.collectedCount++; // Will increment after delay
@@ -747,6 +887,13 @@ class CollectiblesGame {
         // Show feedback
         this.showCollectFeedback(collectible);
         
+        this.emit('collect', {
+            itemType: collectible.type.name,
+            x: collectible.x,
+            y: collectible.y
+        });
+        this.emitInventoryChange(collectible.type.name, 1);
+        
         console.log(`Collected ${collectible.type.name}! Inventory: ${this.inventory[collectible.type.name]}`);
     }
 
@@ -832,6 +979,8 @@ class CollectiblesGame {
         }
         this.lastMissTime = now;
         
+        this.emit('miss', { timestamp: now, x: handX, y: handY });
+        
         // Convert from video coordinates to display coordinates
         // The canvas element has internal dimensions (canvas.width/height)
         // but displays at CSS dimensions (offsetWidth/offsetHeight)
@@ -1089,9 +1238,22 @@ class CollectiblesGame {
             'leaf': 0,
             'stone': 0
         };
+        this.gathered = {};
         this.updateCounter();
         this.updateInventoryDisplay();
         this.clearCanvas();
+        this.emitInventoryChange(null, 0);
+    }
+
+    /**
+     * Emit an inventoryChange event with a snapshot of the inventory
+     */
+    emitInventoryChange(itemType, delta) {
+        this.emit('inventoryChange', {
+            itemType,
+            delta,
+            inventory: { ...this.inventory }
+        });
     }
 
     /**
@@ -1220,6 +1382,7 @@ class CollectiblesGame {
             this.collectedCount--;
             this.updateCounter();
             this.updateInventoryDisplay();
+            this.emitInventoryChange(itemType, -1);
             console.log(`Used ${itemType}. Remaining: ${this.inventory[itemType]}`);
             // TODO: Add item effect
         }
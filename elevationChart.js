@@ -0,0 +1,112 @@
+/**
+ * Elevation Chart Module
+ * Draws a route's elevation profile on a canvas, with chapter and point of
+ * interest markers and a cursor at the current video time
+ */
+
+class ElevationChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.route = null;
+        
+        this.padding = { top: 12, right: 8, bottom: 8, left: 8 };
+        this.colors = {
+            ahead: '#D4A574', // Warm tan
+            done: '#FF6B35', // Vibrant orange
+            marker: 'rgba(45, 80, 22, 0.6)', // Forest green
+            poi: '#2D5016',
+            cursor: '#2D3319'
+        };
+    }
+
+    /**
+     * Show a route (or null to clear)
+     */
+    setRoute(route) {
+        this.route = route;
+        this.draw(0);
+    }
+
+    /**
+     * Redraw with the cursor at a video time
+     */
+    draw(currentTime = 0) {
+        if (!this.ctx) return;
+        
+        // Match the canvas to its displayed size
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        if (!this.route || width === 0) return;
+        
+        const duration = this.route.getDuration();
+        const { min, max } = this.route.getElevationRange();
+        const range = Math.max(max - min, 10); // Keep flat routes looking flat
+        const plotWidth = width - this.padding.left - this.padding.right;
+        const plotHeight = height - this.padding.top - this.padding.bottom;
+        const x = t => this.padding.left + (t / duration) * plotWidth;
+        const y = elevation => this.padding.top + plotHeight - ((elevation - min) / range) * plotHeight;
+        const baseline = this.padding.top + plotHeight;
+        
+        // Profile: the part already run, then the part ahead
+        const profile = new Path2D();
+        profile.moveTo(x(0), baseline);
+        this.route.points.forEach(point => profile.lineTo(x(point.t), y(point.elevation)));
+        profile.lineTo(x(duration), baseline);
+        profile.closePath();
+        
+        ctx.fillStyle = this.colors.ahead;
+        ctx.fill(profile);
+        
+        const cursorX = x(Math.min(Math.max(currentTime, 0), duration));
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, cursorX, height);
+        ctx.clip();
+        ctx.fillStyle = this.colors.done;
+        ctx.fill(profile);
+        ctx.restore();
+        
+        // Chapter lines
+        ctx.strokeStyle = this.colors.marker;
+        ctx.setLineDash([3, 3]);
+        this.route.chapters.forEach(chapter => {
+            ctx.beginPath();
+            ctx.moveTo(x(chapter.t), this.padding.top);
+            ctx.lineTo(x(chapter.t), baseline);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        // Points of interest
+        ctx.fillStyle = this.colors.poi;
+        this.route.pois.forEach(poi => {
+            ctx.beginPath();
+            ctx.arc(x(poi.t), y(this.route.getPointAt(poi.t).elevation) - 5, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Cursor
+        ctx.strokeStyle = this.colors.cursor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cursorX, 0);
+        ctx.lineTo(cursorX, baseline);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ElevationChart;
+}
@@ -0,0 +1,88 @@
+/**
+ * Event Emitter Module
+ * EventTarget-style on/off/once API with typed events, shared by the motion
+ * source, video player and collectibles game. Any number of listeners can
+ * subscribe; each receives one payload: { type, timestamp, ...detail }.
+ */
+
+class EventEmitter {
+    constructor(eventTypes = []) {
+        this.eventTypes = eventTypes; // Events this object can emit
+        this.listeners = {}; // type -> [handler]
+    }
+
+    /**
+     * Subscribe to an event
+     * Returns a function that unsubscribes
+     */
+    on(type, handler) {
+        this.checkType(type);
+        
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+        
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Unsubscribe from an event (also removes once() listeners)
+     */
+    off(type, handler) {
+        if (!this.listeners[type]) return;
+        
+        this.listeners[type] = this.listeners[type].filter(
+            listener => listener !== handler && listener.original !== handler
+        );
+    }
+
+    /**
+     * Subscribe for the next occurrence only
+     */
+    once(type, handler) {
+        const wrapper = (event) => {
+            this.off(type, wrapper);
+            handler(event);
+        };
+        wrapper.original = handler;
+        
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Notify all listeners; a listener that throws doesn't stop the others
+     * detail.timestamp overrides the default of now
+     */
+    emit(type, detail = {}) {
+        this.checkType(type);
+        
+        const event = { type, timestamp: Date.now(), ...detail };
+        const handlers = this.listeners[type];
+        if (!handlers || handlers.length === 0) return event;
+        
+        handlers.slice().forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+        
+        return event;
+    }
+
+    /**
+     * Reject event names this object never emits (catches typos)
+     */
+    checkType(type) {
+        if (!this.eventTypes.includes(type)) {
+            throw new Error(`Unknown event "${type}" (expected one of: ${this.eventTypes.join(', ')})`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventEmitter;
+}
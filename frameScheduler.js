@@ -0,0 +1,361 @@
+/**
+ * Frame Scheduler Module
+ * Grabs each camera frame once and hands it to every detector that is due
+ * (face or pose for step counting, hands for the collectibles game), each at
+ * its own rate. Inference runs in a Web Worker (inferenceWorker.js) when the
+ * browser supports OffscreenCanvas, otherwise on the main thread.
+ *
+ * Tasks:
+ *   addTask(name, { model, config, detect, onResult })
+ *     model    - worker model key ('face', 'hands', 'movenet', 'blazepose'),
+ *                or null to always run on the main thread
+ *     config   - estimation config passed to the model
+ *     detect   - main-thread fallback: detect(frame) => Promise<result>
+ *     onResult - onResult(result, timestamp) with the frame capture time
+ */
+
+class FrameScheduler {
+    constructor(options = {}) {
+        this.video = options.video || null;
+        this.workerUrl = options.workerUrl || 'inferenceWorker.js';
+        
+        // Detection rates in frames per second, by task name
+        this.rates = { face: 30, pose: 30, hands: 15, ...(options.rates || {}) };
+        this.defaultRate = 30;
+        this.frameTolerance = 4; // ms of requestAnimationFrame jitter to allow
+        
+        this.tasks = new Map();
+        this.recorder = null; // SessionRecorder that sees every result
+        this.isRunning = false;
+        this.isGrabbing = false;
+        this.animationFrameId = null;
+        
+        // Worker state
+        this.worker = null;
+        this.workerBusy = false;
+        this.loadedModels = new Set();
+        this.pendingLoads = {}; // model -> Promise<boolean>
+        this.loadResolvers = {}; // model -> resolve
+        this.frames = new Map(); // frameId -> { timestamp, tasks }
+        this.nextFrameId = 1;
+        
+        if (options.useWorker !== false) {
+            this.createWorker();
+        }
+    }
+
+    /**
+     * Check whether inference can run in a worker
+     */
+    static isWorkerSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Start the inference worker (main-thread fallback if unavailable)
+     */
+    createWorker() {
+        if (!FrameScheduler.isWorkerSupported()) {
+            console.log('Web Worker inference not supported, using main thread');
+            return;
+        }
+        
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => this.handleWorkerError(event);
+            console.log('Inference worker started');
+        } catch (error) {
+            console.warn('Could not start inference worker, using main thread:', error);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Check if the worker is available
+     */
+    isUsingWorker() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Load a model in the worker
+     * Resolves true when loaded there, false when the caller should load it on the main thread
+     */
+    loadModel(model) {
+        if (!this.worker) return Promise.resolve(false);
+        if (this.loadedModels.has(model)) return Promise.resolve(true);
+        
+        if (!this.pendingLoads[model]) {
+            this.pendingLoads[model] = new Promise(resolve => {
+                this.loadResolvers[model] = resolve;
+            });
+            this.worker.postMessage({ type: 'load', model });
+        }
+        
+        return this.pendingLoads[model];
+    }
+
+    /**
+     * Set the video element frames are grabbed from
+     */
+    setVideo(video) {
+        this.video = video;
+    }
+
+    /**
+     * Attach a SessionRecorder (null to detach)
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
+    }
+
+    /**
+     * Set the detection rate for a task
+     */
+    setRate(name, fps) {
+        this.rates[name] = fps;
+    }
+
+    /**
+     * Register a detection task (replaces any task with the same name)
+     */
+    addTask(name, { model = null, config = {}, detect, onResult }) {
+        this.tasks.set(name, {
+            name,
+            model,
+            config,
+            detect,
+            onResult,
+            lastRun: 0,
+            busy: false
+        });
+        
+        this.start();
+    }
+
+    /**
+     * Remove a detection task; results still in flight are dropped
+     */
+    removeTask(name) {
+        this.tasks.delete(name);
+        
+        if (this.tasks.size === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Start the frame loop
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.tick();
+    }
+
+    /**
+     * Stop the frame loop
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    /**
+     * Stop the loop and the worker
+     */
+    destroy() {
+        this.stop();
+        this.tasks.clear();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Minimum time between runs of a task (ms)
+     */
+    getInterval(task) {
+        return 1000 / (this.rates[task.name] || this.defaultRate);
+    }
+
+    /**
+     * Main loop: grab a frame when any task is due and dispatch it
+     */
+    async tick() {
+        if (!this.isRunning) return;
+        
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+        
+        if (this.isGrabbing || !this.video || this.video.readyState < 2) return;
+        
+        const now = performance.now();
+        const due = [...this.tasks.values()].filter(task =>
+            !task.busy && now - task.lastRun >= this.getInterval(task) - this.frameTolerance
+        );
+        
+        const inWorker = due.filter(task => this.worker && !this.workerBusy && this.loadedModels.has(task.model));
+        const onMainThread = due.filter(task => !task.model || !this.worker || !this.loadedModels.has(task.model));
+        if (inWorker.length === 0 && onMainThread.length === 0) return;
+        
+        const timestamp = Date.now();
+        [...inWorker, ...onMainThread].forEach(task => {
+            task.lastRun = now;
+            task.busy = true;
+        });
+        
+        this.isGrabbing = true;
+        try {
+            if (inWorker.length > 0) {
+                const bitmap = await createImageBitmap(this.video);
+                this.sendToWorker(bitmap, inWorker, timestamp);
+            }
+            
+            if (onMainThread.length > 0) {
+                // Share one snapshot between main-thread detectors (the worker got its own)
+                const frame = inWorker.length === 0 && typeof createImageBitmap !== 'undefined'
+                    ? await createImageBitmap(this.video)
+                    : this.video;
+                this.isGrabbing = false;
+                
+                await Promise.all(onMainThread.map(task => this.runOnMainThread(task, frame, timestamp)));
+                
+                if (frame !== this.video) {
+                    frame.close();
+                }
+            }
+        } catch (error) {
+            console.error('Frame grab error:', error);
+            [...inWorker, ...onMainThread].forEach(task => {
+                task.busy = false;
+            });
+        } finally {
+            this.isGrabbing = false;
+        }
+    }
+
+    /**
+     * Run a task's fallback detector on the main thread
+     */
+    async runOnMainThread(task, frame, timestamp) {
+        try {
+            const result = await task.detect(frame);
+            this.deliver(task, result, timestamp);
+        } catch (error) {
+            console.error(`Detection error (${task.name}):`, error);
+        } finally {
+            task.busy = false;
+        }
+    }
+
+    /**
+     * Post a frame to the worker (the bitmap is transferred, not copied)
+     */
+    sendToWorker(bitmap, tasks, timestamp) {
+        const frameId = this.nextFrameId++;
+        this.frames.set(frameId, { timestamp, tasks });
+        this.workerBusy = true;
+        
+        this.worker.postMessage({
+            type: 'detect',
+            frameId,
+            bitmap,
+            tasks: tasks.map(task => ({ name: task.name, model: task.model, config: task.config }))
+        }, [bitmap]);
+    }
+
+    /**
+     * Hand a result to its task, unless the task was removed or replaced meanwhile
+     */
+    deliver(task, result, timestamp) {
+        if (this.tasks.get(task.name) !== task) return;
+        
+        if (this.recorder) {
+            this.recorder.record(task.name, result, timestamp);
+        }
+        if (task.onResult) {
+            task.onResult(result, timestamp);
+        }
+    }
+
+    /**
+     * Handle messages from the inference worker
+     */
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'loaded':
+                console.log(`Model "${message.model}" loaded in worker`);
+                this.loadedModels.add(message.model);
+                this.resolveLoad(message.model, true);
+                break;
+            
+            case 'loadError':
+                console.warn(`Worker could not load "${message.model}", using main thread:`, message.message);
+                this.resolveLoad(message.model, false);
+                break;
+            
+            case 'result': {
+                const frame = this.frames.get(message.frameId);
+                const task = frame ? frame.tasks.find(t => t.name === message.name) : null;
+                if (!task) break;
+                
+                task.busy = false;
+                if (message.error) {
+                    console.error(`Detection error (${task.name}):`, message.error);
+                } else {
+                    this.deliver(task, message.result, frame.timestamp);
+                }
+                break;
+            }
+            
+            case 'frameDone':
+                this.frames.delete(message.frameId);
+                this.workerBusy = false;
+                break;
+        }
+    }
+
+    /**
+     * The worker crashed: fall back to the main thread for everything
+     */
+    handleWorkerError(event) {
+        console.error('Inference worker error, falling back to main thread:', event.message || event);
+        
+        this.frames.forEach(frame => frame.tasks.forEach(task => {
+            task.busy = false;
+        }));
+        this.frames.clear();
+        this.workerBusy = false;
+        
+        Object.keys(this.loadResolvers).forEach(model => this.resolveLoad(model, false));
+        this.loadedModels.clear();
+        
+        this.worker.terminate();
+        this.worker = null;
+    }
+
+    /**
+     * Settle a pending worker model load
+     */
+    resolveLoad(model, loaded) {
+        const resolve = this.loadResolvers[model];
+        delete this.loadResolvers[model];
+        delete this.pendingLoads[model];
+        if (resolve) {
+            resolve(loaded);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameScheduler;
+}
@@ -4,78 +4,15 @@
  * Specifically tracks vertical head movement (bobbing) for treadmill running/walking
  */
 
-class HeadTracker {
+class HeadTracker extends MotionSource {
     constructor() {
-        this.video = null;
-        this.canvas = null;
-        this.ctx = null;
-        this.detector = null;
-        this.isTracking = false;
-        this.cameraActive = false;
+        super();
+        this.type = 'face';
+        this.workerModel = 'face';
         
-        // Head position tracking
-        this.previousNoseY = null;
-        this.currentNoseY = null;
-        this.verticalMovement = 0;
-        this.movementHistory = [];
-        this.maxHistoryLength = 30; // Track last 30 frames
-        
-        // Bob detection
-        this.bobThreshold = 5; // Minimum vertical movement to count as a bob
-        this.bobCount = 0;
-        this.lastBobDirection = null; // 'up' or 'down'
-        this.bobsPerMinuteHistory = [];
-        this.bobTimestamps = [];
-        
-        // Callbacks
-        this.onBobDetectedCallback = null;
-        this.onMovementCallback = null;
-        
-        // Animation frame
-        this.animationFrameId = null;
-    }
-
-    /**
-     * Initialize the head tracker with camera access
-     */
-    async init() {
-        try {
-            this.video = document.getElementById('cameraFeed');
-            this.canvas = document.getElementById('trackingCanvas');
-            this.ctx = this.canvas.getContext('2d');
-            
-            // Request camera access
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    facingMode: 'user',
-                    width: { ideal: 640 },
-                    height: { ideal: 480 }
-                }
-            });
-            
-            this.video.srcObject = stream;
-            this.cameraActive = true;
-            
-            // Wait for video to load
-            await new Promise((resolve) => {
-                this.video.onloadedmetadata = () => {
-                    resolve();
-                };
-            });
-            
-            // Set canvas size to match video
-            this.canvas.width = this.video.videoWidth;
-            this.canvas.height = this.video.videoHeight;
-            
-            // Load face detection model
-            await this.loadModel();
-            
-            console.log('Head tracker initialized successfully');
-            return true;
-        } catch (error) {
-            console.error('Error initializing head tracker:', error);
-            throw error;
-        }
+        // Movement is reported in percent of the distance between the
+        // outer eye corners (keypoints 33 and 263)
+        this.bobThreshold = 10; // Minimum vertical movement (% of eye distance) to count as a bob
     }
 
     /**
@@ -103,117 +40,44 @@ class HeadTracker {
     }
 
     /**
-     * Start tracking head movement
-     */
-    startTracking() {
-        if (!this.detector) {
-            console.error('Model not loaded yet');
-            return;
-        }
-        
-        this.isTracking = true;
-        this.track();
-        console.log('Head tracking started');
-    }
-
-    /**
-     * Stop tracking head movement
+     * Detect faces in a camera frame
      */
-    stopTracking() {
-        this.isTracking = false;
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-        }
-        console.log('Head tracking stopped');
+    async estimate(frame) {
+        return this.detector.estimateFaces(frame);
     }
 
     /**
-     * Main tracking loop
+     * Process detected faces
      */
-    async track() {
-        if (!this.isTracking) return;
+    handleResult(faces, timestamp = Date.now()) {
+        if (!this.ctx) return;
         
-        try {
-            // Detect faces
-            const faces = await this.detector.estimateFaces(this.video);
-            
-            // Clear canvas
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            
-            if (faces.length > 0) {
-                const face = faces[0];
-                this.processFaceData(face);
-                this.drawFaceKeypoints(face);
-            } else {
-                // No face detected - reset tracking
-                this.previousNoseY = null;
-                this.verticalMovement = 0;
-            }
-            
-        } catch (error) {
-            console.error('Tracking error:', error);
-        }
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Continue tracking
-        this.animationFrameId = requestAnimationFrame(() => this.track());
+        if (faces && faces.length > 0) {
+            const face = faces[0];
+            this.processFaceData(face, timestamp);
+            this.drawFaceKeypoints(face);
+        } else {
+            // No face detected - reset tracking
+            this.processNoDetection(timestamp);
+        }
     }
 
     /**
      * Process face landmark data to detect head movement
      */
-    processFaceData(face) {
-        // Get nose tip position (keypoint 1 in MediaPipe Face Mesh)
+    processFaceData(face, timestamp = Date.now()) {
+        // Nose tip (keypoint 1) for position, outer eye corners for face size
         const noseTip = face.keypoints[1];
-        this.currentNoseY = noseTip.y;
+        const rightEye = face.keypoints[33];
+        const leftEye = face.keypoints[263];
+        const faceSize = rightEye && leftEye
+            ? Math.hypot(leftEye.x - rightEye.x, leftEye.y - rightEye.y)
+            : 0;
         
-        if (this.previousNoseY !== null) {
-            // Calculate vertical movement
-            const movement = this.currentNoseY - this.previousNoseY;
-            this.verticalMovement = Math.abs(movement);
-            
-            // Add to history
-            this.movementHistory.push(movement);
-            if (this.movementHistory.length > this.maxHistoryLength) {
-                this.movementHistory.shift();
-            }
-            
-            // Detect bobs (up and down motion)
-            this.detectBob(movement);
-            
-            // Trigger movement callback
-            if (this.onMovementCallback) {
-                this.onMovementCallback(this.verticalMovement, movement);
-            }
-        }
-        
-        this.previousNoseY = this.currentNoseY;
-    }
-
-    /**
-     * Detect head bobs (complete up-down or down-up cycles)
-     */
-    detectBob(movement) {
-        const currentDirection = movement > this.bobThreshold ? 'down' : 
-                                movement < -this.bobThreshold ? 'up' : null;
-        
-        if (currentDirection && this.lastBobDirection && 
-            currentDirection !== this.lastBobDirection) {
-            // Direction changed - count as a bob
-            this.bobCount++;
-            this.bobTimestamps.push(Date.now());
-            
-            // Keep only last minute of timestamps
-            const oneMinuteAgo = Date.now() - 60000;
-            this.bobTimestamps = this.bobTimestamps.filter(t => t > oneMinuteAgo);
-            
-            if (this.onBobDetectedCallback) {
-                this.onBobDetectedCallback(this.bobCount);
-            }
-        }
-        
-        if (currentDirection) {
-            this.lastBobDirection = currentDirection;
-        }
+        this.processSample(noseTip.y, faceSize, timestamp);
     }
 
     /**
@@ -255,94 +119,22 @@ class HeadTracker {
         this.ctx.stroke();
         
         // Draw movement indicator line
-        if (this.previousNoseY !== null && this.currentNoseY !== null) {
+        if (this.previousY !== null && this.currentY !== null) {
             this.ctx.strokeStyle = this.verticalMovement > this.bobThreshold ? '#ff0000' : '#00ff00';
             this.ctx.lineWidth = 3;
             this.ctx.beginPath();
-            this.ctx.moveTo(noseTip.x, this.previousNoseY);
-            this.ctx.lineTo(noseTip.x, this.currentNoseY);
+            this.ctx.moveTo(noseTip.x, this.previousY);
+            this.ctx.lineTo(noseTip.x, this.currentY);
             this.ctx.stroke();
         }
         
         // Restore the context state
         this.ctx.restore();
     }
-
-    /**
-     * Get current bobs per minute
-     */
-    getBobsPerMinute() {
-        const oneMinuteAgo = Date.now() - 60000;
-        const recentBobs = this.bobTimestamps.filter(t => t > oneMinuteAgo);
-        return recentBobs.length;
-    }
-
-    /**
-     * Get average vertical movement
-     */
-    getAverageMovement() {
-        if (this.movementHistory.length === 0) return 0;
-        const sum = this.movementHistory.reduce((a, b) => Math.abs(a) + Math.abs(b), 0);
-        return sum / this.movementHistory.length;
-    }
-
-    /**
-     * Reset all tracking statistics
-     */
-    resetStats() {
-        this.bobCount = 0;
-        this.bobTimestamps = [];
-        this.movementHistory = [];
-        this.verticalMovement = 0;
-        this.previousNoseY = null;
-        console.log('Tracking stats reset');
-    }
-
-    /**
-     * Register callback for bob detection
-     */
-    onBobDetected(callback) {
-        this.onBobDetectedCallback = callback;
-    }
-
-    /**
-     * Register callback for movement updates
-     */
-    onMovement(callback) {
-        this.onMovementCallback = callback;
-    }
-
-    /**
-     * Stop camera and clean up
-     */
-    stop() {
-        this.stopTracking();
-        
-        if (this.video && this.video.srcObject) {
-            const tracks = this.video.srcObject.getTracks();
-            tracks.forEach(track => track.stop());
-            this.video.srcObject = null;
-        }
-        
-        this.cameraActive = false;
-        console.log('Head tracker stopped and camera released');
-    }
-
-    /**
-     * Check if camera is active
-     */
-    isCameraActive() {
-        return this.cameraActive;
-    }
-
-    /**
-     * Check if tracking is active
-     */
-    isActive() {
-        return this.isTracking;
-    }
 }
 
+MotionSource.register('face', HeadTracker, 'Face (MediaPipe Face Mesh)');
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = HeadTracker;
@@ -0,0 +1,119 @@
+/**
+ * Inference Worker
+ * Runs face, hand and pose models off the main thread for FrameScheduler.
+ * Frames arrive as transferred ImageBitmaps; results are posted back as
+ * plain objects. Uses the tfjs runtime (the MediaPipe runtime needs a DOM)
+ * with the WebGL backend on an OffscreenCanvas.
+ *
+ * Messages in:  { type: 'load', model }
+ *               { type: 'detect', frameId, bitmap, tasks: [{ name, model, config }] }
+ * Messages out: { type: 'loaded' | 'loadError', model, message }
+ *               { type: 'result', frameId, name, result, error }
+ *               { type: 'frameDone', frameId }
+ */
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-core',
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-converter',
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/hand-pose-detection',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection'
+);
+
+const detectors = {}; // model -> Promise<detector>
+let backendReady = null;
+
+/**
+ * Initialize the WebGL backend once
+ */
+function initBackend() {
+    if (!backendReady) {
+        backendReady = tf.setBackend('webgl').then(() => tf.ready());
+    }
+    return backendReady;
+}
+
+/**
+ * Create a detector for a model key
+ */
+function createDetector(model) {
+    switch (model) {
+        case 'face':
+            return faceLandmarksDetection.createDetector(
+                faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+                { runtime: 'tfjs', refineLandmarks: true, maxFaces: 1 }
+            );
+        case 'hands':
+            return handPoseDetection.createDetector(
+                handPoseDetection.SupportedModels.MediaPipeHands,
+                { runtime: 'tfjs', modelType: 'lite', maxHands: 1 }
+            );
+        case 'movenet':
+            return poseDetection.createDetector(
+                poseDetection.SupportedModels.MoveNet,
+                { modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
+            );
+        case 'blazepose':
+            return poseDetection.createDetector(
+                poseDetection.SupportedModels.BlazePose,
+                { runtime: 'tfjs', modelType: 'lite' }
+            );
+        default:
+            return Promise.reject(new Error(`Unknown model "${model}"`));
+    }
+}
+
+/**
+ * Load a model (once)
+ */
+async function loadModel(model) {
+    await initBackend();
+    if (!detectors[model]) {
+        detectors[model] = createDetector(model);
+        detectors[model].catch(() => delete detectors[model]);
+    }
+    return detectors[model];
+}
+
+/**
+ * Run one model on a frame
+ */
+async function estimate(model, frame, config) {
+    const detector = await loadModel(model);
+    
+    if (model === 'face') {
+        return detector.estimateFaces(frame, config);
+    }
+    if (model === 'hands') {
+        return detector.estimateHands(frame, config);
+    }
+    return detector.estimatePoses(frame, config);
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    
+    if (message.type === 'load') {
+        try {
+            await loadModel(message.model);
+            self.postMessage({ type: 'loaded', model: message.model });
+        } catch (error) {
+            self.postMessage({ type: 'loadError', model: message.model, message: error.message });
+        }
+    } else if (message.type === 'detect') {
+        const { frameId, bitmap, tasks } = message;
+        
+        for (const task of tasks) {
+            try {
+                const result = await estimate(task.model, bitmap, task.config);
+                self.postMessage({ type: 'result', frameId, name: task.name, result });
+            } catch (error) {
+                self.postMessage({ type: 'result', frameId, name: task.name, result: null, error: error.message });
+            }
+        }
+        
+        bitmap.close();
+        self.postMessage({ type: 'frameDone', frameId });
+    }
+};
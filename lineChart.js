@@ -0,0 +1,104 @@
+/**
+ * Line Chart Module
+ * Draws one or more series against time on a canvas (cadence, magic and
+ * health curves in the workout summary)
+ *
+ * Line: { points: [[t, value], ...], color, label }
+ */
+
+class LineChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        
+        this.padding = { top: 10, right: 10, bottom: 20, left: 36 };
+        this.colors = {
+            grid: 'rgba(45, 51, 25, 0.12)',
+            text: '#6B7456' // Muted green-gray
+        };
+    }
+
+    /**
+     * Draw lines over a shared time axis
+     * options: { min, max } value range (default: fitted to the data)
+     */
+    draw(lines, options = {}) {
+        if (!this.ctx) return;
+        
+        // Match the canvas to its displayed size
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        
+        const points = lines.flatMap(line => line.points);
+        if (points.length < 2 || width === 0) return;
+        
+        const values = points.map(point => point[1]);
+        const min = options.min ?? Math.min(...values);
+        const max = Math.max(options.max ?? Math.max(...values), min + 1);
+        const start = Math.min(...points.map(point => point[0]));
+        const end = Math.max(Math.max(...points.map(point => point[0])), start + 1);
+        
+        const plotWidth = width - this.padding.left - this.padding.right;
+        const plotHeight = height - this.padding.top - this.padding.bottom;
+        const x = t => this.padding.left + ((t - start) / (end - start)) * plotWidth;
+        const y = value => this.padding.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+        
+        // Grid: top, middle and bottom values; time along the bottom
+        ctx.strokeStyle = this.colors.grid;
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
+        [min, (min + max) / 2, max].forEach(value => {
+            ctx.beginPath();
+            ctx.moveTo(this.padding.left, y(value));
+            ctx.lineTo(width - this.padding.right, y(value));
+            ctx.stroke();
+            ctx.fillText(Math.round(value), this.padding.left - 4, y(value));
+        });
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(LineChart.formatTime(start), this.padding.left, height - this.padding.bottom + 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(LineChart.formatTime(end), width - this.padding.right, height - this.padding.bottom + 6);
+        
+        // Lines
+        ctx.lineWidth = 2;
+        lines.forEach(line => {
+            if (line.points.length === 0) return;
+            ctx.strokeStyle = line.color;
+            ctx.beginPath();
+            line.points.forEach(([t, value], i) => {
+                if (i === 0) {
+                    ctx.moveTo(x(t), y(value));
+                } else {
+                    ctx.lineTo(x(t), y(value));
+                }
+            });
+            ctx.stroke();
+        });
+        ctx.lineWidth = 1;
+    }
+
+    /**
+     * Format seconds as m:ss
+     */
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineChart;
+}
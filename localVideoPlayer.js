@@ -0,0 +1,296 @@
+/**
+ * Local Video Player Module
+ * VideoPlayer backend for MP4/WebM files played in a native <video> element,
+ * for gyms without reliable internet. Files come from a file input, drag and
+ * drop, or a folder URL on the local network. Same methods and events as the
+ * YouTube player; playback rate is continuous rather than fixed steps.
+ */
+
+class LocalVideoPlayer extends VideoPlayer {
+    constructor() {
+        super();
+        this.currentVideoId = null;
+        this.video = null;
+        this.src = null;
+        
+        // Any rate in this range works; offered in small steps for SpeedSync
+        this.minRate = 0.25;
+        this.maxRate = 3;
+        this.rateStep = 0.05;
+    }
+
+    /**
+     * Create the <video> element next to the YouTube player (hidden until used)
+     */
+    init() {
+        const container = document.querySelector('.video-container');
+        
+        this.video = document.createElement('video');
+        this.video.className = 'local-video';
+        this.video.playsInline = true;
+        this.video.controls = true;
+        this.video.preload = 'metadata';
+        this.video.style.display = 'none';
+        container.insertBefore(this.video, container.firstChild);
+        
+        this.video.addEventListener('playing', () => {
+            this.isPlaying = true;
+            this.emitPlayerEvent('play');
+        });
+        this.video.addEventListener('pause', () => {
+            // A finished video fires pause before ended; report it once, as ended
+            if (this.video.ended) return;
+            this.isPlaying = false;
+            this.emitPlayerEvent('pause');
+        });
+        this.video.addEventListener('ended', () => {
+            this.isPlaying = false;
+            this.emitPlayerEvent('ended');
+        });
+        this.video.addEventListener('waiting', () => this.emitPlayerEvent('buffering'));
+        this.video.addEventListener('error', () => {
+            const code = this.video.error?.code;
+            console.error('Local video error:', this.video.error?.message || code);
+            this.isPlaying = false;
+            this.emitError(code, LocalVideoPlayer.errorMessages[code] || 'This video can\'t be played');
+        });
+        
+        this.isReady = true;
+        return Promise.resolve();
+    }
+
+    /**
+     * Load a video by URL (object URL for picked files, or a network URL)
+     * Unlike YouTube it doesn't start playing; the start button does that
+     */
+    loadVideo(src, id = src) {
+        if (!this.isReady) {
+            console.error('Player not ready yet');
+            return;
+        }
+        
+        this.currentVideoId = id;
+        this.src = src;
+        this.video.src = src;
+        this.video.load();
+        console.log('Loading local video:', id);
+    }
+
+    /**
+     * Playlists are a YouTube feature
+     */
+    loadPlaylist() {
+        console.error('Playlists are not supported for local videos');
+    }
+
+    /**
+     * Read the duration of a local file or URL without loading it in the player
+     * Resolves { duration } in seconds
+     */
+    static readInfo(src, timeoutMs = 15000) {
+        return new Promise((resolve, reject) => {
+            const probe = document.createElement('video');
+            probe.preload = 'metadata';
+            
+            const finish = (error, info) => {
+                clearTimeout(timeout);
+                probe.removeAttribute('src');
+                probe.load();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(info);
+                }
+            };
+            const timeout = setTimeout(() => finish(new Error('Timed out reading video details')), timeoutMs);
+            
+            probe.addEventListener('loadedmetadata', () => finish(null, { duration: Math.round(probe.duration) }));
+            probe.addEventListener('error', () => {
+                const error = new Error('This file can\'t be played in the browser (use MP4 or WebM)');
+                error.unplayable = true;
+                finish(error);
+            });
+            probe.src = src;
+        });
+    }
+
+    /**
+     * List the videos in a folder URL
+     * Accepts a JSON array of file names or a web server's directory listing
+     * Resolves [{ url, fileName }]
+     */
+    static async listFolder(folderUrl) {
+        const base = folderUrl.endsWith('/') ? folderUrl : `${folderUrl}/`;
+        const response = await fetch(base);
+        if (!response.ok) {
+            throw new Error(`Couldn't open the video folder (${response.status})`);
+        }
+        
+        const text = await response.text();
+        let names;
+        try {
+            names = JSON.parse(text);
+        } catch (error) {
+            names = [...text.matchAll(/href="([^"?#]+)[^"]*"/gi)].map(match => match[1]);
+        }
+        
+        return [...new Set(names)]
+            .filter(name => LocalVideoPlayer.isVideoFile(name))
+            .map(name => {
+                const url = new URL(name, new URL(base, window.location.href)).href;
+                return { url, fileName: decodeURIComponent(url.split('/').pop()) };
+            });
+    }
+
+    /**
+     * Check a file name or URL for a video extension the browser can play
+     */
+    static isVideoFile(name) {
+        return /\.(mp4|m4v|webm)(\?.*)?$/i.test(name);
+    }
+
+    /**
+     * Not available for local files (titles come from the file name)
+     */
+    fetchInfo() {
+        return Promise.reject(new Error('fetchInfo is only available for YouTube'));
+    }
+
+    /**
+     * Get the current video's details (same shape as YouTube's)
+     */
+    getVideoData() {
+        return this.currentVideoId ? { video_id: this.currentVideoId, title: '' } : null;
+    }
+
+    /**
+     * Play the current video
+     */
+    play() {
+        if (this.isReady && this.src) {
+            this.video.play().catch(error => console.error('Could not play local video:', error));
+        }
+    }
+
+    /**
+     * Pause the current video
+     */
+    pause() {
+        if (this.isReady) {
+            this.video.pause();
+        }
+    }
+
+    /**
+     * Show or hide the <video> element
+     */
+    setVisible(visible) {
+        if (this.video) {
+            this.video.style.display = visible ? '' : 'none';
+        }
+    }
+
+    /**
+     * Get current playback time
+     */
+    getCurrentTime() {
+        return this.isReady ? this.video.currentTime : 0;
+    }
+
+    /**
+     * Check if video is paused
+     */
+    isPaused() {
+        return !this.isReady || this.video.paused;
+    }
+
+    /**
+     * Get video duration
+     */
+    getDuration() {
+        return this.isReady && isFinite(this.video.duration) ? this.video.duration : 0;
+    }
+
+    /**
+     * Seek to specific time
+     */
+    seekTo(seconds) {
+        if (this.isReady) {
+            this.video.currentTime = seconds;
+        }
+    }
+
+    /**
+     * Set playback rate (any value between minRate and maxRate)
+     */
+    setPlaybackRate(rate) {
+        if (this.isReady) {
+            this.video.playbackRate = Math.min(this.maxRate, Math.max(this.minRate, rate));
+        }
+    }
+
+    /**
+     * Get current playback rate
+     */
+    getPlaybackRate() {
+        return this.isReady ? this.video.playbackRate : 1;
+    }
+
+    /**
+     * Playback rates from minRate to maxRate in rateStep increments
+     */
+    getAvailablePlaybackRates() {
+        const rates = [];
+        for (let rate = this.minRate; rate <= this.maxRate + 1e-9; rate += this.rateStep) {
+            rates.push(Math.round(rate * 100) / 100);
+        }
+        return rates;
+    }
+
+    /**
+     * Set volume (0-100)
+     */
+    setVolume(volume) {
+        if (this.isReady) {
+            this.video.volume = Math.min(100, Math.max(0, volume)) / 100;
+        }
+    }
+
+    /**
+     * Get current volume
+     */
+    getVolume() {
+        return this.isReady ? Math.round(this.video.volume * 100) : 50;
+    }
+
+    /**
+     * Mute the video
+     */
+    mute() {
+        if (this.isReady) {
+            this.video.muted = true;
+        }
+    }
+
+    /**
+     * Unmute the video
+     */
+    unmute() {
+        if (this.isReady) {
+            this.video.muted = false;
+        }
+    }
+}
+
+// MediaError codes
+LocalVideoPlayer.errorMessages = {
+    1: 'Loading the video was stopped',
+    2: 'The video couldn\'t be loaded from the network',
+    3: 'The video file is damaged or uses an unsupported codec',
+    4: 'This file can\'t be played in the browser (use MP4 or WebM)'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalVideoPlayer;
+}
@@ -0,0 +1,589 @@
+/**
+ * Motion Source Module
+ * Common interface for step-counting backends (face, body pose, synthetic).
+ * Handles camera access, the tracking loop, size normalization, cadence
+ * estimation and callbacks; subclasses only load a model and turn each
+ * detection result into a vertical position and a body-size measure.
+ * With a FrameScheduler attached, frames come from the shared scheduler
+ * (and inference may run in its worker) instead of a private loop.
+ *
+ * Interface used by the app:
+ *   init()            - acquire the camera (if any) and load the model
+ *   start()           - start tracking
+ *   stop()            - stop tracking and release the camera
+ *   on(type, handler) - subscribe to events (see EventEmitter)
+ *
+ * Events (payloads also carry type and timestamp):
+ *   bob       - { stepCount, stepsPerMinute, confidence } when the step count increases
+ *   movement  - { verticalMovement, signedMovement } every frame, in % of body size
+ *   faceLost  - { missingSince } when the face (or body) has been missing for the grace period
+ *   faceFound - { lostForMs } once it has been detected for stableFrames frames in a row
+ *               (lostForMs is null the first time)
+ */
+
+class MotionSource extends EventEmitter {
+    constructor() {
+        super(['bob', 'movement', 'faceLost', 'faceFound']);
+        this.type = 'base'; // Registry key, set by subclasses
+        this.video = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.detector = null; // { inWorker: true } when the scheduler's worker runs the model
+        this.scheduler = null;
+        this.workerModel = null; // Worker model key, null = no worker support
+        this.isTracking = false;
+        this.cameraActive = false;
+        
+        // Vertical position tracking (pixels)
+        this.previousY = null;
+        this.currentY = null;
+        this.verticalMovement = 0;
+        this.movementHistory = [];
+        this.maxHistoryLength = 30; // Track last 30 frames
+        
+        // Size normalization
+        // Movement is reported relative to a body measure (eye distance, shoulder
+        // width...) so camera distance doesn't change it
+        this.bodySize = null; // Smoothed size in pixels
+        this.bodySizeSmoothing = 0.1; // EMA weight for new measurements
+        
+        // Bob detection
+        this.bobThreshold = 10; // Minimum vertical movement (% of body size) to count as a bob
+        this.fullScaleMovement = 40; // Movement that fills the indicator bar (% of body size)
+        this.noiseFloor = 0; // Movement below this is treated as jitter (set by calibration)
+        this.bobCount = 0;
+        this.lastBobDirection = null; // 'up' or 'down'
+        this.bobTimestamps = [];
+        
+        // Cadence estimation (frequency analysis of the vertical signal)
+        // The estimator sees the offset from a running mean, so size jitter
+        // isn't scaled up by where the runner sits in the frame
+        this.cadenceEstimator = new CadenceEstimator();
+        this.baselineY = null; // Running mean of the vertical position (pixels)
+        this.baselineTimeMs = 2000; // Time constant of the running mean
+        this.baselineAt = null; // Timestamp of its last update
+        this.lastReportedStepCount = 0;
+        
+        // Sample recording (used by calibration)
+        this.isRecording = false;
+        this.recordedSamples = [];
+        
+        // Presence tracking (for faceLost / faceFound)
+        this.faceLostGraceMs = 3000; // Missing this long before faceLost fires
+        this.faceFoundFrames = 15; // Consecutive detections before faceFound fires
+        this.subjectVisible = false;
+        this.missingSince = null;
+        this.consecutiveDetections = 0;
+        this.lostAt = null;
+        
+        // Animation frame
+        this.animationFrameId = null;
+    }
+
+    /**
+     * Register a backend so it can be picked in settings
+     */
+    static register(type, SourceClass, label) {
+        MotionSource.backends[type] = { SourceClass, label };
+    }
+
+    /**
+     * Create a registered backend (falls back to the face tracker)
+     */
+    static create(type) {
+        const backend = MotionSource.backends[type] || MotionSource.backends.face;
+        return new backend.SourceClass();
+    }
+
+    /**
+     * Use a shared FrameScheduler instead of a private requestAnimationFrame loop
+     */
+    setFrameScheduler(scheduler) {
+        this.scheduler = scheduler;
+    }
+
+    /**
+     * Initialize with camera access and load the model
+     */
+    async init() {
+        try {
+            await this.openCamera();
+            await this.loadDetector();
+            
+            console.log(`Motion source "${this.type}" initialized successfully`);
+            return true;
+        } catch (error) {
+            console.error(`Error initializing motion source "${this.type}":`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Request camera access and size the tracking canvas to match
+     */
+    async openCamera() {
+        this.video = document.getElementById('cameraFeed');
+        this.canvas = document.getElementById('trackingCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                facingMode: 'user',
+                width: { ideal: 640 },
+                height: { ideal: 480 }
+            }
+        });
+        
+        this.video.srcObject = stream;
+        this.cameraActive = true;
+        
+        // Wait for video to load
+        await new Promise((resolve) => {
+            this.video.onloadedmetadata = () => {
+                resolve();
+            };
+        });
+        
+        // Set canvas size to match video
+        this.canvas.width = this.video.videoWidth;
+        this.canvas.height = this.video.videoHeight;
+    }
+
+    /**
+     * Load the model in the scheduler's worker if possible, else on the main thread
+     */
+    async loadDetector() {
+        if (this.scheduler && this.workerModel && await this.scheduler.loadModel(this.workerModel)) {
+            this.detector = { inWorker: true };
+            return;
+        }
+        
+        await this.loadModel();
+    }
+
+    /**
+     * Load the detection model on the main thread (subclasses)
+     */
+    async loadModel() {
+        throw new Error('loadModel() not implemented');
+    }
+
+    /**
+     * Run the model on a frame and return the raw result (subclasses)
+     */
+    async estimate(frame) {
+        throw new Error('estimate() not implemented');
+    }
+
+    /**
+     * Turn a detection result into processSample() calls (subclasses)
+     */
+    handleResult(result, timestamp = Date.now()) {
+        throw new Error('handleResult() not implemented');
+    }
+
+    /**
+     * Main-thread detection for the scheduler
+     * Loads the model here if the worker has gone away
+     */
+    async estimateOnMainThread(frame) {
+        if (!this.detector || this.detector.inWorker) {
+            await this.loadModel();
+        }
+        return this.estimate(frame);
+    }
+
+    /**
+     * Detect one camera frame (private loop)
+     */
+    async detectFrame() {
+        const timestamp = Date.now();
+        const result = await this.estimateOnMainThread(this.video);
+        this.handleResult(result, timestamp);
+    }
+
+    /**
+     * Start tracking (interface name)
+     */
+    start() {
+        this.startTracking();
+    }
+
+    /**
+     * Start tracking movement
+     */
+    startTracking() {
+        if (!this.detector) {
+            console.error('Model not loaded yet');
+            return;
+        }
+        
+        this.isTracking = true;
+        
+        if (this.scheduler && this.workerModel) {
+            this.scheduler.addTask(this.type, {
+                model: this.detector.inWorker ? this.workerModel : null,
+                detect: (frame) => this.estimateOnMainThread(frame),
+                onResult: (result, timestamp) => this.handleResult(result, timestamp)
+            });
+        } else {
+            this.track();
+        }
+        console.log(`Tracking started (${this.type})`);
+    }
+
+    /**
+     * Stop tracking movement (camera stays on)
+     */
+    stopTracking() {
+        this.isTracking = false;
+        if (this.scheduler) {
+            this.scheduler.removeTask(this.type);
+        }
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+        }
+        console.log(`Tracking stopped (${this.type})`);
+    }
+
+    /**
+     * Private tracking loop (used without a scheduler)
+     */
+    async track() {
+        if (!this.isTracking) return;
+        
+        try {
+            await this.detectFrame();
+        } catch (error) {
+            console.error('Tracking error:', error);
+        }
+        
+        // Continue tracking
+        this.animationFrameId = requestAnimationFrame(() => this.track());
+    }
+
+    /**
+     * Process one measurement: vertical position and body size in pixels
+     */
+    processSample(y, size, timestamp = Date.now()) {
+        this.currentY = y;
+        
+        if (!this.updateBodySize(size)) return;
+        
+        this.updatePresence(true, timestamp);
+        
+        // Feed the cadence estimator (offset in relative units) and report new steps
+        const offset = this.toRelativeUnits(this.currentY - this.updateBaseline(this.currentY, timestamp));
+        this.cadenceEstimator.addSample(offset, timestamp);
+        this.reportSteps(timestamp);
+        
+        if (this.previousY !== null) {
+            // Calculate vertical movement in relative units
+            const movement = this.toRelativeUnits(this.currentY - this.previousY);
+            this.verticalMovement = Math.abs(movement) > this.noiseFloor ? Math.abs(movement) : 0;
+            
+            if (this.isRecording) {
+                this.recordedSamples.push({
+                    t: timestamp,
+                    y: offset,
+                    movement
+                });
+            }
+            
+            // Add to history
+            this.movementHistory.push(movement);
+            if (this.movementHistory.length > this.maxHistoryLength) {
+                this.movementHistory.shift();
+            }
+            
+            // Detect bobs (up and down motion)
+            this.detectBob(movement, timestamp);
+            
+            this.emit('movement', {
+                timestamp,
+                verticalMovement: this.verticalMovement,
+                signedMovement: movement
+            });
+        }
+        
+        this.previousY = this.currentY;
+    }
+
+    /**
+     * Nothing detected this frame - reset frame-to-frame tracking
+     */
+    processNoDetection(timestamp = Date.now()) {
+        this.previousY = null;
+        this.verticalMovement = 0;
+        this.updatePresence(false, timestamp);
+    }
+
+    /**
+     * Track whether the subject is in view
+     * Brief dropouts are ignored for faceLostGraceMs, and faceFound waits
+     * for faceFoundFrames detections in a row so a flicker doesn't resume
+     */
+    updatePresence(detected, timestamp) {
+        if (detected) {
+            this.missingSince = null;
+            this.consecutiveDetections++;
+            
+            if (!this.subjectVisible && this.consecutiveDetections >= this.faceFoundFrames) {
+                this.subjectVisible = true;
+                this.emit('faceFound', {
+                    timestamp,
+                    lostForMs: this.lostAt !== null ? timestamp - this.lostAt : null
+                });
+            }
+            return;
+        }
+        
+        this.consecutiveDetections = 0;
+        if (!this.subjectVisible) return;
+        
+        if (this.missingSince === null) {
+            this.missingSince = timestamp;
+        }
+        
+        if (timestamp - this.missingSince >= this.faceLostGraceMs) {
+            this.subjectVisible = false;
+            this.lostAt = this.missingSince;
+            this.emit('faceLost', { timestamp, missingSince: this.missingSince });
+        }
+    }
+
+    /**
+     * Configure presence tracking: { graceMs, stableFrames }
+     */
+    setPresenceOptions({ graceMs, stableFrames } = {}) {
+        if (graceMs !== undefined) this.faceLostGraceMs = graceMs;
+        if (stableFrames !== undefined) this.faceFoundFrames = stableFrames;
+    }
+
+    /**
+     * Check if the face (or body) is currently in view
+     */
+    isSubjectVisible() {
+        return this.subjectVisible;
+    }
+
+    /**
+     * Fold a body-size measurement into the smoothed value
+     */
+    updateBodySize(size) {
+        if (size > 0) {
+            this.bodySize = this.bodySize === null
+                ? size
+                : this.bodySize + this.bodySizeSmoothing * (size - this.bodySize);
+        }
+        
+        return this.bodySize;
+    }
+
+    /**
+     * Update the running mean of the vertical position and return it
+     */
+    updateBaseline(y, timestamp) {
+        if (this.baselineY === null) {
+            this.baselineY = y;
+        } else {
+            const weight = 1 - Math.exp(-Math.max(0, timestamp - this.baselineAt) / this.baselineTimeMs);
+            this.baselineY += weight * (y - this.baselineY);
+        }
+        this.baselineAt = timestamp;
+        return this.baselineY;
+    }
+
+    /**
+     * Convert a pixel distance to relative units (% of body size)
+     */
+    toRelativeUnits(pixels) {
+        return this.bodySize ? (pixels / this.bodySize) * 100 : 0;
+    }
+
+    /**
+     * Emit a bob event when the smoothed step count has increased
+     */
+    reportSteps(timestamp = Date.now()) {
+        const cadence = this.cadenceEstimator.getEstimate();
+        
+        if (cadence.stepCount > this.lastReportedStepCount) {
+            this.lastReportedStepCount = cadence.stepCount;
+            
+            this.emit('bob', {
+                timestamp,
+                stepCount: cadence.stepCount,
+                stepsPerMinute: cadence.stepsPerMinute,
+                confidence: cadence.confidence
+            });
+        }
+    }
+
+    /**
+     * Detect bobs (complete up-down or down-up cycles)
+     * Raw frame-to-frame counter, kept for debugging next to the cadence estimate
+     */
+    detectBob(movement, timestamp = Date.now()) {
+        const currentDirection = movement > this.bobThreshold ? 'down' :
+                                movement < -this.bobThreshold ? 'up' : null;
+        
+        if (currentDirection && this.lastBobDirection &&
+            currentDirection !== this.lastBobDirection) {
+            // Direction changed - count as a raw bob
+            this.bobCount++;
+            this.bobTimestamps.push(timestamp);
+            
+            // Keep only last minute of timestamps
+            const oneMinuteAgo = timestamp - 60000;
+            this.bobTimestamps = this.bobTimestamps.filter(t => t > oneMinuteAgo);
+        }
+        
+        if (currentDirection) {
+            this.lastBobDirection = currentDirection;
+        }
+    }
+
+    /**
+     * Get current bobs per minute (estimated cadence)
+     */
+    getBobsPerMinute() {
+        return this.cadenceEstimator.getEstimate().stepsPerMinute;
+    }
+
+    /**
+     * Get the cadence estimate: { stepsPerMinute, confidence, stepCount }
+     */
+    getCadence() {
+        return this.cadenceEstimator.getEstimate();
+    }
+
+    /**
+     * Get average vertical movement (% of body size per frame)
+     */
+    getAverageMovement() {
+        if (this.movementHistory.length === 0) return 0;
+        const sum = this.movementHistory.reduce((a, b) => Math.abs(a) + Math.abs(b), 0);
+        return sum / this.movementHistory.length;
+    }
+
+    /**
+     * Apply a calibration profile (see CalibrationManager)
+     * Thresholds only carry over when recorded with the same kind of source
+     */
+    applyProfile(profile) {
+        if (!profile) return;
+        
+        if (profile.source && profile.source !== this.type) {
+            console.log(`Calibration was recorded with "${profile.source}", keeping ${this.type} defaults`);
+            return;
+        }
+        
+        this.bobThreshold = profile.bobThreshold;
+        this.noiseFloor = profile.noiseFloor || 0;
+        this.cadenceEstimator.setMinAmplitude(profile.minAmplitude);
+        console.log(`Calibration applied: threshold=${this.bobThreshold}, noiseFloor=${this.noiseFloor}, minAmplitude=${profile.minAmplitude}`);
+    }
+
+    /**
+     * Start recording per-frame samples
+     */
+    startRecording() {
+        this.recordedSamples = [];
+        this.isRecording = true;
+    }
+
+    /**
+     * Stop recording and return the samples: { t, y, movement } in relative units (y from the running mean)
+     */
+    stopRecording() {
+        this.isRecording = false;
+        const samples = this.recordedSamples;
+        this.recordedSamples = [];
+        return samples;
+    }
+
+    /**
+     * Reset all tracking statistics
+     */
+    resetStats() {
+        this.bobCount = 0;
+        this.bobTimestamps = [];
+        this.movementHistory = [];
+        this.verticalMovement = 0;
+        this.previousY = null;
+        this.bodySize = null;
+        this.baselineY = null;
+        this.baselineAt = null;
+        this.cadenceEstimator.reset();
+        this.lastReportedStepCount = 0;
+        console.log('Tracking stats reset');
+    }
+
+    /**
+     * Shorthand for on('bob'): callback(stepCount, cadence)
+     * Returns a function that unsubscribes
+     */
+    onStep(callback) {
+        return this.on('bob', event => callback(event.stepCount, event));
+    }
+
+    /**
+     * Shorthand for on('bob') (older name)
+     */
+    onBobDetected(callback) {
+        return this.onStep(callback);
+    }
+
+    /**
+     * Shorthand for on('movement'): callback(verticalMovement, signedMovement)
+     */
+    onMovement(callback) {
+        return this.on('movement', event => callback(event.verticalMovement, event.signedMovement));
+    }
+
+    /**
+     * Stop tracking and release the camera
+     */
+    stop() {
+        this.stopTracking();
+        
+        if (this.video && this.video.srcObject) {
+            const tracks = this.video.srcObject.getTracks();
+            tracks.forEach(track => track.stop());
+            this.video.srcObject = null;
+        }
+        
+        if (this.ctx) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        
+        this.cameraActive = false;
+        this.subjectVisible = false;
+        this.missingSince = null;
+        this.consecutiveDetections = 0;
+        this.lostAt = null;
+        console.log(`Motion source "${this.type}" stopped and camera released`);
+    }
+
+    /**
+     * Check if camera (or other input) is active
+     */
+    isCameraActive() {
+        return this.cameraActive;
+    }
+
+    /**
+     * Check if tracking is active
+     */
+    isActive() {
+        return this.isTracking;
+    }
+}
+
+// Registered backends: { type: { SourceClass, label } }
+MotionSource.backends = {};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MotionSource;
+}
@@ -0,0 +1,143 @@
+/**
+ * Playback Positions Module
+ * Remembers where each video was left off, per user, so long trails can be
+ * run over several sessions. Positions live in CacheManager; account users
+ * also get a copy on their Firestore users doc (users/{uid}.playbackPositions)
+ * so they follow them between devices.
+ *
+ * Position: { position, duration, updatedAt } keyed by library entry id
+ *   position and duration are in seconds
+ */
+
+class PlaybackPositions {
+    constructor(cacheManager = null, authManager = null) {
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.positions = {};
+        this.cacheKey = 'playbackPositions';
+        this.cacheTTL = 90 * 24 * 60 * 60 * 1000; // 90 days
+        
+        this.minPosition = 30; // Not worth resuming in the first half minute...
+        this.endMargin = 30; // ...or in the last one
+        this.remoteInterval = 60 * 1000; // Minimum time between Firestore writes
+        this.lastRemoteSave = 0;
+        this.dirty = {}; // Entry ids changed since the last Firestore write
+    }
+
+    /**
+     * Load the current user's positions
+     * Account users get the newest of the cached and Firestore copies per video
+     */
+    async load() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        this.positions = (this.cache ? this.cache.get(this.getKey(user), 'videoPreferences') : null) || {};
+        this.dirty = {};
+        
+        if (user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                const doc = await window.firebaseApp.db.collection('users').doc(user.uid).get();
+                const remote = doc.exists ? (doc.data().playbackPositions || {}) : {};
+                
+                Object.entries(remote).forEach(([entryId, saved]) => {
+                    const local = this.positions[entryId];
+                    if (!local || saved.updatedAt > local.updatedAt) {
+                        this.positions[entryId] = saved;
+                    }
+                });
+                this.saveLocal(user);
+            } catch (error) {
+                console.error('Error loading playback positions:', error);
+            }
+        }
+        
+        return this.positions;
+    }
+
+    /**
+     * Saved position to offer resuming from (seconds), or null
+     */
+    get(entryId) {
+        const saved = this.positions[entryId];
+        if (!saved || saved.position < this.minPosition) return null;
+        if (saved.duration && saved.position > saved.duration - this.endMargin) return null;
+        return saved.position;
+    }
+
+    /**
+     * Remember a position; written to the cache now and to Firestore at most
+     * once a minute (flush() writes immediately)
+     */
+    set(entryId, position, duration = null) {
+        if (!entryId || !isFinite(position)) return;
+        
+        this.positions[entryId] = {
+            position: Math.floor(position),
+            duration: duration ? Math.round(duration) : null,
+            updatedAt: Date.now()
+        };
+        this.dirty[entryId] = true;
+        this.saveLocal();
+        
+        if (Date.now() - this.lastRemoteSave >= this.remoteInterval) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Forget a video's position (finished, or the user started over)
+     */
+    clear(entryId) {
+        if (!this.positions[entryId]) return;
+        
+        delete this.positions[entryId];
+        this.dirty[entryId] = true;
+        this.saveLocal();
+        this.flush();
+    }
+
+    /**
+     * Write pending changes to Firestore (account users only)
+     */
+    async flush() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const changed = Object.keys(this.dirty);
+        if (changed.length === 0 || !user || this.auth.isGuestUser() || !window.firebaseApp?.db) return;
+        
+        const update = {};
+        changed.forEach(entryId => {
+            update[entryId] = this.positions[entryId] || firebase.firestore.FieldValue.delete();
+        });
+        this.dirty = {};
+        this.lastRemoteSave = Date.now();
+        
+        try {
+            await window.firebaseApp.db.collection('users').doc(user.uid).set(
+                { playbackPositions: update },
+                { merge: true }
+            );
+        } catch (error) {
+            console.error('Error saving playback positions:', error);
+        }
+    }
+
+    /**
+     * Write all positions to the cache
+     */
+    saveLocal(user = this.auth ? this.auth.getCurrentUser() : null) {
+        if (this.cache) {
+            this.cache.set(this.getKey(user), this.positions, 'videoPreferences', this.cacheTTL);
+        }
+    }
+
+    /**
+     * Cache key for the user's positions (guests share one local slot)
+     */
+    getKey(user) {
+        return user && !user.isGuest ? `${this.cacheKey}_${user.uid}` : this.cacheKey;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackPositions;
+}
@@ -0,0 +1,151 @@
+/**
+ * Pose Tracker Module
+ * Counts steps from torso movement using a body-pose model (MoveNet by
+ * default, BlazePose optional). Follows the shoulders and hips, so it keeps
+ * working with hoods, glasses or poor face lighting.
+ */
+
+class PoseTracker extends MotionSource {
+    constructor(modelName = 'MoveNet') {
+        super();
+        this.type = 'pose';
+        this.modelName = modelName; // 'MoveNet' or 'BlazePose'
+        this.workerModel = modelName.toLowerCase();
+        this.minKeypointScore = 0.3;
+        this.torsoKeypoints = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'];
+        
+        // Movement is reported in percent of shoulder width, which is several
+        // times the eye distance, so the threshold is lower than the face tracker's
+        this.bobThreshold = 2.5; // Minimum vertical movement (% of shoulder width) to count as a bob
+        this.fullScaleMovement = 10; // Movement that fills the indicator bar (% of shoulder width)
+    }
+
+    /**
+     * Load the pose detection model
+     */
+    async loadModel() {
+        try {
+            console.log(`Loading ${this.modelName} pose model...`);
+            
+            if (this.modelName === 'BlazePose') {
+                this.detector = await poseDetection.createDetector(
+                    poseDetection.SupportedModels.BlazePose,
+                    { runtime: 'tfjs', modelType: 'lite' }
+                );
+            } else {
+                this.detector = await poseDetection.createDetector(
+                    poseDetection.SupportedModels.MoveNet,
+                    { modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
+                );
+            }
+            
+            console.log('Pose model loaded');
+        } catch (error) {
+            console.error('Error loading pose model:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detect the pose in a camera frame
+     */
+    async estimate(frame) {
+        return this.detector.estimatePoses(frame);
+    }
+
+    /**
+     * Process detected poses
+     */
+    handleResult(poses, timestamp = Date.now()) {
+        if (!this.ctx) return;
+        
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        const torso = poses && poses.length > 0 ? this.processPose(poses[0], timestamp) : null;
+        
+        if (torso) {
+            this.drawTorso(torso);
+        } else if (!poses || poses.length === 0) {
+            this.processNoDetection(timestamp);
+        }
+    }
+
+    /**
+     * Process one pose: follow the torso, or reset if the shoulders aren't visible
+     * Returns the torso, or null
+     */
+    processPose(pose, timestamp = Date.now()) {
+        const torso = this.getTorso(pose);
+        
+        if (torso) {
+            this.processSample(torso.centerY, torso.shoulderWidth, timestamp);
+        } else {
+            // Shoulders not visible - reset tracking
+            this.processNoDetection(timestamp);
+        }
+        return torso;
+    }
+
+    /**
+     * Extract torso centre and shoulder width from a pose
+     * Returns null unless both shoulders are confidently detected
+     */
+    getTorso(pose) {
+        const points = {};
+        pose.keypoints.forEach(keypoint => {
+            if (this.torsoKeypoints.includes(keypoint.name) && (keypoint.score ?? 1) >= this.minKeypointScore) {
+                points[keypoint.name] = keypoint;
+            }
+        });
+        
+        const leftShoulder = points.left_shoulder;
+        const rightShoulder = points.right_shoulder;
+        if (!leftShoulder || !rightShoulder) return null;
+        
+        // Average whatever torso points are visible (hips are often cut off)
+        const visible = Object.values(points);
+        const centerX = visible.reduce((sum, p) => sum + p.x, 0) / visible.length;
+        const centerY = visible.reduce((sum, p) => sum + p.y, 0) / visible.length;
+        
+        return {
+            centerX,
+            centerY,
+            shoulderWidth: Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y),
+            points: visible
+        };
+    }
+
+    /**
+     * Draw torso keypoints on canvas for visual feedback
+     */
+    drawTorso(torso) {
+        this.ctx.save();
+        
+        // Mirror the canvas horizontally to match the mirrored video feed
+        this.ctx.translate(this.canvas.width, 0);
+        this.ctx.scale(-1, 1);
+        
+        this.ctx.fillStyle = '#00ff00';
+        torso.points.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+        
+        // Draw torso centre (what we track)
+        this.ctx.fillStyle = this.verticalMovement > this.bobThreshold ? '#ff0000' : '#00ff00';
+        this.ctx.beginPath();
+        this.ctx.arc(torso.centerX, torso.centerY, 10, 0, 2 * Math.PI);
+        this.ctx.fill();
+        
+        this.ctx.restore();
+    }
+}
+
+MotionSource.register('pose', PoseTracker, 'Body pose (shoulders and hips)');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoseTracker;
+}
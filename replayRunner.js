@@ -0,0 +1,124 @@
+/**
+ * Replay Runner
+ * Replays recorded sessions (see SessionRecorder) through the motion source
+ * they were recorded with (HeadTracker or PoseTracker) and the CollectiblesGame
+ * gesture logic under Node/jsdom, with no camera or model, and reports steps
+ * and gestures for each one. Use it to check threshold changes against the
+ * library of recorded runs in recordings/.
+ *
+ * Usage:
+ *   npm install --no-save jsdom
+ *   node replayRunner.js recordings/             (every .json in the folder)
+ *   node replayRunner.js run1.json run2.json
+ *
+ * A recording with an "expected" block ({ steps, rawBobs, grabs, slashes,
+ * fists, stepTolerance }) fails the run (exit code 1) when the results drift.
+ * Steps may also fall short by what the cadence estimator misses while it
+ * fills its first window (warm-up).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// Browser globals the modules expect
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.window = dom.window;
+global.document = dom.window.document;
+
+global.EventEmitter = require('./eventEmitter.js');
+global.CadenceEstimator = require('./cadenceEstimator.js');
+global.MotionSource = require('./motionSource.js');
+require('./headTracker.js'); // Register the backends recordings can name
+require('./poseTracker.js');
+const CollectiblesGame = require('./collectibles.js');
+const ReplaySource = require('./replaySource.js');
+
+/**
+ * Expand folders into their .json files
+ */
+function collectFiles(args) {
+    return args.flatMap(arg => {
+        if (fs.statSync(arg).isDirectory()) {
+            return fs.readdirSync(arg)
+                .filter(name => name.endsWith('.json'))
+                .sort()
+                .map(name => path.join(arg, name));
+        }
+        return [arg];
+    });
+}
+
+/**
+ * Replay one recording with fresh tracker and game instances
+ */
+function replayFile(file) {
+    const source = ReplaySource.fromJSON(fs.readFileSync(file, 'utf8'));
+    
+    // The modules log every detection; keep the report readable
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        const motionSource = MotionSource.create(source.recording.source);
+        const collectiblesGame = new CollectiblesGame(motionSource);
+        return { summary: source.replay({ motionSource, collectiblesGame }), expected: source.recording.expected };
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+/**
+ * Compare a summary with the recording's expected block
+ */
+function check(summary, expected) {
+    if (!expected) return [];
+    
+    const failures = [];
+    if (expected.steps !== undefined) {
+        const tolerance = Math.max(1, expected.steps * (expected.stepTolerance ?? 0.05));
+        // Steps the estimator can't count before its first window is full
+        const warmup = summary.durationMs > 0 ? expected.steps * Math.min(1, summary.warmupMs / summary.durationMs) : 0;
+        if (summary.steps > expected.steps + tolerance || summary.steps < expected.steps - tolerance - warmup) {
+            failures.push(`steps ${summary.steps}, expected ${expected.steps} -${(tolerance + warmup).toFixed(0)}/+${tolerance.toFixed(0)}`);
+        }
+    }
+    if (expected.rawBobs !== undefined) {
+        // The raw counter has no warm-up; it follows bobThreshold frame by frame
+        const tolerance = Math.max(1, expected.rawBobs * (expected.stepTolerance ?? 0.05));
+        if (Math.abs(summary.rawBobs - expected.rawBobs) > tolerance) {
+            failures.push(`raw bobs ${summary.rawBobs}, expected ${expected.rawBobs} ± ${tolerance.toFixed(0)}`);
+        }
+    }
+    ['grabs', 'slashes', 'fists'].forEach(gesture => {
+        if (expected[gesture] !== undefined && summary.gestures[gesture] !== expected[gesture]) {
+            failures.push(`${gesture} ${summary.gestures[gesture]}, expected ${expected[gesture]}`);
+        }
+    });
+    return failures;
+}
+
+const files = collectFiles(process.argv.slice(2));
+if (files.length === 0) {
+    console.log('Usage: node replayRunner.js <recording.json | folder> ...');
+    process.exit(1);
+}
+
+let failed = 0;
+files.forEach(file => {
+    const { summary, expected } = replayFile(file);
+    const failures = check(summary, expected);
+    const { grabs, slashes, fists, faceFiltered } = summary.gestures;
+    
+    console.log(`${failures.length ? '✗' : '✓'} ${path.basename(file)}: ` +
+        `${(summary.durationMs / 1000).toFixed(0)}s, ${summary.steps} steps (${summary.stepsPerMinute} spm), ` +
+        `${summary.rawBobs} raw bobs, ${grabs} grabs, ${slashes} slashes, ${fists} fists, ${faceFiltered} face-filtered`);
+    failures.forEach(failure => console.log(`    ${failure}`));
+    
+    if (failures.length) failed++;
+});
+
+console.log(`\n${files.length - failed}/${files.length} recordings passed`);
+process.exit(failed ? 1 : 0);
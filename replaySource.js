@@ -0,0 +1,193 @@
+/**
+ * Replay Source Module
+ * Feeds a SessionRecorder recording into the motion source it was recorded
+ * with (HeadTracker.processFaceData() or PoseTracker.processPose()) and the
+ * CollectiblesGame gesture logic, with no camera or model. replay() runs as
+ * fast as possible (Node regression runs); play() keeps the original timing.
+ */
+
+class ReplaySource {
+    constructor(recording) {
+        this.recording = recording;
+        this.timers = [];
+    }
+
+    /**
+     * Create from a JSON string or parsed object
+     */
+    static fromJSON(json) {
+        return new ReplaySource(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    /**
+     * Rebuild a face-mesh result (sparse keypoints array) from a recorded frame
+     */
+    toFace(points) {
+        const keypoints = [];
+        this.recording.faceKeypoints.forEach((index, i) => {
+            if (points[i]) {
+                keypoints[index] = { x: points[i][0], y: points[i][1] };
+            }
+        });
+        return { keypoints };
+    }
+
+    /**
+     * Rebuild a pose (named keypoints with scores) from a recorded frame
+     */
+    toPose(points) {
+        const keypoints = [];
+        (this.recording.poseKeypoints || []).forEach((name, i) => {
+            if (points[i]) {
+                keypoints.push({ name, x: points[i][0], y: points[i][1], score: points[i][2] ?? 1 });
+            }
+        });
+        return { keypoints };
+    }
+
+    /**
+     * Rebuild a hand result from a recorded frame
+     */
+    toHand(points) {
+        return {
+            keypoints: points.map(point => (point ? { x: point[0], y: point[1] } : { x: 0, y: 0 }))
+        };
+    }
+
+    /**
+     * Point the game at the recorded frame size (the face-zone filter needs it)
+     */
+    prepare({ motionSource = null, collectiblesGame = null }) {
+        const frameSize = this.recording.frameSize || { width: 640, height: 480 };
+        
+        if (collectiblesGame) {
+            collectiblesGame.videoElement = {
+                readyState: 4,
+                videoWidth: frameSize.width,
+                videoHeight: frameSize.height
+            };
+            if (motionSource) {
+                collectiblesGame.headTracker = motionSource;
+                motionSource.detector = motionSource.detector || { replay: true };
+            }
+        }
+        
+        return {
+            durationMs: 0,
+            frames: 0,
+            steps: 0,
+            stepsPerMinute: 0,
+            rawBobs: 0,
+            warmupMs: 0,
+            gestures: { grabs: 0, slashes: 0, fists: 0, faceFiltered: 0 },
+            wasGrabbing: false,
+            wasFist: false
+        };
+    }
+
+    /**
+     * Feed one recorded frame into the targets and update the summary
+     */
+    feed(frame, { motionSource = null, collectiblesGame = null }, summary) {
+        summary.frames++;
+        summary.durationMs = frame.t;
+        
+        if (frame.type === 'face' && motionSource) {
+            if (frame.keypoints && frame.keypoints[0]) {
+                motionSource.processFaceData(this.toFace(frame.keypoints), frame.t);
+            } else {
+                motionSource.processNoDetection(frame.t);
+            }
+        } else if (frame.type === 'pose' && motionSource) {
+            if (frame.keypoints) {
+                motionSource.processPose(this.toPose(frame.keypoints), frame.t);
+            } else {
+                motionSource.processNoDetection(frame.t);
+            }
+        } else if (frame.type === 'hands' && collectiblesGame) {
+            if (!frame.keypoints) {
+                collectiblesGame.isGrabbing = false;
+                summary.wasGrabbing = false;
+                summary.wasFist = false;
+                return;
+            }
+            
+            const gesture = collectiblesGame.analyzeHand(this.toHand(frame.keypoints), frame.t);
+            if (gesture.isFace) summary.gestures.faceFiltered++;
+            if (gesture.slash) summary.gestures.slashes++;
+            
+            // Count gestures once when they start, not every frame they're held
+            if (gesture.isGrabbing && !summary.wasGrabbing) summary.gestures.grabs++;
+            if (gesture.isClosedFist && !summary.wasFist) summary.gestures.fists++;
+            summary.wasGrabbing = gesture.isGrabbing;
+            summary.wasFist = gesture.isClosedFist;
+        }
+    }
+
+    /**
+     * Final figures for a replay
+     */
+    finish(summary, motionSource) {
+        if (motionSource) {
+            const cadence = motionSource.getCadence();
+            summary.steps = cadence.stepCount;
+            summary.stepsPerMinute = cadence.stepsPerMinute;
+            summary.rawBobs = motionSource.bobCount;
+            summary.warmupMs = motionSource.cadenceEstimator.minWindowMs;
+        }
+        
+        delete summary.wasGrabbing;
+        delete summary.wasFist;
+        return summary;
+    }
+
+    /**
+     * Replay the whole recording synchronously
+     * Returns { durationMs, frames, steps, stepsPerMinute, rawBobs, warmupMs, gestures }
+     */
+    replay(targets) {
+        const summary = this.prepare(targets);
+        this.recording.frames.forEach(frame => this.feed(frame, targets, summary));
+        return this.finish(summary, targets.motionSource);
+    }
+
+    /**
+     * Replay with the original timing (speed 2 = twice as fast)
+     * Resolves with the same summary as replay()
+     */
+    play(targets, speed = 1) {
+        this.stop();
+        const summary = this.prepare(targets);
+        const frames = this.recording.frames;
+        
+        return new Promise(resolve => {
+            if (frames.length === 0) {
+                resolve(this.finish(summary, targets.motionSource));
+                return;
+            }
+            
+            frames.forEach((frame, index) => {
+                this.timers.push(setTimeout(() => {
+                    this.feed(frame, targets, summary);
+                    if (index === frames.length - 1) {
+                        this.timers = [];
+                        resolve(this.finish(summary, targets.motionSource));
+                    }
+                }, frame.t / speed));
+            });
+        });
+    }
+
+    /**
+     * Cancel a play() in progress
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplaySource;
+}
@@ -0,0 +1,122 @@
+/**
+ * Route Guide Module
+ * Follows the video along a RouteProfile: tracks the climbing done during the
+ * workout and announces incline changes, chapters and points of interest.
+ * Call update() with the video time about once a second.
+ *
+ * Events (payloads also carry type and timestamp):
+ *   incline - { incline, grade, direction } treadmill incline (%) to set, 'up' or 'down'
+ *   chapter - { name, t } when a new chapter starts
+ *   poi     - { name, t, inSeconds } shortly before a point of interest
+ */
+
+class RouteGuide extends EventEmitter {
+    constructor() {
+        super(['incline', 'chapter', 'poi']);
+        this.route = null;
+        
+        this.lookaheadSeconds = 20; // Grade is averaged over this much upcoming video
+        this.inclineChange = 1.5; // Grade change (%) worth a new prompt
+        this.minPromptInterval = 15; // Video seconds between incline prompts
+        this.maxIncline = 15; // Most treadmills stop here
+        this.poiLeadSeconds = 10; // Announce points of interest this far ahead
+        this.maxStepSeconds = 10; // Larger jumps are seeks, not running
+        
+        this.lastTime = null;
+        this.lastIncline = null;
+        this.lastPromptTime = null;
+        this.currentChapter = null;
+        this.ascentMeters = 0; // Climbing during this workout, across videos
+    }
+
+    /**
+     * Follow a new route (or none)
+     */
+    setRoute(route) {
+        this.route = route;
+        this.lastTime = null;
+        this.lastIncline = null;
+        this.lastPromptTime = null;
+        this.currentChapter = null;
+    }
+
+    /**
+     * Check if a route is loaded
+     */
+    hasRoute() {
+        return this.route !== null;
+    }
+
+    /**
+     * Advance to a video time
+     */
+    update(t) {
+        if (!this.route) return;
+        
+        // Only count forward playback, not seeks
+        const step = this.lastTime === null ? null : t - this.lastTime;
+        if (step !== null && step > 0 && step <= this.maxStepSeconds) {
+            this.ascentMeters += this.route.getAscentBetween(this.lastTime, t);
+            
+            this.route.getPoisBetween(this.lastTime + this.poiLeadSeconds, t + this.poiLeadSeconds).forEach(poi => {
+                this.emit('poi', { name: poi.name, t: poi.t, inSeconds: Math.max(0, Math.round(poi.t - t)) });
+            });
+        }
+        
+        const chapter = this.route.getChapterAt(t);
+        if (chapter && chapter !== this.currentChapter) {
+            this.emit('chapter', { name: chapter.name, t: chapter.t });
+        }
+        this.currentChapter = chapter;
+        
+        this.checkIncline(t);
+        this.lastTime = t;
+    }
+
+    /**
+     * Prompt a new treadmill incline when the grade ahead changes enough
+     */
+    checkIncline(t) {
+        if (t >= this.route.getDuration()) return;
+        
+        const grade = this.route.getGradeAhead(t, this.lookaheadSeconds);
+        const incline = Math.min(this.maxIncline, Math.max(0, Math.round(grade)));
+        
+        if (this.lastIncline !== null) {
+            const settled = Math.abs(Math.min(this.maxIncline, Math.max(0, grade)) - this.lastIncline) < this.inclineChange;
+            const tooSoon = this.lastPromptTime !== null && Math.abs(t - this.lastPromptTime) < this.minPromptInterval;
+            if (settled || tooSoon || incline === this.lastIncline) return;
+        }
+        
+        const direction = this.lastIncline === null || incline >= this.lastIncline ? 'up' : 'down';
+        this.lastIncline = incline;
+        this.lastPromptTime = t;
+        this.emit('incline', { incline, grade: Math.round(grade * 10) / 10, direction });
+    }
+
+    /**
+     * Distance, elevation and grade at a video time, or null without a route
+     */
+    getPointAt(t) {
+        return this.route ? this.route.getPointAt(t) : null;
+    }
+
+    /**
+     * Climbing during this workout in metres
+     */
+    getAscent() {
+        return this.ascentMeters;
+    }
+
+    /**
+     * Start a new workout
+     */
+    resetAscent() {
+        this.ascentMeters = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteGuide;
+}
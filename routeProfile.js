@@ -0,0 +1,274 @@
+/**
+ * Route Profile Module
+ * A route descriptor maps video time to distance, elevation and grade, with
+ * chapter names and points of interest, so the app can follow the terrain in
+ * the footage. Descriptors are JSON files or built from a timestamped GPX track.
+ *
+ * Descriptor format:
+ *   {
+ *     version: 1,
+ *     name: 'Mountain loop',
+ *     points: [{ t, distance, elevation, grade }],  // t = video seconds, metres, metres, %
+ *     chapters: [{ t, name }],
+ *     pois: [{ t, name }]
+ *   }
+ * grade is optional and computed from neighbouring points when missing.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+class RouteProfile {
+    constructor(descriptor) {
+        if (!descriptor || !Array.isArray(descriptor.points) || descriptor.points.length < 2) {
+            throw new Error('A route needs at least two points');
+        }
+        
+        this.name = descriptor.name || 'Route';
+        this.points = descriptor.points
+            .filter(point => isFinite(point.t) && isFinite(point.distance) && isFinite(point.elevation))
+            .sort((a, b) => a.t - b.t);
+        this.chapters = (descriptor.chapters || []).slice().sort((a, b) => a.t - b.t);
+        this.pois = (descriptor.pois || []).slice().sort((a, b) => a.t - b.t);
+        
+        if (this.points.length < 2) {
+            throw new Error('A route needs at least two points with t, distance and elevation');
+        }
+        if (this.points.some(point => !isFinite(point.grade))) {
+            this.computeGrades();
+        }
+    }
+
+    /**
+     * Create from a JSON string or parsed descriptor
+     */
+    static fromJSON(json) {
+        return new RouteProfile(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    /**
+     * Build a route from a GPX track with timestamps
+     * offsetSeconds: how far into the track the video starts
+     * sampleSeconds: spacing of the resampled points (keeps descriptors small)
+     */
+    static fromGPX(gpxText, { offsetSeconds = 0, name = null, sampleSeconds = 5 } = {}) {
+        const doc = new DOMParser().parseFromString(gpxText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('That file isn\'t valid GPX');
+        }
+        
+        const text = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent.trim();
+        const trackPoints = [...doc.getElementsByTagName('trkpt')].map(element => ({
+            lat: parseFloat(element.getAttribute('lat')),
+            lon: parseFloat(element.getAttribute('lon')),
+            elevation: parseFloat(text(element, 'ele')),
+            time: Date.parse(text(element, 'time'))
+        })).filter(point => isFinite(point.lat) && isFinite(point.lon));
+        
+        if (trackPoints.length < 2) {
+            throw new Error('That GPX file has no track points');
+        }
+        if (trackPoints.some(point => !isFinite(point.time))) {
+            throw new Error('That GPX track has no timestamps, so it can\'t be matched to the video');
+        }
+        
+        // Cumulative distance and lightly smoothed elevation (GPS altitude is noisy)
+        const startTime = trackPoints[0].time;
+        let distance = 0;
+        const raw = trackPoints.map((point, i) => {
+            if (i > 0) {
+                distance += RouteProfile.distanceBetween(trackPoints[i - 1], point);
+            }
+            const neighbours = trackPoints.slice(Math.max(0, i - 2), i + 3).filter(p => isFinite(p.elevation));
+            const elevation = neighbours.length > 0
+                ? neighbours.reduce((sum, p) => sum + p.elevation, 0) / neighbours.length
+                : 0;
+            return { t: (point.time - startTime) / 1000 - offsetSeconds, distance, elevation };
+        });
+        
+        // Resample from the start of the video
+        const source = new RouteProfile({ points: raw.map(point => ({ ...point, grade: 0 })) });
+        const startDistance = source.getPointAt(0).distance;
+        const lastT = raw[raw.length - 1].t;
+        if (lastT <= 0) {
+            throw new Error('The video starts after the end of the GPX track');
+        }
+        
+        const points = [];
+        for (let t = 0; t < lastT + sampleSeconds; t += sampleSeconds) {
+            const point = source.getPointAt(Math.min(t, lastT));
+            const rounded = Math.round(Math.min(t, lastT));
+            if (points.length > 0 && points[points.length - 1].t === rounded) continue;
+            points.push({
+                t: rounded,
+                distance: Math.round((point.distance - startDistance) * 10) / 10,
+                elevation: Math.round(point.elevation * 10) / 10
+            });
+        }
+        
+        // Waypoints become points of interest (type "chapter" starts a chapter)
+        const chapters = [];
+        const pois = [];
+        [...doc.getElementsByTagName('wpt')].forEach(element => {
+            const waypoint = {
+                lat: parseFloat(element.getAttribute('lat')),
+                lon: parseFloat(element.getAttribute('lon')),
+                time: Date.parse(text(element, 'time'))
+            };
+            const nearest = isFinite(waypoint.time)
+                ? null
+                : trackPoints.reduce((best, point, i) =>
+                    RouteProfile.distanceBetween(point, waypoint) < RouteProfile.distanceBetween(trackPoints[best], waypoint) ? i : best, 0);
+            const t = Math.round(isFinite(waypoint.time) ? (waypoint.time - startTime) / 1000 - offsetSeconds : raw[nearest].t);
+            if (t < 0 || t > lastT) return;
+            
+            const item = { t, name: text(element, 'name') || 'Waypoint' };
+            (text(element, 'type') === 'chapter' ? chapters : pois).push(item);
+        });
+        
+        const trackName = text(doc.getElementsByTagName('trk')[0] || doc, 'name');
+        return new RouteProfile({ version: 1, name: name || trackName || 'GPX route', points, chapters, pois });
+    }
+
+    /**
+     * Great-circle distance in metres between two { lat, lon } points
+     */
+    static distanceBetween(a, b) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(b.lat - a.lat);
+        const dLon = toRadians(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Fill in each point's grade from its neighbours
+     */
+    computeGrades() {
+        this.points.forEach((point, i) => {
+            const before = this.points[Math.max(0, i - 1)];
+            const after = this.points[Math.min(this.points.length - 1, i + 1)];
+            const run = after.distance - before.distance;
+            point.grade = run > 1 ? Math.round((after.elevation - before.elevation) / run * 1000) / 10 : 0;
+        });
+    }
+
+    /**
+     * Serialize back to a descriptor
+     */
+    toJSON() {
+        return {
+            version: 1,
+            name: this.name,
+            points: this.points,
+            chapters: this.chapters,
+            pois: this.pois
+        };
+    }
+
+    /**
+     * Video time covered by the route
+     */
+    getDuration() {
+        return this.points[this.points.length - 1].t;
+    }
+
+    /**
+     * Distance, elevation and grade at a video time (interpolated)
+     */
+    getPointAt(t) {
+        const points = this.points;
+        if (t <= points[0].t) return { ...points[0], t };
+        if (t >= points[points.length - 1].t) return { ...points[points.length - 1], t };
+        
+        // Binary search for the segment containing t
+        let low = 0;
+        let high = points.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (points[mid].t <= t) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        
+        const a = points[low];
+        const b = points[high];
+        const fraction = (t - a.t) / (b.t - a.t);
+        return {
+            t,
+            distance: a.distance + (b.distance - a.distance) * fraction,
+            elevation: a.elevation + (b.elevation - a.elevation) * fraction,
+            grade: a.grade + (b.grade - a.grade) * fraction
+        };
+    }
+
+    /**
+     * Average grade (%) over the next lookaheadSeconds of video
+     */
+    getGradeAhead(t, lookaheadSeconds = 20) {
+        const here = this.getPointAt(t);
+        const ahead = this.getPointAt(t + lookaheadSeconds);
+        const run = ahead.distance - here.distance;
+        
+        // Standing still in the footage: use the local grade
+        if (run < 10) return here.grade;
+        return (ahead.elevation - here.elevation) / run * 100;
+    }
+
+    /**
+     * Chapter playing at a video time, or null before the first one
+     */
+    getChapterAt(t) {
+        let chapter = null;
+        for (const candidate of this.chapters) {
+            if (candidate.t > t) break;
+            chapter = candidate;
+        }
+        return chapter;
+    }
+
+    /**
+     * Points of interest with fromT < t <= toT
+     */
+    getPoisBetween(fromT, toT) {
+        return this.pois.filter(poi => poi.t > fromT && poi.t <= toT);
+    }
+
+    /**
+     * Total climbing along the whole route in metres
+     */
+    getTotalAscent() {
+        return this.getAscentBetween(0, this.getDuration());
+    }
+
+    /**
+     * Climbing in metres between two video times
+     */
+    getAscentBetween(fromT, toT) {
+        let ascent = 0;
+        let previous = this.getPointAt(fromT).elevation;
+        
+        this.points.filter(point => point.t > fromT && point.t < toT).forEach(point => {
+            ascent += Math.max(0, point.elevation - previous);
+            previous = point.elevation;
+        });
+        ascent += Math.max(0, this.getPointAt(toT).elevation - previous);
+        
+        return ascent;
+    }
+
+    /**
+     * Lowest and highest elevation (for charts)
+     */
+    getElevationRange() {
+        const elevations = this.points.map(point => point.elevation);
+        return { min: Math.min(...elevations), max: Math.max(...elevations) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteProfile;
+}
@@ -0,0 +1,152 @@
+/**
+ * Session Recorder Module
+ * Records timestamped motion-source (face or pose) and hand keypoints from a
+ * live session to JSON, so the tracking and gesture logic can be replayed
+ * later without a camera (see ReplaySource and replayRunner.js)
+ *
+ * Recording format:
+ *   {
+ *     version: 1,
+ *     recordedAt: ISO date,
+ *     source: motion source type ('face' or 'pose'),
+ *     model: the source's worker model ('face', 'movenet', 'blazepose'),
+ *     frameSize: { width, height },
+ *     faceKeypoints: [1, 33, 263],       // face mesh indices kept per frame
+ *     poseKeypoints: ['left_shoulder', ...],  // pose keypoint names kept per frame
+ *     frames: [
+ *       { t, type: 'face', keypoints: [[x, y], ...] | null },   // t = ms since start
+ *       { t, type: 'pose', keypoints: [[x, y, score], ...] | null },
+ *       { t, type: 'hands', keypoints: [[x, y] x 21] | null }
+ *     ],
+ *     expected: { steps, grabs, slashes, fists, stepTolerance }  // optional, added by hand
+ *   }
+ */
+
+class SessionRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.recording = null;
+        this.startTime = null;
+        
+        // Only the face keypoints HeadTracker reads (nose tip, outer eye corners);
+        // the full 478-point mesh would be ~10 MB per minute
+        this.faceKeypoints = [1, 33, 263];
+        // Only the torso keypoints PoseTracker reads, with their scores
+        this.poseKeypoints = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'];
+        this.precision = 10; // Keep one decimal place
+    }
+
+    /**
+     * Start a new recording
+     * meta: { source, model, frameSize: { width, height } }
+     */
+    start(meta = {}) {
+        this.recording = {
+            version: 1,
+            recordedAt: new Date().toISOString(),
+            source: meta.source || 'face',
+            model: meta.model || null,
+            frameSize: meta.frameSize || { width: 640, height: 480 },
+            faceKeypoints: this.faceKeypoints,
+            poseKeypoints: this.poseKeypoints,
+            frames: []
+        };
+        this.startTime = null;
+        this.isRecording = true;
+        console.log('Session recording started');
+    }
+
+    /**
+     * Record one detection result (called by FrameScheduler for every task)
+     */
+    record(type, result, timestamp = Date.now()) {
+        if (!this.isRecording) return;
+        
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+        const t = timestamp - this.startTime;
+        const detection = result && result.length > 0 ? result[0] : null;
+        
+        if (type === 'face') {
+            this.recording.frames.push({
+                t,
+                type,
+                keypoints: detection
+                    ? this.faceKeypoints.map(index => this.point(detection.keypoints[index]))
+                    : null
+            });
+        } else if (type === 'pose') {
+            this.recording.frames.push({
+                t,
+                type,
+                keypoints: detection
+                    ? this.poseKeypoints.map(name => this.point(detection.keypoints.find(k => k.name === name), true))
+                    : null
+            });
+        } else if (type === 'hands') {
+            this.recording.frames.push({
+                t,
+                type,
+                keypoints: detection ? detection.keypoints.map(keypoint => this.point(keypoint)) : null
+            });
+        }
+    }
+
+    /**
+     * Compact a keypoint to [x, y], or [x, y, score]
+     */
+    point(keypoint, withScore = false) {
+        if (!keypoint) return null;
+        const point = [
+            Math.round(keypoint.x * this.precision) / this.precision,
+            Math.round(keypoint.y * this.precision) / this.precision
+        ];
+        if (withScore) {
+            point.push(Math.round((keypoint.score ?? 1) * 100) / 100);
+        }
+        return point;
+    }
+
+    /**
+     * Stop recording and return the recording
+     */
+    stop() {
+        this.isRecording = false;
+        if (this.recording) {
+            console.log(`Session recording stopped (${this.recording.frames.length} frames)`);
+        }
+        return this.recording;
+    }
+
+    /**
+     * Serialize the recording
+     */
+    toJSON() {
+        return JSON.stringify(this.recording);
+    }
+
+    /**
+     * Save the recording as a JSON file
+     */
+    download(filename = null) {
+        if (!this.recording) return;
+        
+        const name = filename || `trailrun-recording-${this.recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+        const blob = new Blob([this.toJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRecorder;
+}
@@ -0,0 +1,217 @@
+/**
+ * Settings Module
+ * User preferences persisted per user through CacheManager, with a settings
+ * panel generated from a field schema (opened from the user menu)
+ */
+
+class SettingsManager {
+    constructor(cacheManager = null, authManager = null) {
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.cacheKey = 'settings';
+        this.panel = null;
+        this.onChangeCallback = null;
+        
+        // Default values
+        this.defaults = {
+            units: 'imperial',
+            strideLength: null // Metres per step; null = use calibration or the built-in default
+        };
+        
+        // Panel fields, in display order
+        this.fields = [
+            {
+                key: 'units',
+                label: 'Units',
+                type: 'select',
+                options: [
+                    { value: 'imperial', label: 'Miles (mi, mph)' },
+                    { value: 'metric', label: 'Kilometres (km, km/h)' }
+                ]
+            },
+            {
+                key: 'strideLength',
+                label: 'Stride length (m per step, blank = calibrated)',
+                type: 'number',
+                min: 0.3,
+                max: 2,
+                step: 0.01
+            }
+        ];
+        
+        this.values = { ...this.defaults };
+        this.load();
+    }
+
+    /**
+     * Load settings for the current user
+     */
+    load() {
+        const saved = this.cache ? this.cache.get(this.getKey(), 'localData') : null;
+        this.values = { ...this.defaults, ...(saved || {}) };
+        return this.values;
+    }
+
+    /**
+     * Persist the current settings
+     * Fields marked persist: false only last for the session
+     */
+    save() {
+        if (this.cache) {
+            const values = { ...this.values };
+            this.fields.filter(field => field.persist === false).forEach(field => delete values[field.key]);
+            this.cache.set(this.getKey(), values, 'localData');
+        }
+    }
+
+    /**
+     * Cache key for the current user (guests share one local slot)
+     */
+    getKey() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        return user && !user.isGuest ? `${this.cacheKey}_${user.uid}` : this.cacheKey;
+    }
+
+    /**
+     * Get a setting
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Set a setting and persist it
+     */
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+        
+        if (this.onChangeCallback) {
+            this.onChangeCallback(key, value);
+        }
+    }
+
+    /**
+     * Register a field with the settings panel (used by feature modules)
+     */
+    addField(field, defaultValue) {
+        this.fields.push(field);
+        this.defaults[field.key] = defaultValue;
+        if (!(field.key in this.values)) {
+            this.values[field.key] = defaultValue;
+        }
+    }
+
+    /**
+     * Register callback for setting changes
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    /**
+     * Open the settings panel
+     */
+    openPanel() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'settingsPanel';
+            this.panel.className = 'settings-panel';
+            document.body.appendChild(this.panel);
+        }
+        
+        this.renderPanel();
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Close the settings panel
+     */
+    closePanel() {
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the panel from the field schema
+     */
+    renderPanel() {
+        this.panel.innerHTML = `
+            <div class="settings-content">
+                <div class="settings-header">
+                    <h2>⚙️ Settings</h2>
+                    <button class="inventory-close" id="settingsClose">✕</button>
+                </div>
+                <form class="settings-form" id="settingsForm">
+                    ${this.fields.map(field => this.renderField(field)).join('')}
+                </form>
+            </div>
+        `;
+        
+        this.panel.querySelector('#settingsClose').addEventListener('click', () => this.closePanel());
+        
+        this.fields.forEach(field => {
+            const input = this.panel.querySelector(`[data-setting="${field.key}"]`);
+            input.addEventListener('change', () => {
+                this.set(field.key, this.readField(field, input));
+            });
+        });
+    }
+
+    /**
+     * Render a single field
+     */
+    renderField(field) {
+        const value = this.values[field.key];
+        let control;
+        
+        if (field.type === 'select') {
+            control = `
+                <select data-setting="${field.key}">
+                    ${field.options.map(option => `
+                        <option value="${option.value}" ${option.value === value ? 'selected' : ''}>${option.label}</option>
+                    `).join('')}
+                </select>
+            `;
+        } else if (field.type === 'checkbox') {
+            control = `<input type="checkbox" data-setting="${field.key}" ${value ? 'checked' : ''}>`;
+        } else if (field.type === 'text') {
+            control = `<input type="text" data-setting="${field.key}"
+                placeholder="${field.placeholder ?? ''}" value="${value ?? ''}">`;
+        } else {
+            control = `<input type="number" data-setting="${field.key}"
+                min="${field.min ?? ''}" max="${field.max ?? ''}" step="${field.step ?? 'any'}"
+                value="${value ?? ''}">`;
+        }
+        
+        return `
+            <label class="settings-field">
+                <span>${field.label}</span>
+                ${control}
+            </label>
+        `;
+    }
+
+    /**
+     * Read a field's value from its input
+     */
+    readField(field, input) {
+        if (field.type === 'checkbox') {
+            return input.checked;
+        }
+        if (field.type === 'number') {
+            const number = parseFloat(input.value);
+            return isNaN(number) ? null : number;
+        }
+        if (field.type === 'text') {
+            return input.value.trim();
+        }
+        return input.value;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
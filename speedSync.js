@@ -0,0 +1,181 @@
+/**
+ * Speed Sync Module
+ * Maps the runner's cadence to a video playback rate, so the scenery moves
+ * as fast as you do. The continuous rate comes from a per-user curve, is
+ * smoothed, and snaps to the nearest rate the player allows with
+ * hysteresis so the video doesn't flip between two rates.
+ *
+ * Events (payloads also carry type and timestamp):
+ *   rateChange - { rate, previousRate, cadence } when a new rate is applied
+ *   stopped    - { cadence } when cadence reaches zero and stopBehavior is 'pause'
+ */
+
+class SpeedSync extends EventEmitter {
+    constructor(videoPlayer, options = {}) {
+        super(['rateChange', 'stopped']);
+        this.videoPlayer = videoPlayer;
+        this.enabled = false;
+        
+        // Curve: cadence (steps/min) at normal speed and at the fastest rate
+        this.baseCadence = options.baseCadence || 150;
+        this.fastCadence = options.fastCadence || 190;
+        this.stopBehavior = options.stopBehavior || 'minimum'; // 'minimum' or 'pause'
+        this.maxRate = options.maxRate || 2; // Cap for players that go faster than YouTube
+        
+        this.smoothing = 0.3; // EMA weight for new cadence readings
+        this.hysteresis = 0.2; // How far past the midpoint to a neighbouring rate (as a fraction of the gap) before switching
+        this.minHoldMs = 2000; // Minimum time between rate changes
+        
+        this.smoothedCadence = null;
+        this.currentRate = 1;
+        this.lastChangeTime = 0;
+        this.isStopped = false;
+    }
+
+    /**
+     * Set the mapping curve: { baseCadence, fastCadence, stopBehavior }
+     */
+    setCurve({ baseCadence, fastCadence, stopBehavior } = {}) {
+        if (baseCadence) this.baseCadence = baseCadence;
+        if (fastCadence) this.fastCadence = Math.max(fastCadence, this.baseCadence + 1);
+        if (stopBehavior) this.stopBehavior = stopBehavior;
+    }
+
+    /**
+     * Drive a different player (the app switched video backends)
+     */
+    setPlayer(videoPlayer) {
+        this.videoPlayer = videoPlayer;
+        this.applyRate(this.enabled ? this.currentRate : 1, 0, true);
+    }
+
+    /**
+     * Turn speed sync on or off (off restores normal speed)
+     */
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
+        
+        this.enabled = enabled;
+        this.reset();
+    }
+
+    /**
+     * Rates the player supports up to maxRate, slowest first
+     */
+    getRates() {
+        const rates = this.videoPlayer.getAvailablePlaybackRates().filter(rate => rate <= this.maxRate);
+        return rates.length > 0 ? rates : [1];
+    }
+
+    /**
+     * Continuous rate for a cadence on the curve
+     * 0 → slowest rate, baseCadence → 1x, fastCadence → fastest rate
+     */
+    mapCadence(cadence) {
+        const rates = this.getRates();
+        const minRate = rates[0];
+        const maxRate = rates[rates.length - 1];
+        
+        if (cadence <= 0) return minRate;
+        if (cadence <= this.baseCadence) {
+            return minRate + (1 - minRate) * (cadence / this.baseCadence);
+        }
+        
+        const fraction = Math.min(1, (cadence - this.baseCadence) / (this.fastCadence - this.baseCadence));
+        return 1 + (maxRate - 1) * fraction;
+    }
+
+    /**
+     * Pick an allowed rate for a continuous rate, sticking with the current
+     * one unless the target is clearly past the midpoint to a neighbour
+     */
+    quantize(targetRate) {
+        const rates = this.getRates();
+        const nearest = rates.reduce((best, rate) =>
+            Math.abs(rate - targetRate) < Math.abs(best - targetRate) ? rate : best
+        );
+        
+        if (nearest === this.currentRate || !rates.includes(this.currentRate)) {
+            return nearest;
+        }
+        
+        const midpoint = (nearest + this.currentRate) / 2;
+        const margin = Math.abs(targetRate - midpoint);
+        return margin >= this.hysteresis * Math.abs(nearest - this.currentRate) ? nearest : this.currentRate;
+    }
+
+    /**
+     * Feed a cadence reading (steps/min); call about once a second
+     * Returns the rate in effect
+     */
+    update(cadence, now = Date.now()) {
+        if (!this.enabled) return this.currentRate;
+        
+        // Stopped: drop straight to the minimum (or ask for a pause)
+        if (cadence <= 0) {
+            // No steps yet since the start: the estimator is still warming up
+            if (this.smoothedCadence === null) return this.currentRate;
+            
+            this.smoothedCadence = 0;
+            if (!this.isStopped) {
+                this.isStopped = true;
+                this.applyRate(this.getRates()[0], cadence, true, now);
+                if (this.stopBehavior === 'pause') {
+                    this.emit('stopped', { cadence });
+                }
+            }
+            return this.currentRate;
+        }
+        this.isStopped = false;
+        
+        this.smoothedCadence = this.smoothedCadence === null || this.smoothedCadence === 0
+            ? cadence
+            : this.smoothedCadence + this.smoothing * (cadence - this.smoothedCadence);
+        
+        const rate = this.quantize(this.mapCadence(this.smoothedCadence));
+        if (rate !== this.currentRate && now - this.lastChangeTime >= this.minHoldMs) {
+            this.applyRate(rate, cadence, false, now);
+        }
+        
+        return this.currentRate;
+    }
+
+    /**
+     * Apply a rate to the player
+     */
+    applyRate(rate, cadence, force = false, now = Date.now()) {
+        if (rate === this.currentRate && !force) return;
+        
+        const previousRate = this.currentRate;
+        this.currentRate = rate;
+        this.lastChangeTime = now;
+        this.videoPlayer.setPlaybackRate(rate);
+        
+        if (rate !== previousRate) {
+            console.log(`Playback rate ${previousRate}x → ${rate}x (cadence ${cadence})`);
+            this.emit('rateChange', { timestamp: now, rate, previousRate, cadence });
+        }
+    }
+
+    /**
+     * Get the rate in effect
+     */
+    getRate() {
+        return this.currentRate;
+    }
+
+    /**
+     * Back to normal speed and forget the smoothing state (new workout)
+     */
+    reset() {
+        this.smoothedCadence = null;
+        this.isStopped = false;
+        this.applyRate(1, 0, true);
+        this.lastChangeTime = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeedSync;
+}
@@ -0,0 +1,75 @@
+/**
+ * Synthetic Motion Source Module
+ * Generates a bobbing signal at a set cadence without a camera or model,
+ * for testing the workout flow on machines without a webcam
+ */
+
+class SyntheticMotionSource extends MotionSource {
+    constructor(stepsPerMinute = 150) {
+        super();
+        this.type = 'synthetic';
+        this.stepsPerMinute = stepsPerMinute;
+        this.amplitude = 15; // Peak vertical displacement (% of body size)
+        this.noise = 2; // Random jitter (% of body size)
+        this.bodySizePixels = 100;
+        this.startTime = null;
+    }
+
+    /**
+     * No camera needed - just mark the source as active
+     */
+    async init() {
+        this.cameraActive = true;
+        await this.loadModel();
+        console.log('Synthetic motion source initialized');
+        return true;
+    }
+
+    /**
+     * Nothing to load; the "detector" is the signal generator itself
+     */
+    async loadModel() {
+        this.detector = { synthetic: true };
+    }
+
+    /**
+     * Set the simulated cadence (0 = standing still)
+     */
+    setStepsPerMinute(stepsPerMinute) {
+        this.stepsPerMinute = stepsPerMinute;
+    }
+
+    /**
+     * Generate one sample of a sine wave at the step frequency
+     */
+    async detectFrame() {
+        const now = Date.now();
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
+        
+        const seconds = (now - this.startTime) / 1000;
+        const phase = 2 * Math.PI * (this.stepsPerMinute / 60) * seconds;
+        const jitter = (Math.random() - 0.5) * this.noise;
+        const displacement = (this.amplitude * Math.sin(phase) + jitter) / 100 * this.bodySizePixels;
+        
+        this.processSample(240 + displacement, this.bodySizePixels, now);
+    }
+
+    /**
+     * Stop generating samples
+     */
+    stop() {
+        this.stopTracking();
+        this.startTime = null;
+        this.cameraActive = false;
+        console.log('Synthetic motion source stopped');
+    }
+}
+
+MotionSource.register('synthetic', SyntheticMotionSource, 'Synthetic (testing, no camera)');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntheticMotionSource;
+}
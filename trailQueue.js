@@ -0,0 +1,130 @@
+/**
+ * Trail Queue Module
+ * Picks the next trail for endless run mode, so a workout can carry on from
+ * one video to the next.
+ *
+ * Modes:
+ *   off     - no next trail
+ *   ordered - the library in its current sort order, wrapping at the end
+ *   terrain - a random trail of the same terrain, without repeats until they
+ *             have all been run (other terrains once those run out)
+ *
+ * Trails that failed to play are skipped for the rest of the session, and
+ * fallbackFor() picks a stand-in of the same terrain (whatever the mode).
+ */
+
+class TrailQueue {
+    constructor(videoLibrary = null) {
+        this.videoLibrary = videoLibrary;
+        this.mode = 'off';
+        this.played = new Set(); // Entry ids run in this workout
+        this.failed = new Set(); // Entry ids that couldn't be played
+    }
+
+    /**
+     * Pick from a library (set once the app has created it)
+     */
+    setLibrary(videoLibrary) {
+        this.videoLibrary = videoLibrary;
+    }
+
+    /**
+     * Set the mode ('off', 'ordered' or 'terrain')
+     */
+    setMode(mode) {
+        this.mode = TrailQueue.modes.includes(mode) ? mode : 'off';
+    }
+
+    /**
+     * Check if a next trail will be picked when a video ends
+     */
+    isEnabled() {
+        return this.mode !== 'off' && this.videoLibrary !== null;
+    }
+
+    /**
+     * Start a new run from an entry
+     */
+    reset(entryId = null) {
+        this.played = new Set(entryId ? [entryId] : []);
+    }
+
+    /**
+     * Remember that an entry couldn't be played
+     */
+    markFailed(entryId) {
+        this.failed.add(entryId);
+    }
+
+    /**
+     * Entries that can be played now, in library order
+     * Picked files that need choosing again after a reload are left out
+     */
+    getPlayable() {
+        return this.videoLibrary.getEntries().filter(entry =>
+            !this.failed.has(entry.id) && (entry.backend !== 'file' || this.videoLibrary.getSource(entry))
+        );
+    }
+
+    /**
+     * Pick a stand-in for an entry that can't be played: the first playable
+     * trail of the same terrain, or any playable trail
+     */
+    fallbackFor(entryId) {
+        if (!this.videoLibrary) return null;
+        
+        const terrain = this.videoLibrary.getEntry(entryId)?.terrain;
+        const candidates = this.getPlayable().filter(entry => entry.id !== entryId);
+        return candidates.find(entry => entry.terrain === terrain) || candidates[0] || null;
+    }
+
+    /**
+     * Pick the trail to follow an entry, or null if there's none
+     */
+    next(currentId) {
+        if (!this.isEnabled()) return null;
+        this.played.add(currentId);
+        
+        const candidates = this.getPlayable().filter(entry => entry.id !== currentId);
+        if (candidates.length === 0) return null;
+        
+        let entry;
+        if (this.mode === 'ordered') {
+            // The first playable trail after this one, wrapping round
+            const entries = this.videoLibrary.getEntries();
+            const index = entries.findIndex(item => item.id === currentId);
+            const following = entries.slice(index + 1).concat(entries.slice(0, index + 1));
+            entry = following.find(item => candidates.includes(item));
+        } else {
+            entry = this.pickByTerrain(candidates, this.videoLibrary.getEntry(currentId)?.terrain);
+        }
+        
+        this.played.add(entry.id);
+        return entry;
+    }
+
+    /**
+     * Random unplayed trail, preferring the given terrain
+     */
+    pickByTerrain(candidates, terrain) {
+        let pool = candidates.filter(entry => !this.played.has(entry.id));
+        if (pool.length === 0) {
+            // Everything has been run: start another round
+            this.played = new Set();
+            pool = candidates;
+        }
+        
+        const sameTerrain = pool.filter(entry => entry.terrain === terrain);
+        if (sameTerrain.length > 0) {
+            pool = sameTerrain;
+        }
+        return pool[Math.floor(Math.random() * pool.length)];
+    }
+}
+
+TrailQueue.modes = ['off', 'ordered', 'terrain'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrailQueue;
+}
@@ -0,0 +1,254 @@
+/**
+ * Training Plan View Module
+ * Today's plan workout on the start overlay, and the plan panel: the
+ * catalog to enroll from, or the current plan as a calendar with pause,
+ * resume and abandon
+ */
+
+class TrainingPlanView {
+    constructor(plans, metrics, card, onUseProgram = null) {
+        this.plans = plans; // TrainingPlans
+        this.metrics = metrics; // For units
+        this.card = card; // Today's workout on the start overlay
+        this.onUseProgram = onUseProgram; // (programId) => load it for the next workout
+        this.panel = null;
+        
+        this.plans.on('change', () => {
+            this.renderCard();
+            if (this.panel && this.panel.style.display === 'flex') {
+                this.render();
+            }
+        });
+        this.card.addEventListener('click', (event) => {
+            const programId = event.target.closest('[data-program-id]')?.dataset.programId;
+            if (programId && this.onUseProgram) {
+                this.onUseProgram(programId);
+            } else {
+                this.open();
+            }
+        });
+    }
+
+    /**
+     * Show today's session (or the next one, or an invitation to pick a plan)
+     */
+    renderCard() {
+        const plan = this.plans.state.plan;
+        const today = this.plans.getToday();
+        let title;
+        let detail = '';
+        let programId = null;
+        
+        if (!plan) {
+            title = '🗓️ Try a training plan';
+        } else if (plan.status === 'paused') {
+            title = `⏸️ ${plan.name} is paused`;
+        } else if (plan.status === 'completed') {
+            title = `🎉 ${plan.name} complete!`;
+        } else if (today) {
+            title = `🗓️ Today · ${plan.name} week ${today.week}`;
+            detail = `${today.done ? '✅ ' : ''}${today.name} · ${this.describeTarget(today)}`;
+            programId = today.done ? null : today.programId;
+        } else {
+            const next = this.plans.getNext();
+            title = `🗓️ Rest day · ${plan.name}`;
+            detail = next ? `Next: ${TrainingPlanView.formatDay(next.day)}, ${next.name}` : '';
+        }
+        
+        this.card.innerHTML = `
+            <span class="plan-card-title"></span>
+            <span class="plan-card-detail"></span>
+            ${programId ? `<button class="plan-card-program" data-program-id="${programId}">▶ Use this program</button>` : ''}
+        `;
+        this.card.querySelector('.plan-card-title').textContent = title;
+        this.card.querySelector('.plan-card-detail').textContent = detail;
+    }
+
+    /**
+     * Open the plan panel
+     */
+    open() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'trainingPlanPanel';
+            this.panel.className = 'settings-panel plan-panel';
+            document.body.appendChild(this.panel);
+        }
+        
+        this.panel.style.display = 'flex';
+        this.render();
+        this.plans.reschedule(); // In case the day changed while the app was open
+    }
+
+    /**
+     * Close the plan panel
+     */
+    close() {
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the current plan, or the catalog without one
+     */
+    render() {
+        const plan = this.plans.state.plan;
+        
+        this.panel.innerHTML = `
+            <div class="settings-content plan-content">
+                <div class="settings-header">
+                    <h2>🗓️ Training Plan</h2>
+                    <button class="inventory-close" id="planClose">✕</button>
+                </div>
+                <div class="plan-body">
+                    ${plan ? this.renderPlan(plan) : this.renderCatalog()}
+                </div>
+            </div>
+        `;
+        
+        this.panel.querySelector('#planClose').addEventListener('click', () => this.close());
+        this.panel.querySelectorAll('[data-enroll]').forEach(button => {
+            button.addEventListener('click', () => this.plans.enroll(button.dataset.enroll));
+        });
+        this.panel.querySelector('#planPause')?.addEventListener('click', () => this.plans.pause());
+        this.panel.querySelector('#planResume')?.addEventListener('click', () => this.plans.resume());
+        this.panel.querySelector('#planAbandon')?.addEventListener('click', () => {
+            if (confirm(`Abandon ${plan.name}? Your progress in it will be lost.`)) {
+                this.plans.abandon();
+            }
+        });
+        this.panel.querySelector('#planChoose')?.addEventListener('click', () => this.plans.abandon());
+    }
+
+    /**
+     * Plans to enroll in
+     */
+    renderCatalog() {
+        return `
+            <p class="plan-intro">Pick a plan and it schedules your workouts from today. Missed days move the rest of the plan back.</p>
+            <ul class="plan-catalog">
+                ${TrainingPlans.catalog.map(plan => `
+                    <li class="plan-option">
+                        <div>
+                            <strong>${plan.name}</strong>
+                            <span>${plan.description}</span>
+                            <span class="plan-length">${plan.weeks} weeks · ${plan.sessions.length} workouts</span>
+                        </div>
+                        <button class="control-button" data-enroll="${plan.id}">Start</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * The enrolled plan: progress, actions and calendar
+     */
+    renderPlan(plan) {
+        const { done, total } = this.plans.getCounts();
+        let status;
+        let actions;
+        if (plan.status === 'active') {
+            status = `Started ${TrainingPlanView.formatDay(plan.startedOn)}`;
+            actions = `
+                <button class="control-button secondary" id="planPause">⏸️ Pause</button>
+                <button class="control-button secondary" id="planAbandon">Abandon</button>
+            `;
+        } else if (plan.status === 'paused') {
+            status = `Paused since ${TrainingPlanView.formatDay(plan.pausedOn)}; missed workouts move when you resume`;
+            actions = `
+                <button class="control-button" id="planResume">▶️ Resume</button>
+                <button class="control-button secondary" id="planAbandon">Abandon</button>
+            `;
+        } else {
+            status = 'Complete! 🎉';
+            actions = '<button class="control-button" id="planChoose">Choose another plan</button>';
+        }
+        
+        return `
+            <div class="plan-summary">
+                <div>
+                    <strong>${plan.name}</strong>
+                    <span>${status}</span>
+                </div>
+                <span class="plan-count">${done}/${total}</span>
+            </div>
+            <div class="plan-progress"><div class="plan-progress-fill" style="width: ${total > 0 ? done / total * 100 : 0}%"></div></div>
+            <div class="plan-actions">${actions}</div>
+            ${this.renderCalendar(plan)}
+        `;
+    }
+
+    /**
+     * Monday-to-Sunday weeks from the first session to the last
+     */
+    renderCalendar(plan) {
+        const sessions = plan.sessions;
+        const byDay = {};
+        sessions.forEach(session => {
+            (byDay[session.day] = byDay[session.day] || []).push(session);
+        });
+        
+        const today = Achievements.localDay(new Date());
+        const first = WeeklyGoals.weekStart(TrainingPlanView.parseDay(sessions[0].day));
+        const last = sessions[sessions.length - 1].day;
+        const cells = [];
+        for (let day = first; day <= last || cells.length % 7 !== 0; day = WeeklyGoals.addDays(day, 1)) {
+            const daySessions = byDay[day] || [];
+            const classes = ['plan-day'];
+            if (day === today) classes.push('today');
+            if (daySessions.length > 0) classes.push(daySessions.every(session => session.done) ? 'done' : 'scheduled');
+            
+            cells.push(`
+                <div class="${classes.join(' ')}" title="${daySessions.map(session => `${session.name} (${this.describeTarget(session)})`).join('\n')}">
+                    <span class="plan-date">${Number(day.slice(8))}</span>
+                    ${daySessions.map(session => `
+                        <span class="plan-session">${session.done ? '✅' : (session.moved > 0 ? '🔁' : '🏃')} ${session.name}</span>
+                    `).join('')}
+                </div>
+            `);
+        }
+        
+        return `
+            <div class="plan-calendar">
+                ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(name => `<span class="plan-weekday">${name}</span>`).join('')}
+                ${cells.join('')}
+            </div>
+            <p class="plan-legend">✅ done · 🏃 scheduled · 🔁 moved after a missed day</p>
+        `;
+    }
+
+    /**
+     * A session's target as text, e.g. "26 min", "8.0 km" or "10,000 steps"
+     */
+    describeTarget(session) {
+        if (session.meters) {
+            return `${(session.meters / this.metrics.getUnitMeters()).toFixed(1)} ${this.metrics.getUnitLabels().distance}`;
+        }
+        if (session.steps) {
+            return `${session.steps.toLocaleString()} steps`;
+        }
+        return `${session.minutes} min`;
+    }
+
+    /**
+     * A YYYY-MM-DD day as a local Date
+     */
+    static parseDay(day) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(year, month - 1, date);
+    }
+
+    /**
+     * A YYYY-MM-DD day as short text, e.g. "Wed, Oct 21"
+     */
+    static formatDay(day) {
+        return TrainingPlanView.parseDay(day).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrainingPlanView;
+}
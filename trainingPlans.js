@@ -0,0 +1,401 @@
+/**
+ * Training Plans Module
+ * Multi-week plans ("Couch to 5K", "Walk 10K steps daily"...) that schedule
+ * workouts on calendar days from the day the user enrolls. Saving a workout
+ * counts toward that day's session. Sessions missed while the plan is
+ * active or paused move forward to today, and the rest of the plan moves
+ * with them. Guests keep their plan in the cache; account users also keep
+ * it on the Firestore users doc (users/{uid}.trainingPlan).
+ *
+ * Plan format (TrainingPlans.catalog):
+ *   {
+ *     id: 'couch-to-5k',
+ *     name: 'Couch to 5K',
+ *     description: '...',
+ *     weeks: 9,
+ *     sessions: [
+ *       { day: 0, name: 'Run 1:00 / walk 1:30 ×8', minutes: 30, programId: 'couch-to-5k-w1' },
+ *       { day: 5, name: 'Long run', meters: 8000 }
+ *     ]
+ *   }
+ * day counts from the enrollment day; a session is done once the workouts
+ * saved on its day add up to its minutes, meters or steps, or once its
+ * program (a WorkoutProgram id) is run to the end.
+ *
+ * State:
+ *   {
+ *     plan: {
+ *       id, name, status: 'active' | 'paused' | 'completed', startedOn, pausedOn,
+ *       sessions: [{ name, week, day, minutes, meters, steps, programId,
+ *                    done, progress: { seconds, meters, steps }, workoutIds, moved }]
+ *     } | null,
+ *     past: [{ id, name, status: 'completed' | 'abandoned', startedOn, endedOn, done, total }],
+ *     updatedAt
+ *   }
+ * Days are local dates (YYYY-MM-DD).
+ *
+ * Events (payloads also carry type and timestamp):
+ *   change - { plan } after loading, enrolling, pausing, rescheduling or a recorded workout
+ */
+
+class TrainingPlans extends EventEmitter {
+    constructor(cacheManager = null, authManager = null) {
+        super(['change']);
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.cacheKey = 'trainingPlan';
+        this.state = TrainingPlans.emptyState();
+    }
+
+    /**
+     * State before enrolling in a plan
+     */
+    static emptyState() {
+        return { plan: null, past: [], updatedAt: 0 };
+    }
+
+    /**
+     * Load the current user's plan (and move any sessions missed since)
+     * Account users get the newer of the cached and Firestore copies
+     */
+    async load() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        this.state = (this.cache ? this.cache.get(this.getKey(user), 'localData') : null) || TrainingPlans.emptyState();
+        
+        if (user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                const doc = await window.firebaseApp.db.collection('users').doc(user.uid).get();
+                const remote = doc.exists ? doc.data().trainingPlan : null;
+                if (remote && remote.updatedAt > this.state.updatedAt) {
+                    this.state = { ...TrainingPlans.emptyState(), ...remote };
+                    this.saveLocal(user);
+                }
+            } catch (error) {
+                console.error('Error loading training plan:', error);
+            }
+        }
+        
+        if (!(await this.reschedule())) {
+            this.emit('change', { plan: this.state.plan });
+        }
+        return this.state;
+    }
+
+    /**
+     * Start a plan from the catalog on startDay (today by default)
+     * A plan in progress is abandoned
+     */
+    async enroll(planId, startDay = Achievements.localDay(new Date())) {
+        const template = TrainingPlans.getPlan(planId);
+        if (!template) {
+            throw new Error(`Unknown training plan: ${planId}`);
+        }
+        this.archive('abandoned');
+        
+        this.state.plan = {
+            id: template.id,
+            name: template.name,
+            status: 'active',
+            startedOn: startDay,
+            pausedOn: null,
+            sessions: template.sessions.map(session => ({
+                name: session.name,
+                week: Math.floor(session.day / 7) + 1,
+                day: WeeklyGoals.addDays(startDay, session.day),
+                minutes: session.minutes || null,
+                meters: session.meters || null,
+                steps: session.steps || null,
+                programId: session.programId || null,
+                done: false,
+                progress: { seconds: 0, meters: 0, steps: 0 },
+                workoutIds: [],
+                moved: 0 // Days it has been pushed back
+            }))
+        };
+        
+        console.log(`Enrolled in ${template.name}`);
+        await this.save();
+    }
+
+    /**
+     * Pause the plan; nothing is due until it's resumed
+     */
+    async pause() {
+        const plan = this.state.plan;
+        if (!plan || plan.status !== 'active') return;
+        
+        plan.status = 'paused';
+        plan.pausedOn = Achievements.localDay(new Date());
+        await this.save();
+    }
+
+    /**
+     * Pick the plan up again from today
+     */
+    async resume() {
+        const plan = this.state.plan;
+        if (!plan || plan.status !== 'paused') return;
+        
+        plan.status = 'active';
+        plan.pausedOn = null;
+        if (!(await this.reschedule())) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Stop the plan for good
+     */
+    async abandon() {
+        if (!this.state.plan) return;
+        
+        this.archive('abandoned');
+        await this.save();
+    }
+
+    /**
+     * Move missed sessions to day (today by default), pushing the rest of
+     * the plan back by the same number of days so the spacing stays
+     * Resolves true if anything moved
+     */
+    async reschedule(day = Achievements.localDay(new Date())) {
+        const plan = this.state.plan;
+        if (!plan || plan.status !== 'active') return false;
+        
+        const missed = plan.sessions.find(session => !session.done && session.day < day);
+        if (!missed) return false;
+        
+        const days = WeeklyGoals.daysBetween(missed.day, day);
+        plan.sessions.forEach(session => {
+            if (session.done) return;
+            session.day = WeeklyGoals.addDays(session.day, days);
+            session.moved += days;
+        });
+        
+        console.log(`Training plan moved back ${days} day(s)`);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Count a saved workout toward its day's session
+     * Resolves { session, completed (by this workout), planCompleted }, or
+     * null if no session was due that day
+     */
+    async record(summary) {
+        const plan = this.state.plan;
+        if (!plan || plan.status !== 'active') return null;
+        
+        const day = Achievements.localDay(new Date(summary.endedAt || Date.now()));
+        await this.reschedule(day);
+        const session = plan.sessions.find(item => !item.done && item.day === day);
+        if (!session) return null;
+        
+        session.progress.seconds += summary.duration || 0;
+        session.progress.meters += summary.distanceMeters || 0;
+        session.progress.steps += summary.totalBobs || 0;
+        session.workoutIds.push(summary.id);
+        session.done = TrainingPlans.isSessionDone(session, summary);
+        
+        const planCompleted = session.done && plan.sessions.every(item => item.done);
+        if (planCompleted) {
+            plan.status = 'completed';
+            this.state.past = [...this.state.past, this.getRecord('completed')].slice(-TrainingPlans.maxPast);
+        }
+        
+        await this.save();
+        return { session, completed: session.done, planCompleted };
+    }
+
+    /**
+     * The session due today (done or not), or null on a rest day or when
+     * there's no active plan
+     */
+    getToday(date = new Date()) {
+        const plan = this.state.plan;
+        if (!plan || plan.status !== 'active') return null;
+        
+        const day = Achievements.localDay(date);
+        return plan.sessions.find(session => session.day === day && !session.done) ||
+            plan.sessions.find(session => session.day === day) ||
+            null;
+    }
+
+    /**
+     * The next session not done after today, or null
+     */
+    getNext(date = new Date()) {
+        const plan = this.state.plan;
+        if (!plan) return null;
+        
+        const day = Achievements.localDay(date);
+        return plan.sessions.find(session => !session.done && session.day > day) || null;
+    }
+
+    /**
+     * Sessions done and in total
+     */
+    getCounts() {
+        const sessions = this.state.plan ? this.state.plan.sessions : [];
+        return { done: sessions.filter(session => session.done).length, total: sessions.length };
+    }
+
+    /**
+     * Move the current plan (unless it's already completed) into past plans
+     */
+    archive(status) {
+        const plan = this.state.plan;
+        if (!plan) return;
+        
+        if (plan.status !== 'completed') {
+            this.state.past = [...this.state.past, this.getRecord(status)].slice(-TrainingPlans.maxPast);
+        }
+        this.state.plan = null;
+    }
+
+    /**
+     * A past-plans entry for the current plan
+     */
+    getRecord(status) {
+        const plan = this.state.plan;
+        return {
+            id: plan.id,
+            name: plan.name,
+            status,
+            startedOn: plan.startedOn,
+            endedOn: Achievements.localDay(new Date()),
+            ...this.getCounts()
+        };
+    }
+
+    /**
+     * Keep the state in the cache, and for accounts on the users doc
+     */
+    async save() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        this.state.updatedAt = Date.now();
+        this.saveLocal(user);
+        this.emit('change', { plan: this.state.plan });
+        
+        if (!user || this.auth.isGuestUser() || !window.firebaseApp?.db) return;
+        
+        try {
+            await window.firebaseApp.db.collection('users').doc(user.uid).set(
+                { trainingPlan: this.state },
+                { merge: true }
+            );
+        } catch (error) {
+            console.error('Error saving training plan:', error);
+        }
+    }
+
+    /**
+     * Write the state to the cache
+     */
+    saveLocal(user = this.auth ? this.auth.getCurrentUser() : null) {
+        if (this.cache) {
+            this.cache.set(this.getKey(user), this.state, 'localData');
+        }
+    }
+
+    /**
+     * Cache key for the user's plan (guests share one local slot)
+     */
+    getKey(user) {
+        return user && !user.isGuest ? `${this.cacheKey}_${user.uid}` : this.cacheKey;
+    }
+
+    /**
+     * Whether a session's target is reached (summary: the latest workout toward it)
+     */
+    static isSessionDone(session, summary) {
+        if (session.programId && summary.program?.id === session.programId && summary.program.completed) {
+            return true;
+        }
+        const progress = session.progress;
+        return (session.minutes !== null && progress.seconds >= session.minutes * 60) ||
+            (session.meters !== null && progress.meters >= session.meters) ||
+            (session.steps !== null && progress.steps >= session.steps);
+    }
+
+    /**
+     * A plan from the catalog by id, or null
+     */
+    static getPlan(planId) {
+        return TrainingPlans.catalog.find(plan => plan.id === planId) || null;
+    }
+
+    /**
+     * Couch to 5K's run/walk program for one week
+     */
+    static buildRunWalk(week, [run, walk, reps]) {
+        const walking = { min: 105, max: 135 };
+        const segments = [{ name: 'Brisk walk', type: 'warmup', duration: 300, cadence: walking }];
+        for (let rep = 1; rep <= reps; rep++) {
+            segments.push({ name: reps > 1 ? `Run ${rep}` : 'Run', type: 'interval', duration: run, cadence: { min: 150, max: 175 } });
+            if (walk > 0) {
+                segments.push({ name: 'Walk', type: 'recovery', duration: walk, cadence: walking });
+            }
+        }
+        segments.push({ name: 'Cool-down walk', type: 'cooldown', duration: 300, cadence: walking });
+        
+        return WorkoutProgram.parse({
+            id: `couch-to-5k-w${week}`,
+            name: `Couch to 5K week ${week}`,
+            description: 'Run/walk intervals between a brisk walk and a cool-down',
+            segments
+        });
+    }
+}
+
+TrainingPlans.maxPast = 20; // Past plans kept
+
+// Couch to 5K: [run seconds, walk seconds, repeats] for each week
+TrainingPlans.runWalkWeeks = [
+    [60, 90, 8], [90, 120, 6], [180, 180, 4], [300, 150, 3], [480, 300, 2],
+    [600, 180, 2], [1500, 0, 1], [1680, 0, 1], [1800, 0, 1]
+];
+
+// Programs the plans run (offered in the program picker too)
+TrainingPlans.programs = TrainingPlans.runWalkWeeks.map((week, i) => TrainingPlans.buildRunWalk(i + 1, week));
+
+// Plans to enroll in
+TrainingPlans.catalog = [
+    {
+        id: 'couch-to-5k',
+        name: 'Couch to 5K',
+        description: 'From walking to running 30 minutes without a break, three times a week',
+        weeks: 9,
+        sessions: TrainingPlans.runWalkWeeks.flatMap(([run, walk, reps], week) => [0, 2, 4].map(day => ({
+            day: week * 7 + day,
+            name: walk > 0
+                ? `Run ${VideoLibrary.formatDuration(run)} / walk ${VideoLibrary.formatDuration(walk)} ×${reps}`
+                : `Run ${run / 60} min`,
+            minutes: Math.round((600 + (run + walk) * reps) / 60), // With the warm-up and cool-down
+            programId: TrainingPlans.programs[week].id
+        })))
+    },
+    {
+        id: 'walk-10k-steps',
+        name: 'Walk 10K steps daily',
+        description: '10,000 steps every day for four weeks (several workouts a day add up)',
+        weeks: 4,
+        sessions: Array.from({ length: 28 }, (_, day) => ({ day, name: 'Daily walk', steps: 10000 }))
+    },
+    {
+        id: 'half-marathon-base',
+        name: 'Half-marathon base',
+        description: 'Eight weeks of easy runs, a fartlek and a long run that builds to 16 km',
+        weeks: 8,
+        sessions: Array.from({ length: 8 }, (_, week) => [
+            { day: week * 7 + 1, name: 'Easy run', minutes: 30 + week * 3 },
+            { day: week * 7 + 3, name: '20-min Fartlek', minutes: 20, programId: 'fartlek-20' },
+            { day: week * 7 + 5, name: 'Long run', meters: (6 + week * 1.5) * 1000 }
+        ]).flat()
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrainingPlans;
+}
@@ -0,0 +1,91 @@
+/**
+ * Trophy Case View Module
+ * Shows the user's personal records and badges (locked ones greyed out with
+ * what it takes to unlock them)
+ */
+
+class TrophyCaseView {
+    constructor(achievements, metrics) {
+        this.achievements = achievements; // Achievements
+        this.metrics = metrics; // For units
+        this.panel = null;
+    }
+
+    /**
+     * Open the trophy case
+     */
+    open() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'trophyCasePanel';
+            this.panel.className = 'settings-panel trophy-panel';
+            document.body.appendChild(this.panel);
+        }
+        
+        this.render();
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Close the trophy case
+     */
+    close() {
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render records and badges from the current state
+     */
+    render() {
+        const { records, badges } = this.achievements.state;
+        const formatDate = time => new Date(time).toLocaleDateString([], { dateStyle: 'medium' });
+        
+        this.panel.innerHTML = `
+            <div class="settings-content trophy-content">
+                <div class="settings-header">
+                    <h2>🏆 Trophy Case</h2>
+                    <button class="inventory-close" id="trophyCaseClose">✕</button>
+                </div>
+                <div class="trophy-body">
+                    <h3>Personal records</h3>
+                    <ul class="trophy-records">
+                        ${Achievements.records.map(rule => {
+                            const record = records[rule.id];
+                            return `
+                                <li class="trophy-record">
+                                    <span class="trophy-icon">${rule.icon}</span>
+                                    <span class="trophy-name">${rule.label}</span>
+                                    <span class="trophy-value">${record ? Achievements.formatValue(rule, record.value, this.metrics) : '—'}</span>
+                                    <span class="trophy-date">${record ? formatDate(record.date) : 'Not set yet'}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                    
+                    <h3>Badges</h3>
+                    <div class="trophy-badges">
+                        ${Achievements.badges.map(rule => {
+                            const badge = badges[rule.id];
+                            return `
+                                <div class="trophy-badge ${badge ? 'unlocked' : 'locked'}" title="${rule.description}">
+                                    <span class="trophy-badge-icon">${rule.icon}</span>
+                                    <span class="trophy-name">${rule.label}</span>
+                                    <span class="trophy-date">${badge ? formatDate(badge.unlockedAt) : rule.description}</span>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.panel.querySelector('#trophyCaseClose').addEventListener('click', () => this.close());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrophyCaseView;
+}
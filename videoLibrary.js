@@ -0,0 +1,534 @@
+/**
+ * Video Library Module
+ * The trail list: built-in trails plus any YouTube video or playlist the user
+ * adds by URL or ID, and local MP4/WebM files, with terrain tags and a sort
+ * order. Guests keep their library in CacheManager; account users also get it
+ * on their Firestore users doc.
+ *
+ * Entry: { id, backend, videoId, playlistId, url, fileName, title, duration,
+ *          videoCount, terrain, builtIn, addedAt, hasRoute, routeUrl }
+ *   backend is 'youtube' or 'file' (played by LocalVideoPlayer)
+ *   id is the playlist ID for playlists, the video ID for YouTube videos,
+ *   'url:<url>' for network files and 'file:<name>:<size>' for picked files
+ *   duration is in seconds (null until the player has read it)
+ *   hasRoute marks an imported route descriptor (see RouteProfile); routeUrl
+ *   points at a descriptor file instead
+ *
+ * Picked files can't be stored, so their entries only play in the session the
+ * file was picked in; after a reload the user is asked to pick it again.
+ *
+ * Events (payloads also carry type and timestamp):
+ *   change - { entries } after any add, edit, removal, sort or reload
+ */
+
+class VideoLibrary extends EventEmitter {
+    constructor(videoPlayer, cacheManager = null, authManager = null) {
+        super(['change']);
+        this.videoPlayer = videoPlayer;
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.entries = VideoLibrary.defaultEntries();
+        this.sortBy = 'added';
+        this.fileUrls = {}; // Entry id -> object URL for files picked this session
+        
+        // Persistence
+        this.cacheKey = 'videoLibrary';
+    }
+
+    /**
+     * Built-in trails (each video ID once - the old list used 1UMudXNH59I twice)
+     */
+    static defaultEntries() {
+        return [
+            { videoId: 'eg7nQ-H4kbI', title: 'Mountain Trail Run', terrain: 'mountain' },
+            { videoId: '1UMudXNH59I', title: 'Forest Path Walk', terrain: 'forest' },
+            { videoId: 'jHvt-RlxHO0', title: 'Beach Coastline Run', terrain: 'beach' }
+        ].map((entry, index) => ({
+            id: entry.videoId,
+            backend: 'youtube',
+            playlistId: null,
+            duration: null,
+            videoCount: 1,
+            builtIn: true,
+            addedAt: index,
+            ...entry
+        }));
+    }
+
+    /**
+     * Parse a YouTube URL, video ID or playlist URL/ID
+     * Returns { videoId, playlistId } (one may be null), or null if unrecognised
+     */
+    static parseInput(input) {
+        const text = (input || '').trim();
+        const videoPattern = /^[A-Za-z0-9_-]{11}$/;
+        const playlistPattern = /^(PL|UU|LL|FL|OL)[A-Za-z0-9_-]{10,}$/;
+        
+        if (videoPattern.test(text)) {
+            return { videoId: text, playlistId: null };
+        }
+        if (playlistPattern.test(text)) {
+            return { videoId: null, playlistId: text };
+        }
+        
+        let url;
+        try {
+            url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+        } catch (error) {
+            return null;
+        }
+        
+        const host = url.hostname.replace(/^(www|m|music)\./, '');
+        let videoId = null;
+        
+        if (host === 'youtu.be') {
+            videoId = url.pathname.split('/')[1];
+        } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+            const [, section, id] = url.pathname.split('/');
+            videoId = ['embed', 'shorts', 'live', 'v'].includes(section) ? id : url.searchParams.get('v');
+        } else {
+            return null;
+        }
+        
+        videoId = videoPattern.test(videoId || '') ? videoId : null;
+        
+        // Mixes (RD...) are generated per viewer and can't be reloaded later
+        let playlistId = url.searchParams.get('list');
+        if (!playlistId || !/^[A-Za-z0-9_-]{13,}$/.test(playlistId) || playlistId.startsWith('RD')) {
+            playlistId = null;
+        }
+        
+        if (!videoId && !playlistId) return null;
+        return { videoId: playlistId ? null : videoId, playlistId };
+    }
+
+    /**
+     * Load the library for the current user
+     * Cache first; account users fall back to their Firestore users doc
+     */
+    async load() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const key = this.getKey(user);
+        
+        let saved = this.cache ? this.cache.get(key, 'localData') : null;
+        
+        if (!saved && user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                const doc = await window.firebaseApp.db.collection('users').doc(user.uid).get();
+                saved = doc.exists ? (doc.data().videoLibrary || null) : null;
+                
+                if (saved && this.cache) {
+                    this.cache.set(key, saved, 'localData');
+                }
+            } catch (error) {
+                console.error('Error loading video library:', error);
+            }
+        }
+        
+        this.entries = saved?.entries?.length ? saved.entries : VideoLibrary.defaultEntries();
+        this.sortBy = saved?.sortBy || 'added';
+        this.emit('change', { entries: this.getEntries() });
+        return this.entries;
+    }
+
+    /**
+     * Save the library through CacheManager and, for accounts, to Firestore
+     */
+    async save() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const data = { entries: this.entries, sortBy: this.sortBy };
+        
+        if (this.cache) {
+            this.cache.set(this.getKey(user), data, 'localData');
+        }
+        
+        if (user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                await window.firebaseApp.db.collection('users').doc(user.uid).set(
+                    { videoLibrary: data },
+                    { merge: true }
+                );
+            } catch (error) {
+                console.error('Error saving video library:', error);
+            }
+        }
+    }
+
+    /**
+     * Cache key for the user's library (guests share one local slot)
+     */
+    getKey(user) {
+        return user && !user.isGuest ? `${this.cacheKey}_${user.uid}` : this.cacheKey;
+    }
+
+    /**
+     * Load the route descriptor for an entry, or null if it has none
+     * Imported routes come from the cache or the account's routes collection;
+     * network files also look for a "<name>.route.json" next to the video
+     * Throws if an imported route can't be read from the account
+     */
+    async loadRoute(entry) {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const key = this.getRouteKey(user, entry);
+        
+        if (entry.hasRoute) {
+            let descriptor = this.cache ? this.cache.get(key, 'localData') : null;
+            
+            if (!descriptor && user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+                try {
+                    const doc = await window.firebaseApp.db.collection('users').doc(user.uid)
+                        .collection('routes').doc(encodeURIComponent(entry.id)).get();
+                    descriptor = doc.exists ? doc.data() : null;
+                } catch (error) {
+                    console.error('Error loading route:', error);
+                    throw new Error(`Couldn't load the route for "${entry.title}" from your account`);
+                }
+                
+                if (descriptor && this.cache) {
+                    this.cache.set(key, descriptor, 'localData');
+                }
+            }
+            if (descriptor) {
+                return RouteProfile.fromJSON(descriptor);
+            }
+        }
+        
+        // A route file next to the video is optional
+        try {
+            const routeUrl = entry.routeUrl || (entry.url ? entry.url.replace(/\.[^./]+$/, '.route.json') : null);
+            if (routeUrl) {
+                const response = await fetch(routeUrl);
+                if (response.ok) {
+                    return RouteProfile.fromJSON(await response.json());
+                }
+            }
+        } catch (error) {
+            console.error('Error loading route:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Save an imported route for an entry (cache, and Firestore for accounts)
+     * Resolves false if the account copy couldn't be written (the device copy is kept)
+     */
+    async saveRoute(entry, route) {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        const descriptor = route.toJSON();
+        
+        if (this.cache) {
+            this.cache.set(this.getRouteKey(user, entry), descriptor, 'localData');
+        }
+        
+        let synced = true;
+        if (user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                await window.firebaseApp.db.collection('users').doc(user.uid)
+                    .collection('routes').doc(encodeURIComponent(entry.id)).set(descriptor);
+            } catch (error) {
+                console.error('Error saving route:', error);
+                synced = false;
+            }
+        }
+        
+        await this.updateEntry(entry.id, { hasRoute: true });
+        return synced;
+    }
+
+    /**
+     * Cache key for an entry's route
+     */
+    getRouteKey(user, entry) {
+        return `${this.getKey(user)}_route_${entry.id}`;
+    }
+
+    /**
+     * Entries in the chosen sort order: 'added', 'title', 'duration' or 'terrain'
+     */
+    getEntries(sortBy = this.sortBy) {
+        const compare = {
+            added: (a, b) => a.addedAt - b.addedAt,
+            title: (a, b) => a.title.localeCompare(b.title),
+            // Unknown durations go last
+            duration: (a, b) => (a.duration ?? Infinity) - (b.duration ?? Infinity),
+            terrain: (a, b) => a.terrain.localeCompare(b.terrain) || a.title.localeCompare(b.title)
+        }[sortBy] || ((a, b) => a.addedAt - b.addedAt);
+        
+        return this.entries.slice().sort(compare);
+    }
+
+    /**
+     * Get an entry by ID
+     */
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Add a video or playlist from user input
+     * Also takes a link to an MP4/WebM file, or to a folder of them
+     * Reads title and duration through the player; throws an Error with a
+     * message for the user when the input is invalid or can't be played
+     */
+    async addFromInput(input, terrain = 'other') {
+        const text = input.trim();
+        if (/^https?:\/\//i.test(text) && LocalVideoPlayer.isVideoFile(text)) {
+            return this.addFileUrl(text, terrain);
+        }
+        if (/^https?:\/\/.*\/$/i.test(text) && !VideoLibrary.parseInput(text)) {
+            const added = await this.importFolder(text, terrain);
+            if (added.length === 0) {
+                throw new Error('No new MP4 or WebM videos in that folder');
+            }
+            return added[0];
+        }
+        
+        const parsed = VideoLibrary.parseInput(text);
+        if (!parsed) {
+            throw new Error('That doesn\'t look like a YouTube link, video ID, playlist or video file');
+        }
+        
+        const id = parsed.playlistId || parsed.videoId;
+        if (this.getEntry(id)) {
+            throw new Error('That trail is already in your library');
+        }
+        
+        const entry = {
+            id,
+            backend: 'youtube',
+            videoId: parsed.videoId,
+            playlistId: parsed.playlistId,
+            title: parsed.playlistId ? 'YouTube playlist' : `YouTube video ${parsed.videoId}`,
+            duration: null,
+            videoCount: 1,
+            terrain: VideoLibrary.terrains[terrain] ? terrain : 'other',
+            builtIn: false,
+            addedAt: Date.now()
+        };
+        
+        try {
+            const info = await this.videoPlayer.fetchInfo(parsed);
+            if (parsed.playlistId) {
+                // The player only knows the first video's title, not the playlist's
+                entry.title = `Playlist starting with "${info.title}"`;
+                entry.videoCount = info.videoIds.length || 1;
+            } else {
+                entry.title = info.title;
+                entry.duration = info.duration;
+            }
+        } catch (error) {
+            // YouTube refused it; anything else (slow network) just leaves the
+            // placeholder title until the video is played
+            if (error.unplayable) {
+                throw error;
+            }
+            console.warn('Could not read video details:', error.message);
+        }
+        
+        this.entries.push(entry);
+        await this.commit();
+        console.log('Added to video library:', entry.title);
+        return entry;
+    }
+
+    /**
+     * Add picked or dropped files (File objects)
+     * Files already in the library are re-attached for this session
+     * Returns the added or re-attached entries
+     */
+    async addFiles(files, terrain = 'other') {
+        const entries = [];
+        
+        for (const file of files) {
+            if (!LocalVideoPlayer.isVideoFile(file.name)) {
+                console.warn('Skipping non-video file:', file.name);
+                continue;
+            }
+            
+            const id = `file:${file.name}:${file.size}`;
+            const existing = this.getEntry(id);
+            if (existing) {
+                this.attachFile(id, file);
+                entries.push(existing);
+                continue;
+            }
+            
+            const entry = this.createFileEntry(id, { fileName: file.name }, terrain);
+            this.attachFile(id, file);
+            await this.readFileInfo(entry, this.fileUrls[id]);
+            this.entries.push(entry);
+            entries.push(entry);
+        }
+        
+        if (entries.length === 0) {
+            throw new Error('Only MP4 and WebM videos can be added');
+        }
+        await this.commit();
+        return entries;
+    }
+
+    /**
+     * Add a video file served over the network (e.g. a NAS on the gym's LAN)
+     */
+    async addFileUrl(url, terrain = 'other') {
+        const id = `url:${url}`;
+        if (this.getEntry(id)) {
+            throw new Error('That trail is already in your library');
+        }
+        
+        const entry = this.createFileEntry(id, { url, fileName: decodeURIComponent(url.split('/').pop()) }, terrain);
+        await this.readFileInfo(entry, url);
+        this.entries.push(entry);
+        await this.commit();
+        console.log('Added to video library:', entry.title);
+        return entry;
+    }
+
+    /**
+     * Add every video in a folder URL that isn't in the library yet
+     * Returns the added entries
+     */
+    async importFolder(folderUrl, terrain = 'other') {
+        const files = await LocalVideoPlayer.listFolder(folderUrl);
+        const added = [];
+        
+        for (const { url, fileName } of files) {
+            const id = `url:${url}`;
+            if (this.getEntry(id)) continue;
+            
+            const entry = this.createFileEntry(id, { url, fileName }, terrain);
+            try {
+                await this.readFileInfo(entry, url);
+            } catch (error) {
+                console.warn(`Skipping ${fileName}:`, error.message);
+                continue;
+            }
+            this.entries.push(entry);
+            added.push(entry);
+        }
+        
+        if (added.length > 0) {
+            await this.commit();
+            console.log(`Imported ${added.length} videos from ${folderUrl}`);
+        }
+        return added;
+    }
+
+    /**
+     * New entry for a local or network file (title from the file name)
+     */
+    createFileEntry(id, { url = null, fileName }, terrain) {
+        return {
+            id,
+            backend: 'file',
+            videoId: null,
+            playlistId: null,
+            url,
+            fileName,
+            title: fileName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim(),
+            duration: null,
+            videoCount: 1,
+            terrain: VideoLibrary.terrains[terrain] ? terrain : 'other',
+            builtIn: false,
+            addedAt: Date.now()
+        };
+    }
+
+    /**
+     * Fill in a file entry's duration; rethrows if the browser can't play it
+     */
+    async readFileInfo(entry, src) {
+        try {
+            const info = await LocalVideoPlayer.readInfo(src);
+            entry.duration = info.duration || null;
+        } catch (error) {
+            if (error.unplayable) {
+                throw error;
+            }
+            console.warn('Could not read video details:', error.message);
+        }
+    }
+
+    /**
+     * Use a picked file for an entry in this session
+     */
+    attachFile(id, file) {
+        if (this.fileUrls[id]) {
+            URL.revokeObjectURL(this.fileUrls[id]);
+        }
+        this.fileUrls[id] = URL.createObjectURL(file);
+    }
+
+    /**
+     * URL to play a file entry from, or null if its file needs picking again
+     */
+    getSource(entry) {
+        return entry.url || this.fileUrls[entry.id] || null;
+    }
+
+    /**
+     * Change an entry (terrain tag, title, duration)
+     */
+    async updateEntry(id, changes) {
+        const entry = this.getEntry(id);
+        if (!entry) return null;
+        
+        Object.assign(entry, changes);
+        await this.commit();
+        return entry;
+    }
+
+    /**
+     * Remove an entry
+     */
+    async removeEntry(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        await this.commit();
+    }
+
+    /**
+     * Set the sort order
+     */
+    async setSort(sortBy) {
+        this.sortBy = sortBy;
+        await this.commit();
+    }
+
+    /**
+     * Notify listeners and persist
+     */
+    async commit() {
+        this.emit('change', { entries: this.getEntries() });
+        await this.save();
+    }
+
+    /**
+     * Format a duration in seconds as h:mm:ss or m:ss
+     */
+    static formatDuration(seconds) {
+        if (!seconds) return '';
+        
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+}
+
+// Terrain tags, in display order
+VideoLibrary.terrains = {
+    mountain: { label: 'Mountain', icon: '🏔️' },
+    forest: { label: 'Forest', icon: '🌲' },
+    beach: { label: 'Beach', icon: '🏖️' },
+    urban: { label: 'Urban', icon: '🏙️' },
+    desert: { label: 'Desert', icon: '🏜️' },
+    snow: { label: 'Snow', icon: '❄️' },
+    other: { label: 'Other', icon: '🎬' }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoLibrary;
+}
@@ -1,16 +1,20 @@
 /**
  * YouTube Video Player Module
  * Handles YouTube IFrame API integration and video playback control
+ *
+ * Events (payloads: { type, timestamp, videoId, currentTime }):
+ *   play, pause, ended, buffering
+ *   error - { videoId, code, message } when the video can't be played
  */
 
-class VideoPlayer {
+class VideoPlayer extends EventEmitter {
     constructor() {
+        super(['play', 'pause', 'ended', 'buffering', 'error']);
         this.player = null;
         this.currentVideoId = 'eg7nQ-H4kbI'; // Default video (Mountain Trail)
+        this.currentPlaylistId = null;
         this.isReady = false;
         this.isPlaying = false;
-        this.onPlayCallback = null;
-        this.onPauseCallback = null;
     }
 
     /**
@@ -50,7 +54,8 @@ class VideoPlayer {
             },
             events: {
                 'onReady': this.onPlayerReady.bind(this),
-                'onStateChange': this.onPlayerStateChange.bind(this)
+                'onStateChange': this.onPlayerStateChange.bind(this),
+                'onError': this.onPlayerError.bind(this)
             }
         });
     }
@@ -81,17 +86,51 @@ class VideoPlayer {
 
         if (event.data === YT.PlayerState.PLAYING) {
             this.isPlaying = true;
-            if (this.onPlayCallback) {
-                this.onPlayCallback();
+            // In a playlist the video changes under us
+            const data = this.getVideoData();
+            if (data?.video_id) {
+                this.currentVideoId = data.video_id;
             }
-        } else if (event.data === YT.PlayerState.PAUSED || event.data === YT.PlayerState.ENDED) {
+            this.emitPlayerEvent('play');
+        } else if (event.data === YT.PlayerState.PAUSED) {
             this.isPlaying = false;
-            if (this.onPauseCallback) {
-                this.onPauseCallback();
-            }
+            this.emitPlayerEvent('pause');
+        } else if (event.data === YT.PlayerState.ENDED) {
+            this.isPlaying = false;
+            this.emitPlayerEvent('ended');
+        } else if (event.data === YT.PlayerState.BUFFERING) {
+            this.emitPlayerEvent('buffering');
         }
     }
 
+    /**
+     * Called when the video can't be played (removed, private, blocked...)
+     */
+    onPlayerError(event) {
+        const message = VideoPlayer.errorMessages[event.data] || 'This video can\'t be played';
+        console.error('YouTube player error:', event.data, message);
+        
+        this.isPlaying = false;
+        this.emitError(event.data, message);
+    }
+
+    /**
+     * Emit an error event for the current video
+     */
+    emitError(code, message) {
+        this.emit('error', { videoId: this.currentVideoId, code, message });
+    }
+
+    /**
+     * Emit a playback event with the current video and position
+     */
+    emitPlayerEvent(type) {
+        this.emit(type, {
+            videoId: this.currentVideoId,
+            currentTime: this.getCurrentTime()
+        });
+    }
+
     /**
      * Load and play a specific video
      */
@@ -102,10 +141,118 @@ class VideoPlayer {
         }
 
         this.currentVideoId = videoId;
+        this.currentPlaylistId = null;
         this.player.loadVideoById(videoId);
         console.log('Loading video:', videoId);
     }
 
+    /**
+     * Check if the playlist will move on to another video by itself
+     */
+    hasNextInPlaylist() {
+        if (!this.isReady || !this.currentPlaylistId || !this.player.getPlaylist) return false;
+        
+        const playlist = this.player.getPlaylist() || [];
+        return this.player.getPlaylistIndex() < playlist.length - 1;
+    }
+
+    /**
+     * Load and play a YouTube playlist from the start
+     */
+    loadPlaylist(playlistId) {
+        if (!this.isReady) {
+            console.error('Player not ready yet');
+            return;
+        }
+
+        this.currentPlaylistId = playlistId;
+        this.player.loadPlaylist({ list: playlistId, listType: 'playlist' });
+        console.log('Loading playlist:', playlistId);
+    }
+
+    /**
+     * Read title and duration of a video or playlist without touching the
+     * main player, by cueing it in a hidden one
+     * Resolves { videoId, title, duration, videoIds }; rejects with
+     * error.unplayable set when YouTube refuses the video
+     */
+    fetchInfo({ videoId = null, playlistId = null }, timeoutMs = 15000) {
+        return new Promise((resolve, reject) => {
+            if (typeof YT === 'undefined' || typeof YT.Player === 'undefined') {
+                reject(new Error('YouTube player is not loaded yet'));
+                return;
+            }
+            
+            const host = document.createElement('div');
+            host.className = 'video-probe';
+            const target = document.createElement('div');
+            host.appendChild(target);
+            document.body.appendChild(host);
+            
+            let probe = null;
+            let poll = null;
+            let done = false;
+            
+            const finish = (error, info) => {
+                if (done) return;
+                done = true;
+                clearInterval(poll);
+                clearTimeout(timeout);
+                if (probe) probe.destroy();
+                host.remove();
+                
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(info);
+                }
+            };
+            
+            // Title and duration arrive some time after onReady
+            const check = () => {
+                const data = probe.getVideoData();
+                const duration = probe.getDuration();
+                if (data?.title && duration > 0) {
+                    finish(null, {
+                        videoId: data.video_id,
+                        title: data.title,
+                        duration: Math.round(duration),
+                        videoIds: playlistId ? (probe.getPlaylist() || []) : [data.video_id]
+                    });
+                }
+            };
+            
+            const timeout = setTimeout(() => finish(new Error('Timed out reading video details')), timeoutMs);
+            
+            probe = new YT.Player(target, {
+                height: '180',
+                width: '320',
+                videoId: videoId || undefined,
+                playerVars: playlistId ? { listType: 'playlist', list: playlistId, autoplay: 0 } : { autoplay: 0 },
+                events: {
+                    'onReady': () => {
+                        poll = setInterval(check, 250);
+                    },
+                    'onError': (event) => {
+                        const error = new Error(VideoPlayer.errorMessages[event.data] || 'This video can\'t be played');
+                        error.unplayable = true;
+                        finish(error);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the current video's details ({ video_id, title, author })
+     */
+    getVideoData() {
+        if (this.isReady && this.player && this.player.getVideoData) {
+            return this.player.getVideoData();
+        }
+        return null;
+    }
+
     /**
      * Play the current video
      */
@@ -135,6 +282,16 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Show or hide the player (when another backend takes over)
+     */
+    setVisible(visible) {
+        const element = document.getElementById('player');
+        if (element) {
+            element.style.display = visible ? '' : 'none';
+        }
+    }
+
     /**
      * Request fullscreen for the video player
      */
@@ -194,6 +351,35 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Set playback rate (one of getAvailablePlaybackRates())
+     */
+    setPlaybackRate(rate) {
+        if (this.isReady && this.player) {
+            this.player.setPlaybackRate(rate);
+        }
+    }
+
+    /**
+     * Get current playback rate
+     */
+    getPlaybackRate() {
+        if (this.isReady && this.player) {
+            return this.player.getPlaybackRate();
+        }
+        return 1;
+    }
+
+    /**
+     * Get the playback rates the current video supports
+     */
+    getAvailablePlaybackRates() {
+        if (this.isReady && this.player) {
+            return this.player.getAvailablePlaybackRates();
+        }
+        return [1];
+    }
+
     /**
      * Set volume (0-100)
      */
@@ -232,17 +418,23 @@ class VideoPlayer {
     }
 
     /**
-     * Register callback for play event
+     * Shorthand for on('play')
      */
     onPlay(callback) {
-        this.onPlayCallback = callback;
+        return this.on('play', callback);
     }
 
     /**
-     * Register callback for pause event
+     * Shorthand for on('pause') and on('ended') - playback stopped either way
+     * Returns a function that unsubscribes from both
      */
     onPause(callback) {
-        this.onPauseCallback = callback;
+        const offPause = this.on('pause', callback);
+        const offEnded = this.on('ended', callback);
+        return () => {
+            offPause();
+            offEnded();
+        };
     }
 
     /**
@@ -260,6 +452,15 @@ class VideoPlayer {
     }
 }
 
+// YouTube onError codes
+VideoPlayer.errorMessages = {
+    2: 'That video ID isn\'t valid',
+    5: 'This video can\'t be played in the browser',
+    100: 'That video was removed or is private',
+    101: 'The owner doesn\'t allow this video to be embedded',
+    150: 'The owner doesn\'t allow this video to be embedded, or it\'s blocked in your region'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = VideoPlayer;
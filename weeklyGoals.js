@@ -0,0 +1,278 @@
+/**
+ * Weekly Goals Module
+ * A weekly target ("90 minutes" or "10 miles"), progress toward it from each
+ * saved workout, and day and week streaks, all in the user's local time
+ * zone. Guests keep it in the cache; account users also keep it on the
+ * Firestore users doc (users/{uid}.weeklyGoals), whose workoutCount,
+ * totalDistance (miles) and totalBobs count up with each workout.
+ *
+ * State:
+ *   {
+ *     goal: { type: 'minutes' | 'distance', target } | null,  // target in minutes or metres
+ *     weeks: { '2026-10-19': { seconds, meters, workouts, met }, ... },  // keyed by Monday
+ *     days: ['2026-10-19', ...],        // local dates with a workout
+ *     frozenDays: ['2026-10-18', ...],  // missed days a freeze covered
+ *     freezes: 1,                       // freeze days in hand
+ *     updatedAt
+ *   }
+ *
+ * Freeze days: meeting the weekly goal earns one (up to maxFreezes). When a
+ * workout comes after missed days, freezes cover them if there are enough,
+ * so the day streak carries on.
+ *
+ * Events (payloads also carry type and timestamp):
+ *   change - { progress } after loading, a new goal or a recorded workout
+ */
+
+class WeeklyGoals extends EventEmitter {
+    constructor(cacheManager = null, authManager = null) {
+        super(['change']);
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.cacheKey = 'weeklyGoals';
+        this.state = WeeklyGoals.emptyState();
+    }
+
+    /**
+     * State before any goal or workout
+     */
+    static emptyState() {
+        return { goal: null, weeks: {}, days: [], frozenDays: [], freezes: WeeklyGoals.startingFreezes, updatedAt: 0 };
+    }
+
+    /**
+     * Load the current user's goal and streaks
+     * Account users get the newer of the cached and Firestore copies
+     */
+    async load() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        this.state = (this.cache ? this.cache.get(this.getKey(user), 'localData') : null) || WeeklyGoals.emptyState();
+        this.emit('change', { progress: this.getProgress() });
+        
+        if (user && !this.auth.isGuestUser() && window.firebaseApp?.db) {
+            try {
+                const doc = await window.firebaseApp.db.collection('users').doc(user.uid).get();
+                const remote = doc.exists ? doc.data().weeklyGoals : null;
+                if (remote && remote.updatedAt > this.state.updatedAt) {
+                    this.state = { ...WeeklyGoals.emptyState(), ...remote };
+                    this.saveLocal(user);
+                    this.emit('change', { progress: this.getProgress() });
+                }
+            } catch (error) {
+                console.error('Error loading weekly goals:', error);
+            }
+        }
+        
+        return this.state;
+    }
+
+    /**
+     * Set the weekly goal (type null clears it)
+     * target: minutes for 'minutes', metres for 'distance'
+     */
+    async setGoal(type, target) {
+        this.state.goal = type && target > 0 ? { type, target } : null;
+        
+        // This week counts toward the new goal straight away
+        const week = this.state.weeks[WeeklyGoals.weekStart(new Date())];
+        if (week) {
+            week.met = this.isMet(week);
+        }
+        
+        this.state.updatedAt = Date.now();
+        await this.save();
+    }
+
+    /**
+     * Add a saved workout to its week and day
+     * Resolves { progress, goalMet (reached with this workout), frozenDays (covered now) }
+     */
+    async record(summary) {
+        const date = new Date(summary.endedAt || Date.now());
+        const day = Achievements.localDay(date);
+        const weekKey = WeeklyGoals.weekStart(date);
+        const state = this.state;
+        
+        // Missed days since the last one, covered if there are freezes for all of them
+        // Freezes are only spent while there is a goal to keep
+        const frozenDays = [];
+        const last = WeeklyGoals.lastActiveDay(state, day);
+        if (last && state.goal) {
+            const missed = WeeklyGoals.daysBetween(last, day) - 1;
+            if (missed > 0 && missed <= state.freezes) {
+                for (let i = 1; i <= missed; i++) {
+                    frozenDays.push(WeeklyGoals.addDays(last, i));
+                }
+                state.freezes -= missed;
+                state.frozenDays = [...state.frozenDays, ...frozenDays].sort().slice(-WeeklyGoals.maxDays);
+            }
+        }
+        if (!state.days.includes(day)) {
+            state.days = [...state.days, day].sort().slice(-WeeklyGoals.maxDays);
+        }
+        
+        const week = state.weeks[weekKey] || { seconds: 0, meters: 0, workouts: 0, met: false };
+        week.seconds += summary.duration || 0;
+        week.meters += summary.distanceMeters || 0;
+        week.workouts++;
+        state.weeks[weekKey] = week;
+        
+        // Meeting the goal earns a freeze, once a week
+        const goalMet = !week.met && this.isMet(week);
+        if (goalMet) {
+            week.met = true;
+            state.freezes = Math.min(state.freezes + 1, WeeklyGoals.maxFreezes);
+        }
+        
+        // Keep the most recent weeks
+        const weekKeys = Object.keys(state.weeks).sort();
+        weekKeys.slice(0, -WeeklyGoals.maxWeeks).forEach(key => delete state.weeks[key]);
+        
+        state.updatedAt = Date.now();
+        await this.save(summary);
+        return { progress: this.getProgress(date), goalMet, frozenDays };
+    }
+
+    /**
+     * Where the user stands on date: this week against the goal, and streaks
+     * A day streak whose missed days freezes would cover is still alive
+     */
+    getProgress(date = new Date()) {
+        const state = this.state;
+        const day = Achievements.localDay(date);
+        const weekKey = WeeklyGoals.weekStart(date);
+        const week = state.weeks[weekKey] || { seconds: 0, meters: 0, workouts: 0, met: false };
+        const goal = state.goal;
+        const value = goal ? WeeklyGoals.measure(goal, week) : 0;
+        
+        let dayStreak = 0;
+        const last = WeeklyGoals.lastActiveDay(state, WeeklyGoals.addDays(day, 1));
+        if (last && WeeklyGoals.daysBetween(last, day) - 1 <= (goal ? state.freezes : 0)) {
+            dayStreak = Achievements.getStreak(state.days.concat(state.frozenDays), last);
+        }
+        
+        // Weeks in a row with the goal met; this week only breaks it once it's over
+        let weekStreak = 0;
+        let key = week.met ? weekKey : WeeklyGoals.addDays(weekKey, -7);
+        while (state.weeks[key]?.met) {
+            weekStreak++;
+            key = WeeklyGoals.addDays(key, -7);
+        }
+        
+        return {
+            goal,
+            weekStart: weekKey,
+            week,
+            value,
+            fraction: goal ? Math.min(value / goal.target, 1) : 0,
+            met: week.met,
+            dayStreak,
+            weekStreak,
+            freezes: state.freezes
+        };
+    }
+
+    /**
+     * Whether a week reached the current goal
+     */
+    isMet(week) {
+        const goal = this.state.goal;
+        return !!goal && WeeklyGoals.measure(goal, week) >= goal.target;
+    }
+
+    /**
+     * Keep the state in the cache, and for accounts on the users doc
+     * summary (a newly saved workout) also counts up the users doc totals
+     * Throws if the users doc can't be written (the cache is already saved)
+     */
+    async save(summary = null) {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        this.saveLocal(user);
+        this.emit('change', { progress: this.getProgress() });
+        
+        if (!user || this.auth.isGuestUser() || !window.firebaseApp?.db) return;
+        
+        const data = { weeklyGoals: this.state };
+        if (summary) {
+            const increment = firebase.firestore.FieldValue.increment;
+            data.workoutCount = increment(1);
+            data.totalDistance = increment(summary.distance || 0);
+            data.totalBobs = increment(summary.totalBobs || 0);
+        }
+        
+        try {
+            await window.firebaseApp.db.collection('users').doc(user.uid).set(data, { merge: true });
+        } catch (error) {
+            console.error('Error saving weekly goals:', error);
+            throw new Error('Could not sync your weekly goals');
+        }
+    }
+
+    /**
+     * Write the state to the cache
+     */
+    saveLocal(user = this.auth ? this.auth.getCurrentUser() : null) {
+        if (this.cache) {
+            this.cache.set(this.getKey(user), this.state, 'localData');
+        }
+    }
+
+    /**
+     * Cache key for the user's goals (guests share one local slot)
+     */
+    getKey(user) {
+        return user && !user.isGuest ? `${this.cacheKey}_${user.uid}` : this.cacheKey;
+    }
+
+    /**
+     * A week's total in the goal's terms (minutes or metres)
+     */
+    static measure(goal, week) {
+        return goal.type === 'distance' ? week.meters : week.seconds / 60;
+    }
+
+    /**
+     * Latest day with a workout or a freeze before day (YYYY-MM-DD), or null
+     */
+    static lastActiveDay(state, day) {
+        const before = state.days.concat(state.frozenDays).filter(active => active < day).sort();
+        return before.length > 0 ? before[before.length - 1] : null;
+    }
+
+    /**
+     * The local Monday of date's week, as YYYY-MM-DD
+     */
+    static weekStart(date) {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+        return Achievements.localDay(monday);
+    }
+
+    /**
+     * A YYYY-MM-DD day moved by a number of days
+     */
+    static addDays(day, days) {
+        const [year, month, date] = day.split('-').map(Number);
+        return Achievements.localDay(new Date(year, month - 1, date + days));
+    }
+
+    /**
+     * Whole days from one YYYY-MM-DD day to another (DST-safe)
+     */
+    static daysBetween(from, to) {
+        const toUTC = day => {
+            const [year, month, date] = day.split('-').map(Number);
+            return Date.UTC(year, month - 1, date);
+        };
+        return Math.round((toUTC(to) - toUTC(from)) / (24 * 60 * 60 * 1000));
+    }
+}
+
+WeeklyGoals.startingFreezes = 1; // Freeze days a new user starts with
+WeeklyGoals.maxFreezes = 2; // Freeze days that can be held at once
+WeeklyGoals.maxDays = 400; // Workout and frozen days kept for streaks
+WeeklyGoals.maxWeeks = 104; // Weeks of totals kept
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeeklyGoals;
+}
@@ -0,0 +1,177 @@
+/**
+ * Weekly Goals View Module
+ * The progress ring on the start overlay (this week against the goal, with
+ * streaks) and the panel it opens to set the goal
+ */
+
+class WeeklyGoalsView {
+    constructor(goals, metrics, ring) {
+        this.goals = goals; // WeeklyGoals
+        this.metrics = metrics; // For units
+        this.ring = ring; // Button on the start overlay
+        this.panel = null;
+        
+        this.goals.on('change', () => this.renderRing());
+        this.ring.addEventListener('click', () => this.open());
+    }
+
+    /**
+     * Draw the ring from the current progress
+     */
+    renderRing() {
+        const progress = this.goals.getProgress();
+        const circumference = 2 * Math.PI * WeeklyGoalsView.radius;
+        
+        this.ring.innerHTML = `
+            <svg class="goal-ring-chart" viewBox="0 0 100 100">
+                <circle class="goal-ring-track" cx="50" cy="50" r="${WeeklyGoalsView.radius}"></circle>
+                <circle class="goal-ring-fill" cx="50" cy="50" r="${WeeklyGoalsView.radius}"
+                    stroke-dasharray="${circumference}"
+                    stroke-dashoffset="${circumference * (1 - progress.fraction)}"></circle>
+            </svg>
+            <span class="goal-ring-label">
+                <strong>${progress.goal ? `${Math.round(progress.fraction * 100)}%` : '🎯'}</strong>
+                <span>${progress.goal ? 'of weekly goal' : 'Set a weekly goal'}</span>
+            </span>
+            <span class="goal-ring-streaks">${this.getStreakText(progress)}</span>
+        `;
+        this.ring.classList.toggle('met', progress.met);
+        this.ring.title = progress.goal
+            ? `This week: ${this.formatAmount(progress.goal.type, progress.value)} of ${this.formatAmount(progress.goal.type, progress.goal.target)}`
+            : 'Set a weekly goal';
+    }
+
+    /**
+     * Open the goal panel
+     */
+    open() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'goalsPanel';
+            this.panel.className = 'settings-panel goals-panel';
+            document.body.appendChild(this.panel);
+        }
+        
+        this.render();
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Close the goal panel
+     */
+    close() {
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the goal form and this week's progress
+     */
+    render() {
+        const progress = this.goals.getProgress();
+        const goal = progress.goal;
+        const labels = this.metrics.getUnitLabels();
+        const target = goal
+            ? (goal.type === 'distance' ? +(goal.target / this.metrics.getUnitMeters()).toFixed(1) : goal.target)
+            : '';
+        
+        this.panel.innerHTML = `
+            <div class="settings-content goals-content">
+                <div class="settings-header">
+                    <h2>🎯 Weekly Goal</h2>
+                    <button class="inventory-close" id="goalsClose">✕</button>
+                </div>
+                <form class="settings-form" id="goalsForm">
+                    <label class="settings-field">
+                        <span>Goal</span>
+                        <select id="goalType">
+                            <option value="">No goal</option>
+                            <option value="minutes" ${goal?.type === 'minutes' ? 'selected' : ''}>Minutes per week</option>
+                            <option value="distance" ${goal?.type === 'distance' ? 'selected' : ''}>${labels.distance === 'km' ? 'Kilometres' : 'Miles'} per week</option>
+                        </select>
+                    </label>
+                    <label class="settings-field">
+                        <span>Target</span>
+                        <input type="number" id="goalTarget" min="1" step="any" value="${target}">
+                    </label>
+                    <div class="goals-actions">
+                        <button type="submit" class="control-button">Save goal</button>
+                    </div>
+                </form>
+                <p class="goals-status" id="goalsStatus"></p>
+                <ul class="goals-stats">
+                    <li><span>This week</span><strong>${this.getWeekText(progress)}</strong></li>
+                    <li><span>🔥 Day streak</span><strong>${progress.dayStreak} ${progress.dayStreak === 1 ? 'day' : 'days'}</strong></li>
+                    <li><span>📅 Goal streak</span><strong>${progress.weekStreak} ${progress.weekStreak === 1 ? 'week' : 'weeks'}</strong></li>
+                    <li><span>🧊 Freeze days</span><strong>${progress.freezes} of ${WeeklyGoals.maxFreezes}</strong></li>
+                </ul>
+                <p class="goals-note">Weeks start on Monday. Meeting your goal earns a freeze day, which covers a missed day so your streak carries on.</p>
+            </div>
+        `;
+        
+        this.panel.querySelector('#goalsClose').addEventListener('click', () => this.close());
+        this.panel.querySelector('#goalsForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveGoal();
+        });
+    }
+
+    /**
+     * Set the goal from the form (distance targets are entered in display units)
+     */
+    async saveGoal() {
+        const type = this.panel.querySelector('#goalType').value;
+        const amount = parseFloat(this.panel.querySelector('#goalTarget').value);
+        const target = type === 'distance' ? amount * this.metrics.getUnitMeters() : amount;
+        
+        try {
+            await this.goals.setGoal(type || null, isNaN(target) ? 0 : target);
+            this.render();
+        } catch (error) {
+            // The goal is kept on this device either way
+            this.render();
+            this.panel.querySelector('#goalsStatus').textContent = 'Goal saved on this device, but it could not be synced to your account';
+        }
+    }
+
+    /**
+     * This week's total, against the goal if there is one
+     */
+    getWeekText(progress) {
+        if (!progress.goal) {
+            return `${progress.week.workouts} ${progress.week.workouts === 1 ? 'workout' : 'workouts'}`;
+        }
+        const type = progress.goal.type;
+        return `${this.formatAmount(type, progress.value)} of ${this.formatAmount(type, progress.goal.target)}${progress.met ? ' ✅' : ''}`;
+    }
+
+    /**
+     * Streaks and freeze days, short enough for the ring
+     */
+    getStreakText(progress) {
+        const parts = [`🔥 ${progress.dayStreak}d`];
+        if (progress.goal) {
+            parts.push(`📅 ${progress.weekStreak}w`);
+        }
+        parts.push(`🧊 ${progress.freezes}`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * A goal amount as text: minutes, or distance in display units
+     */
+    formatAmount(type, value) {
+        if (type === 'distance') {
+            return `${(value / this.metrics.getUnitMeters()).toFixed(1)} ${this.metrics.getUnitLabels().distance}`;
+        }
+        return `${Math.round(value)} min`;
+    }
+}
+
+WeeklyGoalsView.radius = 42; // Ring radius in the 100×100 viewBox
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeeklyGoalsView;
+}
@@ -0,0 +1,194 @@
+/**
+ * Workout History Module
+ * Reads past workouts back: account users' from the Firestore workouts
+ * collection (a page at a time, through the cache so revisiting history
+ * doesn't cost reads), guests' from the list kept on this device.
+ *
+ * Filters: { trail, from, to }
+ *   trail - videoId the workout started on
+ *   from, to - completedAt range in ms (from inclusive, to exclusive)
+ * Pages are newest first; pass a page's nextCursor to get the one after it.
+ */
+
+class WorkoutHistory {
+    constructor(cacheManager = null, authManager = null) {
+        this.cache = cacheManager;
+        this.auth = authManager;
+        this.pageSize = 10;
+        this.cacheKey = 'workoutHistory';
+        this.localKey = 'localWorkouts'; // Guests' workouts, newest first (never evicted)
+        this.localLimit = 20; // Workouts kept on this device...
+        this.localSeriesLimit = 5; // ...of which the newest keep their time series
+    }
+
+    /**
+     * One page of workouts: resolves { workouts, nextCursor }
+     * nextCursor is null on the last page
+     */
+    async getPage(filters = {}, cursor = null) {
+        if (this.isLocal()) {
+            return this.getLocalPage(filters, cursor);
+        }
+        
+        const user = this.auth.getCurrentUser();
+        const key = [this.cacheKey, user.uid, filters.trail || 'all', filters.from || '', filters.to || '', cursor || 'first'].join('_');
+        const fetchPage = () => this.fetchPage(user.uid, filters, cursor);
+        return this.cache ? this.cache.getOrFetch(key, 'workoutHistory', fetchPage) : fetchPage();
+    }
+
+    /**
+     * Query Firestore for a page
+     */
+    async fetchPage(uid, filters, cursor) {
+        let query = window.firebaseApp.db.collection('workouts').where('userId', '==', uid);
+        if (filters.trail) query = query.where('videoId', '==', filters.trail);
+        if (filters.from) query = query.where('completedAt', '>=', filters.from);
+        if (filters.to) query = query.where('completedAt', '<', filters.to);
+        query = query.orderBy('completedAt', 'desc');
+        if (cursor) query = query.startAfter(cursor);
+        
+        // One extra tells us whether there's another page
+        const snapshot = await query.limit(this.pageSize + 1).get();
+        const workouts = snapshot.docs.slice(0, this.pageSize).map(doc => WorkoutHistory.normalize(doc.id, doc.data()));
+        console.log(`Loaded ${workouts.length} workouts from Firestore`);
+        
+        return {
+            workouts,
+            nextCursor: snapshot.docs.length > this.pageSize ? workouts[workouts.length - 1].completedAt : null
+        };
+    }
+
+    /**
+     * The same page from the guest's local list
+     */
+    getLocalPage(filters, cursor) {
+        const matching = this.getLocalWorkouts().filter(workout =>
+            (!filters.trail || workout.videoId === filters.trail) &&
+            (!filters.from || workout.completedAt >= filters.from) &&
+            (!filters.to || workout.completedAt < filters.to) &&
+            (!cursor || workout.completedAt < cursor)
+        );
+        const workouts = matching.slice(0, this.pageSize);
+        
+        return {
+            workouts,
+            nextCursor: matching.length > this.pageSize ? workouts[workouts.length - 1].completedAt : null
+        };
+    }
+
+    /**
+     * A workout's per-second series: resolves { samples, events }
+     */
+    async getSeries(workout) {
+        if (this.isLocal()) {
+            return WorkoutSampler.decode(workout.chunks || []);
+        }
+        if (!workout.sampleCount) {
+            return { samples: [], events: [] };
+        }
+        
+        const workoutRef = window.firebaseApp.db.collection('workouts').doc(workout.id);
+        const fetchChunks = () => WorkoutSampler.loadChunks(workoutRef);
+        const chunks = this.cache
+            ? await this.cache.getOrFetch(`workoutSamples_${workout.id}`, 'workoutHistory', fetchChunks)
+            : await fetchChunks();
+        return WorkoutSampler.decode(chunks);
+    }
+
+    /**
+     * Delete a workout and its samples
+     */
+    async remove(workout) {
+        if (this.isLocal()) {
+            const workouts = this.getLocalWorkouts().filter(item => item.id !== workout.id);
+            this.cache.set(this.localKey, workouts, 'localData');
+            return;
+        }
+        
+        const db = window.firebaseApp.db;
+        const workoutRef = db.collection('workouts').doc(workout.id);
+        const samples = await workoutRef.collection('samples').get();
+        const batch = db.batch();
+        samples.docs.forEach(doc => batch.delete(doc.ref));
+        batch.delete(workoutRef);
+        await batch.commit();
+        
+        console.log(`Deleted workout ${workout.id}`);
+        this.invalidate();
+        if (this.cache) {
+            this.cache.remove(`workoutSamples_${workout.id}`, 'workoutHistory');
+        }
+    }
+
+    /**
+     * Keep a guest's workout on this device
+     * Only the most recent ones keep their time series, to stay within localStorage
+     * Returns false if it couldn't be stored
+     */
+    addLocal(summary, sampler) {
+        if (!this.cache) return false;
+        
+        const workouts = this.readLocal();
+        workouts.unshift({ ...summary, completedAt: summary.endedAt, chunks: sampler.getChunks() });
+        const kept = workouts.slice(0, this.localLimit).map((workout, i) =>
+            (i < this.localSeriesLimit ? workout : { ...workout, chunks: null })
+        );
+        return this.cache.set(this.localKey, kept, 'localData');
+    }
+
+    /**
+     * The stored list of guest workouts
+     */
+    readLocal() {
+        return (this.cache ? this.cache.get(this.localKey, 'localData') : null) || [];
+    }
+
+    /**
+     * Forget cached pages (after a workout is saved or deleted)
+     */
+    invalidate() {
+        const user = this.auth ? this.auth.getCurrentUser() : null;
+        if (this.cache && user) {
+            this.cache.removeMatching(`${this.cacheKey}_${user.uid}_`, 'workoutHistory');
+        }
+    }
+
+    /**
+     * Guests (and anyone without Firestore) browse the list on this device
+     */
+    isLocal() {
+        return !this.auth || !this.auth.isLoggedIn() || this.auth.isGuestUser() || !window.firebaseApp?.db;
+    }
+
+    /**
+     * The guest's saved workouts, newest first
+     */
+    getLocalWorkouts() {
+        return this.readLocal().map(workout => WorkoutHistory.normalize(workout.id, workout));
+    }
+
+    /**
+     * Fill in fields older workouts were saved without
+     */
+    static normalize(id, data) {
+        return {
+            ...data,
+            id,
+            trails: data.trails || [{ videoId: data.videoId, title: data.videoTitle }],
+            completedAt: data.completedAt || Date.parse(data.date) || 0,
+            distanceMeters: data.distanceMeters ?? Math.round((data.distance || 0) * METERS_PER_MILE),
+            ascentMeters: data.ascentMeters || 0,
+            avgBobsPerMinute: data.avgBobsPerMinute || 0,
+            collectiblesScore: data.collectiblesScore || 0,
+            collectibles: data.collectibles || {},
+            gathered: data.gathered || {},
+            program: data.program || null,
+            sampleCount: data.sampleCount || 0
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkoutHistory;
+}
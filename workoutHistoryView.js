@@ -0,0 +1,220 @@
+/**
+ * Workout History View Module
+ * Lists past workouts (newest first, a page at a time) with trail and date
+ * filters; picking one opens it in the summary view, where it can be
+ * shared or deleted
+ */
+
+class WorkoutHistoryView {
+    constructor(history, summaryView, metrics) {
+        this.history = history; // WorkoutHistory
+        this.summaryView = summaryView; // WorkoutSummaryView, for the detail view
+        this.metrics = metrics; // For units
+        this.panel = null;
+        this.workouts = [];
+        this.nextCursor = null;
+        this.loadId = 0; // Ignores pages that arrive after the filters changed
+    }
+
+    /**
+     * Open the history panel
+     * trails: [{ value: videoId, label: title }] for the trail filter
+     */
+    open(trails = []) {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'historyPanel';
+            this.panel.className = 'settings-panel history-panel';
+            document.body.appendChild(this.panel);
+        }
+        
+        this.render(trails);
+        this.panel.style.display = 'flex';
+        this.reload();
+    }
+
+    /**
+     * Close the history panel
+     */
+    close() {
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the panel: filters, an empty list and Load more
+     */
+    render(trails) {
+        this.panel.innerHTML = `
+            <div class="settings-content history-content">
+                <div class="settings-header">
+                    <h2>📊 Workout History</h2>
+                    <button class="inventory-close" id="historyClose">✕</button>
+                </div>
+                <form class="history-filters" id="historyFilters">
+                    <select id="historyTrail" title="Trail">
+                        <option value="">All trails</option>
+                    </select>
+                    <input type="date" id="historyFrom" title="From">
+                    <span>–</span>
+                    <input type="date" id="historyTo" title="To">
+                </form>
+                <div class="history-note" id="historyNote"></div>
+                <ul class="history-list" id="historyList"></ul>
+                <div class="history-status" id="historyStatus"></div>
+                <button class="control-button secondary history-more" id="historyMore">Load more</button>
+            </div>
+        `;
+        
+        // Trail titles are user-supplied, so they go in as text
+        const select = this.panel.querySelector('#historyTrail');
+        trails.forEach(trail => {
+            const option = document.createElement('option');
+            option.value = trail.value;
+            option.textContent = trail.label;
+            select.appendChild(option);
+        });
+        
+        this.panel.querySelector('#historyNote').textContent = this.history.isLocal()
+            ? 'Workouts saved on this device. Log in to keep them in your account.'
+            : '';
+        
+        this.panel.querySelector('#historyClose').addEventListener('click', () => this.close());
+        this.panel.querySelector('#historyFilters').addEventListener('change', () => this.reload());
+        this.panel.querySelector('#historyMore').addEventListener('click', () => this.loadMore());
+    }
+
+    /**
+     * Filters from the form; the To date includes the whole day
+     */
+    readFilters() {
+        const trail = this.panel.querySelector('#historyTrail').value;
+        const from = this.panel.querySelector('#historyFrom').value;
+        const to = this.panel.querySelector('#historyTo').value;
+        const toDate = to ? new Date(`${to}T00:00`) : null;
+        if (toDate) {
+            toDate.setDate(toDate.getDate() + 1);
+        }
+        
+        return {
+            trail: trail || null,
+            from: from ? new Date(`${from}T00:00`).getTime() : null, // Local midnight
+            to: toDate ? toDate.getTime() : null
+        };
+    }
+
+    /**
+     * Start the list again from the newest workout
+     */
+    reload() {
+        this.workouts = [];
+        this.nextCursor = null;
+        this.panel.querySelector('#historyList').innerHTML = '';
+        return this.loadMore(true);
+    }
+
+    /**
+     * Load the next page and add it to the list
+     */
+    async loadMore(first = false) {
+        if (!first && !this.nextCursor) return;
+        
+        const loadId = ++this.loadId;
+        const more = this.panel.querySelector('#historyMore');
+        more.style.display = 'none';
+        this.setStatus('Loading…');
+        
+        try {
+            const page = await this.history.getPage(this.readFilters(), first ? null : this.nextCursor);
+            if (loadId !== this.loadId) return;
+            
+            this.workouts.push(...page.workouts);
+            this.nextCursor = page.nextCursor;
+            page.workouts.forEach(workout => this.renderRow(workout));
+            this.setStatus(this.workouts.length === 0 ? 'No workouts yet' : '');
+            more.style.display = this.nextCursor ? 'block' : 'none';
+        } catch (error) {
+            console.error('Error loading workout history:', error);
+            if (loadId === this.loadId) {
+                this.setStatus('Could not load your workouts', 'error');
+            }
+        }
+    }
+
+    /**
+     * Add one workout to the list
+     */
+    renderRow(workout) {
+        const labels = this.metrics.getUnitLabels();
+        const distance = workout.distanceMeters / this.metrics.getUnitMeters();
+        const trails = workout.trails.length > 1 ? ` +${workout.trails.length - 1}` : '';
+        
+        const item = document.createElement('li');
+        item.dataset.workoutId = workout.id;
+        item.innerHTML = `
+            <button class="history-item">
+                <span class="history-date"></span>
+                <span class="history-trail"></span>
+                <span class="history-stats"></span>
+            </button>
+        `;
+        item.querySelector('.history-date').textContent = new Date(workout.completedAt).toLocaleString([], {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+        item.querySelector('.history-trail').textContent = `${workout.videoTitle || 'Unknown trail'}${trails}`;
+        item.querySelector('.history-stats').textContent = [
+            `⏱️ ${VideoLibrary.formatDuration(workout.duration) || '0:00'}`,
+            `📏 ${distance.toFixed(2)} ${labels.distance}`,
+            `⭐ ${workout.collectiblesScore}`
+        ].join('  ');
+        
+        item.querySelector('button').addEventListener('click', () => this.showWorkout(workout));
+        this.panel.querySelector('#historyList').appendChild(item);
+    }
+
+    /**
+     * Open a workout in the summary view (the list hides meanwhile)
+     */
+    async showWorkout(workout) {
+        this.setStatus('Loading…');
+        let series;
+        try {
+            series = await this.history.getSeries(workout);
+        } catch (error) {
+            // The totals are still worth showing without the charts
+            console.error('Error loading workout samples:', error);
+            series = { samples: [], events: [] };
+        }
+        this.setStatus('');
+        
+        this.panel.style.display = 'none';
+        const result = await this.summaryView.openSaved(workout, series, {
+            remove: () => this.history.remove(workout)
+        });
+        this.panel.style.display = 'flex';
+        
+        if (result === 'deleted') {
+            this.workouts = this.workouts.filter(item => item.id !== workout.id);
+            this.panel.querySelector(`[data-workout-id="${workout.id}"]`)?.remove();
+            if (this.workouts.length === 0) {
+                this.setStatus('No workouts yet');
+            }
+        }
+    }
+
+    /**
+     * Show a status line under the list ('error' or neutral)
+     */
+    setStatus(text, type = '') {
+        const status = this.panel.querySelector('#historyStatus');
+        status.textContent = text;
+        status.className = `history-status ${type}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkoutHistoryView;
+}
@@ -0,0 +1,171 @@
+/**
+ * Workout Metrics Module
+ * Turns step counts and cadence into distance, pace and speed using a
+ * configured or calibrated stride length
+ */
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_KM = 1000;
+const FEET_PER_METER = 3.28084;
+
+class WorkoutMetrics {
+    constructor(options = {}) {
+        this.strideLength = options.strideLength || 0.75; // Metres per step (average adult walking step)
+        this.units = options.units || 'imperial'; // 'imperial' (mi, mph) or 'metric' (km, km/h)
+        
+        this.distanceMeters = 0;
+        this.lastStepCount = 0;
+        this.stepsPerMinute = 0;
+        this.elapsedSeconds = 0;
+        this.ascentMeters = 0; // Climbing along the video's route, if it has one
+    }
+
+    /**
+     * Set stride length in metres per step
+     * Only affects steps counted from now on
+     */
+    setStrideLength(meters) {
+        if (meters > 0) {
+            this.strideLength = meters;
+        }
+    }
+
+    /**
+     * Set display units ('imperial' or 'metric')
+     */
+    setUnits(units) {
+        this.units = units === 'metric' ? 'metric' : 'imperial';
+    }
+
+    /**
+     * Update with the latest step count, cadence and elapsed workout time
+     */
+    update(stepCount, stepsPerMinute, elapsedSeconds) {
+        if (stepCount > this.lastStepCount) {
+            this.distanceMeters += (stepCount - this.lastStepCount) * this.strideLength;
+        }
+        this.lastStepCount = stepCount;
+        this.stepsPerMinute = stepsPerMinute;
+        this.elapsedSeconds = elapsedSeconds;
+    }
+
+    /**
+     * Set the climbing done so far in metres (from the route guide)
+     */
+    setAscent(meters) {
+        this.ascentMeters = meters;
+    }
+
+    /**
+     * Ascent in display units (feet or metres)
+     */
+    getAscent() {
+        return this.units === 'metric' ? this.ascentMeters : this.ascentMeters * FEET_PER_METER;
+    }
+
+    /**
+     * Metres in one display unit of distance
+     */
+    getUnitMeters() {
+        return this.units === 'metric' ? METERS_PER_KM : METERS_PER_MILE;
+    }
+
+    /**
+     * Labels for the current units
+     */
+    getUnitLabels() {
+        return this.units === 'metric'
+            ? { distance: 'km', speed: 'km/h', pace: '/km', ascent: 'm' }
+            : { distance: 'mi', speed: 'mph', pace: '/mi', ascent: 'ft' };
+    }
+
+    /**
+     * Distance in display units
+     */
+    getDistance() {
+        return this.distanceMeters / this.getUnitMeters();
+    }
+
+    /**
+     * Distance in miles (what we store and send to analytics)
+     */
+    getDistanceMiles() {
+        return this.distanceMeters / METERS_PER_MILE;
+    }
+
+    /**
+     * Current speed in display units per hour, from the live cadence
+     */
+    getSpeed() {
+        const metersPerSecond = (this.stepsPerMinute / 60) * this.strideLength;
+        return (metersPerSecond * 3600) / this.getUnitMeters();
+    }
+
+    /**
+     * Average speed in display units per hour
+     */
+    getAverageSpeed() {
+        if (this.elapsedSeconds === 0) return 0;
+        return (this.getDistance() / this.elapsedSeconds) * 3600;
+    }
+
+    /**
+     * Current pace in seconds per display unit (null when not moving)
+     */
+    getCurrentPace() {
+        const speed = this.getSpeed();
+        return speed > 0 ? 3600 / speed : null;
+    }
+
+    /**
+     * Average pace in seconds per display unit (null before any distance)
+     */
+    getAveragePace() {
+        const distance = this.getDistance();
+        return distance > 0 ? this.elapsedSeconds / distance : null;
+    }
+
+    /**
+     * Format a pace in seconds as m:ss
+     */
+    formatPace(seconds) {
+        // Anything slower than an hour per unit is effectively standing still
+        if (seconds === null || !isFinite(seconds) || seconds >= 3600) {
+            return '--:--';
+        }
+        const minutes = Math.floor(seconds / 60);
+        const remainder = Math.floor(seconds % 60);
+        return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Summary for saving and analytics (distance always in miles)
+     */
+    getSummary() {
+        const miles = this.getDistanceMiles();
+        return {
+            distance: Number(miles.toFixed(3)),
+            distanceMeters: Math.round(this.distanceMeters),
+            avgSpeedMph: this.elapsedSeconds > 0 ? Number(((miles / this.elapsedSeconds) * 3600).toFixed(2)) : 0,
+            avgPaceSecondsPerMile: miles > 0 ? Math.round(this.elapsedSeconds / miles) : null,
+            strideLength: this.strideLength,
+            ascentMeters: Math.round(this.ascentMeters)
+        };
+    }
+
+    /**
+     * Reset for a new workout (keeps stride length and units)
+     */
+    reset() {
+        this.distanceMeters = 0;
+        this.lastStepCount = 0;
+        this.stepsPerMinute = 0;
+        this.elapsedSeconds = 0;
+        this.ascentMeters = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkoutMetrics;
+}
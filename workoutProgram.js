@@ -0,0 +1,337 @@
+/**
+ * Workout Program Module
+ * Runs a structured workout (warm-up, intervals, recovery, cool-down...)
+ * alongside the workout clock: moves through the segments as time or
+ * distance passes and records how much of each segment was run at the
+ * target cadence. Call update() once a second while the clock runs.
+ *
+ * Program format:
+ *   {
+ *     id: 'fartlek-20',
+ *     name: '20-min Fartlek',
+ *     description: 'Unstructured surges',
+ *     segments: [
+ *       { name: 'Warm-up', type: 'warmup', duration: 300, cadence: { min: 140, max: 155 } },
+ *       { name: 'Surge', type: 'interval', distance: 400, cadence: { min: 170, max: 185 } }
+ *     ]
+ *   }
+ * Each segment has a duration (seconds) or a distance (metres); cadence is
+ * in steps/min. type is one of WorkoutProgram.segmentTypes.
+ *
+ * Events (payloads also carry type and timestamp):
+ *   segmentStart - { index, segment } when a segment begins
+ *   segmentEnd   - { index, segment, result } when a segment is done
+ *   complete     - { results } after the last segment
+ */
+
+class WorkoutProgram extends EventEmitter {
+    constructor() {
+        super(['segmentStart', 'segmentEnd', 'complete']);
+        this.program = null;
+        this.reset();
+    }
+
+    /**
+     * Check a program descriptor and return it with defaults filled in
+     * Accepts a JSON string or an object; throws with a readable message
+     */
+    static parse(json) {
+        const program = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!program || !Array.isArray(program.segments) || program.segments.length === 0) {
+            throw new Error('A workout program needs at least one segment');
+        }
+        
+        const segments = program.segments.map((segment, i) => {
+            const duration = Number(segment.duration) || null;
+            const distance = Number(segment.distance) || null;
+            const min = Number(segment.cadence?.min);
+            const max = Number(segment.cadence?.max);
+            
+            if (!duration && !distance) {
+                throw new Error(`Segment ${i + 1} needs a duration or a distance`);
+            }
+            if (!isFinite(min) || !isFinite(max) || min <= 0 || max < min) {
+                throw new Error(`Segment ${i + 1} needs a cadence range ({ min, max } steps/min)`);
+            }
+            
+            const type = WorkoutProgram.segmentTypes[segment.type] ? segment.type : 'interval';
+            return {
+                name: segment.name || WorkoutProgram.segmentTypes[type].label,
+                type,
+                duration: distance ? null : duration,
+                distance,
+                cadence: { min, max }
+            };
+        });
+        
+        return {
+            id: program.id || `custom-${(program.name || 'program').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            name: program.name || 'Custom program',
+            description: program.description || '',
+            segments
+        };
+    }
+
+    /**
+     * Use a program (parsed with parse()) for the next run, or null for none
+     */
+    load(program) {
+        this.program = program;
+        this.reset();
+    }
+
+    /**
+     * Forget progress (the program stays loaded)
+     */
+    reset() {
+        this.isRunning = false;
+        this.isComplete = false;
+        this.index = 0;
+        this.segmentStartSeconds = 0;
+        this.segmentStartDistance = 0;
+        this.lastElapsed = null;
+        this.lastDistance = 0;
+        this.results = [];
+    }
+
+    /**
+     * Check if a program is loaded
+     */
+    hasProgram() {
+        return this.program !== null;
+    }
+
+    /**
+     * Start the program at the workout's current time and distance
+     */
+    start(elapsedSeconds = 0, distanceMeters = 0) {
+        if (!this.program) return;
+        
+        this.reset();
+        this.isRunning = true;
+        this.lastElapsed = elapsedSeconds;
+        this.lastDistance = distanceMeters;
+        this.beginSegment(0, elapsedSeconds, distanceMeters);
+    }
+
+    /**
+     * Advance with the workout clock
+     * elapsedSeconds and distanceMeters are workout totals; cadence is steps/min
+     */
+    update(elapsedSeconds, distanceMeters, cadence) {
+        if (!this.isRunning) return;
+        
+        // Count the seconds since the last update against the current target
+        const seconds = Math.max(0, elapsedSeconds - this.lastElapsed);
+        const result = this.results[this.index];
+        const { min, max } = this.getCurrentSegment().cadence;
+        result.seconds += seconds;
+        result.cadenceSeconds += cadence * seconds;
+        if (cadence < min) {
+            result.belowSeconds += seconds;
+        } else if (cadence > max) {
+            result.aboveSeconds += seconds;
+        } else {
+            result.inRangeSeconds += seconds;
+        }
+        this.lastElapsed = elapsedSeconds;
+        this.lastDistance = distanceMeters;
+        
+        // Move on when the segment is done (one segment per update)
+        if (this.getRemaining(elapsedSeconds, distanceMeters) <= 0) {
+            this.endSegment(elapsedSeconds, distanceMeters);
+        }
+    }
+
+    /**
+     * Start segment i
+     */
+    beginSegment(index, elapsedSeconds, distanceMeters) {
+        const segment = this.program.segments[index];
+        this.index = index;
+        this.segmentStartSeconds = elapsedSeconds;
+        this.segmentStartDistance = distanceMeters;
+        this.results[index] = {
+            name: segment.name,
+            type: segment.type,
+            target: segment.cadence,
+            seconds: 0,
+            cadenceSeconds: 0,
+            inRangeSeconds: 0,
+            belowSeconds: 0,
+            aboveSeconds: 0
+        };
+        
+        console.log(`Program segment ${index + 1}/${this.program.segments.length}: ${segment.name}`);
+        this.emit('segmentStart', { index, segment });
+    }
+
+    /**
+     * Finish the current segment and start the next (or complete the program)
+     */
+    endSegment(elapsedSeconds, distanceMeters) {
+        const index = this.index;
+        this.emit('segmentEnd', {
+            index,
+            segment: this.program.segments[index],
+            result: this.getSegmentResult(index)
+        });
+        
+        if (index + 1 < this.program.segments.length) {
+            this.beginSegment(index + 1, elapsedSeconds, distanceMeters);
+        } else {
+            this.isRunning = false;
+            this.isComplete = true;
+            console.log('Program complete');
+            this.emit('complete', { results: this.getResults() });
+        }
+    }
+
+    /**
+     * The segment being run, or null
+     */
+    getCurrentSegment() {
+        return this.program && (this.isRunning || this.isComplete) ? this.program.segments[this.index] : null;
+    }
+
+    /**
+     * What's left of the current segment: seconds, or metres for distance segments
+     * Without arguments, uses the last update
+     */
+    getRemaining(elapsedSeconds = this.lastElapsed, distanceMeters = this.lastDistance) {
+        const segment = this.getCurrentSegment();
+        if (!segment || this.isComplete) return 0;
+        
+        return segment.distance
+            ? Math.max(0, segment.distance - (distanceMeters - this.segmentStartDistance))
+            : Math.max(0, segment.duration - (elapsedSeconds - this.segmentStartSeconds));
+    }
+
+    /**
+     * The next few segments after the current one
+     */
+    getUpcoming(count = 3) {
+        if (!this.program) return [];
+        const from = this.isRunning ? this.index + 1 : this.isComplete ? this.program.segments.length : 0;
+        return this.program.segments.slice(from, from + count);
+    }
+
+    /**
+     * Result for segment i: time run, average cadence and compliance (0-100,
+     * the share of the segment's time spent in the target range)
+     */
+    getSegmentResult(index) {
+        const result = this.results[index];
+        if (!result) return null;
+        
+        const segment = this.program.segments[index];
+        return {
+            name: result.name,
+            type: result.type,
+            target: result.target,
+            duration: segment.duration,
+            distance: segment.distance,
+            seconds: result.seconds,
+            avgCadence: result.seconds > 0 ? Math.round(result.cadenceSeconds / result.seconds) : 0,
+            inRangeSeconds: result.inRangeSeconds,
+            belowSeconds: result.belowSeconds,
+            aboveSeconds: result.aboveSeconds,
+            compliance: result.seconds > 0 ? Math.round(result.inRangeSeconds / result.seconds * 100) : 0
+        };
+    }
+
+    /**
+     * Summary for the saved workout (null without a started program)
+     */
+    getResults() {
+        if (!this.program || this.results.length === 0) return null;
+        
+        const segments = this.results.map((result, i) => this.getSegmentResult(i));
+        const seconds = segments.reduce((sum, segment) => sum + segment.seconds, 0);
+        const inRange = segments.reduce((sum, segment) => sum + segment.inRangeSeconds, 0);
+        
+        return {
+            id: this.program.id,
+            name: this.program.name,
+            completed: this.isComplete,
+            segmentsCompleted: this.isComplete ? segments.length : this.index,
+            compliance: seconds > 0 ? Math.round(inRange / seconds * 100) : 0,
+            segments
+        };
+    }
+
+    /**
+     * Total length of a program as text, e.g. "20 min" or "15 min + 1.6 km"
+     */
+    static describeLength(program) {
+        const seconds = program.segments.reduce((sum, segment) => sum + (segment.duration || 0), 0);
+        const meters = program.segments.reduce((sum, segment) => sum + (segment.distance || 0), 0);
+        
+        const parts = [];
+        if (seconds > 0) parts.push(`${Math.round(seconds / 60)} min`);
+        if (meters > 0) parts.push(`${(meters / 1000).toFixed(1)} km`);
+        return parts.join(' + ');
+    }
+}
+
+// Segment types, with a label and HUD colour
+WorkoutProgram.segmentTypes = {
+    warmup: { label: 'Warm-up', color: '#D4A574' },
+    interval: { label: 'Interval', color: '#FF6B35' },
+    recovery: { label: 'Recovery', color: '#2D5016' },
+    steady: { label: 'Steady', color: '#8B6F47' },
+    cooldown: { label: 'Cool-down', color: '#D4A574' }
+};
+
+// Built-in programs
+WorkoutProgram.builtIns = [
+    {
+        id: 'fartlek-20',
+        name: '20-min Fartlek',
+        description: 'Short surges between easy running',
+        segments: [
+            { name: 'Warm-up', type: 'warmup', duration: 300, cadence: { min: 140, max: 158 } },
+            { name: 'Surge 1', type: 'interval', duration: 60, cadence: { min: 170, max: 185 } },
+            { name: 'Easy', type: 'recovery', duration: 90, cadence: { min: 145, max: 160 } },
+            { name: 'Surge 2', type: 'interval', duration: 45, cadence: { min: 172, max: 188 } },
+            { name: 'Easy', type: 'recovery', duration: 75, cadence: { min: 145, max: 160 } },
+            { name: 'Surge 3', type: 'interval', duration: 90, cadence: { min: 168, max: 182 } },
+            { name: 'Easy', type: 'recovery', duration: 90, cadence: { min: 145, max: 160 } },
+            { name: 'Surge 4', type: 'interval', duration: 30, cadence: { min: 175, max: 192 } },
+            { name: 'Easy', type: 'recovery', duration: 120, cadence: { min: 145, max: 160 } },
+            { name: 'Cool-down', type: 'cooldown', duration: 300, cadence: { min: 130, max: 155 } }
+        ]
+    },
+    {
+        id: 'hill-repeats',
+        name: 'Hill repeats',
+        description: 'Six short climbs with a quick, steady cadence (raise the incline for each)',
+        segments: [
+            { name: 'Warm-up', type: 'warmup', duration: 480, cadence: { min: 140, max: 158 } },
+            ...[1, 2, 3, 4, 5, 6].flatMap(n => [
+                { name: `Hill ${n}`, type: 'interval', duration: 75, cadence: { min: 165, max: 180 } },
+                { name: 'Jog down', type: 'recovery', duration: 105, cadence: { min: 140, max: 158 } }
+            ]),
+            { name: 'Cool-down', type: 'cooldown', duration: 300, cadence: { min: 130, max: 155 } }
+        ]
+    },
+    {
+        id: 'cadence-ladder',
+        name: 'Cadence ladder',
+        description: 'Step the cadence up every 400 m, then back down',
+        segments: [
+            { name: 'Warm-up', type: 'warmup', duration: 300, cadence: { min: 140, max: 158 } },
+            { name: 'Rung 1', type: 'steady', distance: 400, cadence: { min: 155, max: 165 } },
+            { name: 'Rung 2', type: 'steady', distance: 400, cadence: { min: 163, max: 173 } },
+            { name: 'Rung 3', type: 'interval', distance: 400, cadence: { min: 170, max: 180 } },
+            { name: 'Rung 2', type: 'steady', distance: 400, cadence: { min: 163, max: 173 } },
+            { name: 'Rung 1', type: 'steady', distance: 400, cadence: { min: 155, max: 165 } },
+            { name: 'Cool-down', type: 'cooldown', duration: 300, cadence: { min: 130, max: 155 } }
+        ]
+    }
+].map(program => WorkoutProgram.parse(program));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkoutProgram;
+}
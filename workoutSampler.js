@@ -0,0 +1,244 @@
+/**
+ * Workout Sampler Module
+ * Records a workout once a second (cadence, step count, distance, video
+ * position, magic and health) plus collectible events, so a run can be
+ * charted, exported or raced against later.
+ *
+ * Samples are stored in chunks of chunkSize seconds, one Firestore doc each
+ * (workouts/{workoutId}/samples/{index}), well under the 1 MiB doc limit.
+ * Each column is scaled to integers and delta-encoded within its chunk, so a
+ * chunk decodes on its own:
+ *   {
+ *     version: 1,
+ *     index: 0,
+ *     count: 600,
+ *     scales: { distance: 10, videoTime: 10 },
+ *     columns: { t: [0, 1, 1, ...], cadence: [152, 1, -2, ...], ... },
+ *     events: [{ t: 42, type: 'collect', itemType: 'Coin' }]
+ *   }
+ * The first value in a column is absolute, the rest are differences.
+ *
+ * Sample: { t, cadence, bobs, distance, videoTime, magic, health }
+ *   t and videoTime are seconds, distance metres, cadence steps/min
+ */
+
+class WorkoutSampler {
+    constructor(chunkSize = 600) {
+        this.chunkSize = chunkSize; // Samples per chunk (10 minutes)
+        this.reset();
+    }
+
+    /**
+     * Forget everything recorded
+     */
+    reset() {
+        this.samples = [];
+        this.events = [];
+    }
+
+    /**
+     * Record the workout at t seconds (one sample per second; repeats are ignored)
+     */
+    sample(values) {
+        const last = this.samples[this.samples.length - 1];
+        const t = Math.floor(values.t);
+        if (!isFinite(t) || (last && t <= last.t)) return;
+        
+        const sample = { t };
+        WorkoutSampler.columns.forEach(column => {
+            if (column === 't') return;
+            const scale = WorkoutSampler.scales[column] || 1;
+            sample[column] = Math.round((Number(values[column]) || 0) * scale) / scale;
+        });
+        this.samples.push(sample);
+    }
+
+    /**
+     * Record an event at t seconds: 'collect' (with itemType), 'miss' or 'slash'
+     */
+    addEvent(t, type, data = {}) {
+        this.events.push({ t: Math.floor(t), type, ...data });
+    }
+
+    /**
+     * Number of samples recorded
+     */
+    getLength() {
+        return this.samples.length;
+    }
+
+    /**
+     * Everything recorded as Firestore-ready chunks
+     */
+    getChunks() {
+        const count = Math.ceil(this.samples.length / this.chunkSize) || (this.events.length > 0 ? 1 : 0);
+        const chunks = [];
+        
+        for (let index = 0; index < count; index++) {
+            const samples = this.samples.slice(index * this.chunkSize, (index + 1) * this.chunkSize);
+            
+            // Events go with the chunk covering their time (earlier ones with the first)
+            const from = index === 0 ? -Infinity : samples[0].t;
+            const next = this.samples[(index + 1) * this.chunkSize];
+            const to = next ? next.t : Infinity;
+            const events = this.events.filter(event => event.t >= from && event.t < to);
+            
+            chunks.push(WorkoutSampler.encodeChunk(index, samples, events));
+        }
+        return chunks;
+    }
+
+    /**
+     * Write the chunks under a workout doc (a Firestore DocumentReference)
+     */
+    async save(workoutRef) {
+        const chunks = this.getChunks();
+        if (chunks.length === 0) return 0;
+        
+        const batch = workoutRef.firestore.batch();
+        chunks.forEach(chunk => {
+            batch.set(workoutRef.collection('samples').doc(String(chunk.index).padStart(4, '0')), chunk);
+        });
+        await batch.commit();
+        
+        console.log(`Saved ${this.samples.length} samples in ${chunks.length} chunk(s)`);
+        return chunks.length;
+    }
+
+    /**
+     * Load a saved workout's samples: resolves { samples, events }
+     */
+    static async load(workoutRef) {
+        return WorkoutSampler.decode(await WorkoutSampler.loadChunks(workoutRef));
+    }
+
+    /**
+     * Load a saved workout's chunks as stored (compact enough to cache)
+     */
+    static async loadChunks(workoutRef) {
+        const snapshot = await workoutRef.collection('samples').orderBy('index').get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    /**
+     * Scale and delta-encode one chunk
+     */
+    static encodeChunk(index, samples, events) {
+        const columns = {};
+        WorkoutSampler.columns.forEach(column => {
+            const scale = WorkoutSampler.scales[column] || 1;
+            let previous = 0;
+            columns[column] = samples.map(sample => {
+                const value = Math.round(sample[column] * scale);
+                const delta = value - previous;
+                previous = value;
+                return delta;
+            });
+        });
+        
+        return {
+            version: 1,
+            index,
+            count: samples.length,
+            scales: WorkoutSampler.scales,
+            columns,
+            events
+        };
+    }
+
+    /**
+     * Turn chunks (any order) back into { samples, events }
+     */
+    static decode(chunks) {
+        const samples = [];
+        const events = [];
+        
+        chunks.slice().sort((a, b) => a.index - b.index).forEach(chunk => {
+            const scales = chunk.scales || {};
+            const running = {};
+            for (let i = 0; i < chunk.count; i++) {
+                const sample = {};
+                Object.keys(chunk.columns).forEach(column => {
+                    running[column] = (running[column] || 0) + chunk.columns[column][i];
+                    sample[column] = running[column] / (scales[column] || 1);
+                });
+                samples.push(sample);
+            }
+            events.push(...(chunk.events || []));
+        });
+        
+        return { samples, events };
+    }
+
+    /**
+     * The last sample at or before t seconds (for ghost racing), or null
+     */
+    static sampleAt(samples, t) {
+        let low = 0;
+        let high = samples.length - 1;
+        let found = null;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (samples[mid].t <= t) {
+                found = samples[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Time for each whole mile or km (unitMeters), plus the part-unit at the end
+     * Returns [{ number, meters, seconds, pace, partial }]; pace is seconds per unit
+     */
+    static getSplits(samples, unitMeters) {
+        const splits = [];
+        let splitStart = 0; // The workout clock starts at 0
+        let previous = null;
+        
+        samples.forEach(sample => {
+            // When the distance passed a whole unit, interpolate the moment it did
+            while (previous && sample.distance >= (splits.length + 1) * unitMeters) {
+                const mark = (splits.length + 1) * unitMeters;
+                const fraction = (mark - previous.distance) / (sample.distance - previous.distance);
+                const at = previous.t + fraction * (sample.t - previous.t);
+                splits.push({ number: splits.length + 1, meters: unitMeters, seconds: at - splitStart, pace: at - splitStart, partial: false });
+                splitStart = at;
+            }
+            previous = sample;
+        });
+        
+        // What's left after the last whole unit
+        const meters = previous ? previous.distance - splits.length * unitMeters : 0;
+        if (meters >= 1) {
+            const seconds = previous.t - splitStart;
+            splits.push({ number: splits.length + 1, meters, seconds, pace: seconds * unitMeters / meters, partial: true });
+        }
+        
+        return splits.map(split => ({ ...split, seconds: Math.round(split.seconds), pace: Math.round(split.pace) }));
+    }
+
+    /**
+     * Samples and events in a plain object for JSON export
+     */
+    toJSON() {
+        return {
+            version: 1,
+            columns: WorkoutSampler.columns,
+            samples: this.samples,
+            events: this.events
+        };
+    }
+}
+
+// Columns recorded each second, and the scale that makes each an integer
+WorkoutSampler.columns = ['t', 'cadence', 'bobs', 'distance', 'videoTime', 'magic', 'health'];
+WorkoutSampler.scales = { distance: 10, videoTime: 10 }; // 0.1 m, 0.1 s; others whole
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkoutSampler;
+}
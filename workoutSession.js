@@ -0,0 +1,232 @@
+/**
+ * Workout Session Module
+ * One workout from start to finish: its lifecycle, its clock, and the one
+ * summary object that saving, analytics and the UI all read.
+ *
+ * States:
+ *   idle      - not started
+ *   running   - the clock is running
+ *   paused    - started, clock stopped (video paused, auto-pause, buffering)
+ *   completed - finished; the summary is final
+ *   discarded - thrown away (before or after completing); never saved
+ *
+ * Events (payloads also carry type and timestamp):
+ *   stateChange - { state, previousState }
+ *   completed   - { summary }
+ *   discarded   - { summary }
+ */
+
+class WorkoutSession extends EventEmitter {
+    constructor({ metrics = null, program = null, collectibles = null, sampler = null } = {}) {
+        super(['stateChange', 'completed', 'discarded']);
+        
+        // Where the rest of the summary comes from
+        this.metrics = metrics;
+        this.program = program;
+        this.collectibles = collectibles;
+        this.sampler = sampler; // Per-second time series (WorkoutSampler)
+        
+        this.id = `workout_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        this.state = 'idle';
+        this.startedAt = null;
+        this.endedAt = null;
+        
+        // Clock: completed running stretches plus the current one
+        this.elapsedMs = 0;
+        this.runningSince = null;
+        
+        this.totalBobs = 0;
+        this.health = null;
+        this.magic = null;
+        this.trails = []; // { videoId, title } in the order they were run
+        this.finishedTrails = []; // videoIds run to the end
+        this.summary = null; // Fixed when the session ends
+    }
+
+    /**
+     * Start the workout (idle → running)
+     */
+    start(now = Date.now()) {
+        if (this.state !== 'idle') return;
+        
+        this.startedAt = now;
+        this.runningSince = now;
+        this.setState('running');
+    }
+
+    /**
+     * Stop the clock (running → paused)
+     */
+    pause(now = Date.now()) {
+        if (this.state !== 'running') return;
+        
+        this.stopClock(now);
+        this.setState('paused');
+    }
+
+    /**
+     * Restart the clock (paused → running)
+     */
+    resume(now = Date.now()) {
+        if (this.state !== 'paused') return;
+        
+        this.runningSince = now;
+        this.setState('running');
+    }
+
+    /**
+     * Finish the workout and fix its summary (running/paused → completed)
+     * Returns the summary, or null if the workout wasn't started
+     */
+    complete(now = Date.now()) {
+        if (!this.isActive()) return null;
+        
+        this.stopClock(now);
+        this.endedAt = now;
+        this.summary = this.buildSummary('completed');
+        this.setState('completed');
+        this.emit('completed', { summary: this.summary });
+        return this.summary;
+    }
+
+    /**
+     * Throw the workout away (any state → discarded)
+     * A completed workout keeps its summary, marked discarded
+     */
+    discard(now = Date.now()) {
+        if (this.state === 'discarded') return;
+        
+        if (this.state === 'completed') {
+            this.summary = { ...this.summary, state: 'discarded' };
+        } else {
+            this.stopClock(now);
+            this.endedAt = now;
+            this.summary = this.buildSummary('discarded');
+        }
+        this.setState('discarded');
+        this.emit('discarded', { summary: this.summary });
+    }
+
+    /**
+     * Change state and tell listeners
+     */
+    setState(state) {
+        const previousState = this.state;
+        this.state = state;
+        console.log(`Workout ${previousState} → ${state}`);
+        this.emit('stateChange', { state, previousState });
+    }
+
+    /**
+     * Fold the running stretch into the elapsed time
+     */
+    stopClock(now) {
+        if (this.runningSince !== null) {
+            this.elapsedMs += now - this.runningSince;
+            this.runningSince = null;
+        }
+    }
+
+    /**
+     * Check if the workout has started and not ended (running or paused)
+     */
+    isActive() {
+        return this.state === 'running' || this.state === 'paused';
+    }
+
+    /**
+     * Check if the clock is running
+     */
+    isRunning() {
+        return this.state === 'running';
+    }
+
+    /**
+     * Whole seconds on the clock
+     */
+    getElapsedSeconds(now = Date.now()) {
+        const running = this.runningSince !== null ? now - this.runningSince : 0;
+        return Math.floor((this.elapsedMs + running) / 1000);
+    }
+
+    /**
+     * Record the step count so far
+     */
+    setBobs(totalBobs) {
+        this.totalBobs = totalBobs;
+    }
+
+    /**
+     * Record the health and magic bars (0-100)
+     */
+    setBars(health, magic) {
+        this.health = health;
+        this.magic = magic;
+    }
+
+    /**
+     * Record a trail being run (consecutive repeats count once)
+     */
+    addTrail(videoId, title) {
+        if (!videoId || this.trails[this.trails.length - 1]?.videoId === videoId) return;
+        this.trails.push({ videoId, title });
+    }
+
+    /**
+     * Record a trail being run to its end
+     */
+    finishTrail(videoId) {
+        if (videoId && !this.finishedTrails.includes(videoId)) {
+            this.finishedTrails.push(videoId);
+        }
+    }
+
+    /**
+     * The summary: final once the session has ended, live before that
+     */
+    getSummary() {
+        return this.summary || this.buildSummary();
+    }
+
+    /**
+     * Put the summary together from the session and its sources
+     */
+    buildSummary(state = this.state) {
+        const duration = this.getElapsedSeconds(this.endedAt || Date.now());
+        const metrics = this.metrics ? this.metrics.getSummary() : {};
+        const firstTrail = this.trails[0] || {};
+        
+        return {
+            id: this.id,
+            state,
+            videoId: firstTrail.videoId || null,
+            videoTitle: firstTrail.title || null,
+            trails: this.trails.slice(), // Every trail run, for endless runs
+            trailsFinished: this.finishedTrails.slice(),
+            startedAt: this.startedAt,
+            endedAt: this.endedAt,
+            date: new Date(this.startedAt || Date.now()).toISOString(),
+            duration,
+            totalBobs: this.totalBobs,
+            avgBobsPerMinute: duration > 0 ? Math.round(this.totalBobs / duration * 60) : 0,
+            magic: this.magic === null ? null : Math.floor(this.magic),
+            health: this.health === null ? null : Math.floor(this.health),
+            distance: metrics.distance || 0, // miles
+            distanceMeters: metrics.distanceMeters || 0,
+            avgSpeedMph: metrics.avgSpeedMph || 0,
+            avgPaceSecondsPerMile: metrics.avgPaceSecondsPerMile || null,
+            strideLength: metrics.strideLength || null,
+            ascentMeters: metrics.ascentMeters || 0,
+            collectiblesScore: this.collectibles ? this.collectibles.getScore() : 0,
+            collectibles: this.collectibles ? { ...this.collectibles.inventory } : {}, // Left in the inventory, by type
+            gathered: this.collectibles ? { ...this.collectibles.gathered } : {}, // Picked up this workout, by type
+            program: this.program ? this.program.getResults() : null, // Per-segment cadence compliance
+            sampleCount: this.sampler ? this.sampler.getLength() : 0 // Seconds in workouts/{id}/samples
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkoutSession;
+}
@@ -0,0 +1,378 @@
+/**
+ * Workout Summary View Module
+ * The screen shown when a workout ends: totals, cadence and magic/health
+ * charts, splits and collectibles, with Save, Discard and Share.
+ * Everything comes from the session summary and its time series, so it works
+ * the same for guests and account users.
+ */
+
+class WorkoutSummaryView {
+    constructor(metrics, collectibleTypes = []) {
+        this.metrics = metrics; // For units and pace formatting
+        this.collectibleTypes = collectibleTypes; // [{ emoji, name }]
+        this.panel = null;
+        this.resolveClose = null;
+        
+        this.colors = {
+            cadence: '#FF6B35', // Vibrant orange
+            magic: '#3b82f6', // Blue, like the magic bar
+            health: '#dc2626' // Red, like the health bar
+        };
+    }
+
+    /**
+     * Show a finished workout; resolves 'saved' or 'discarded' when closed
+     * series: { samples, events } from WorkoutSampler
+     * options.save: async function run by Save (the view stays open if it throws)
+     * options.saveLabel: text for the Save button
+     * options.achievements: Achievements.evaluate() result, shown at the top
+     */
+    open(summary, series, { save, saveLabel = '💾 Save', achievements = null } = {}) {
+        const shown = this.show(summary, series, '🏁 Workout Complete', [
+            {
+                label: '🗑️ Discard',
+                secondary: true,
+                run: () => (confirm('Discard this workout? It won\'t be saved.') ? 'discarded' : null)
+            },
+            { label: '📤 Share', secondary: true, run: () => this.share(summary) },
+            {
+                label: saveLabel,
+                busy: 'Saving…',
+                error: 'Could not save your workout - try again',
+                run: async () => {
+                    if (save) await save(summary);
+                    return 'saved';
+                }
+            }
+        ]);
+        this.renderAchievements(achievements);
+        return shown;
+    }
+
+    /**
+     * Show a workout from history; resolves 'deleted' or 'closed' when closed
+     * options.remove: async function run by Delete (the view stays open if it throws)
+     */
+    openSaved(summary, series, { remove } = {}) {
+        const date = new Date(summary.completedAt).toLocaleString();
+        return this.show(summary, series, `📅 ${date}`, [
+            {
+                label: '🗑️ Delete',
+                secondary: true,
+                busy: 'Deleting…',
+                error: 'Could not delete this workout - try again',
+                run: async () => {
+                    if (!confirm('Delete this workout? This can\'t be undone.')) return null;
+                    if (remove) await remove(summary);
+                    return 'deleted';
+                }
+            },
+            { label: '📤 Share', secondary: true, run: () => this.share(summary) },
+            { label: 'Close', run: () => 'closed' }
+        ]);
+    }
+
+    /**
+     * Render the view with a row of actions and wait for one to close it
+     * Action: { label, secondary, run, busy, error }; run returns (or resolves)
+     * the result to close with, or nothing to stay open
+     */
+    show(summary, series, title, actions) {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'workoutSummaryPanel';
+            this.panel.className = 'settings-panel summary-panel';
+            document.body.appendChild(this.panel);
+        }
+        
+        this.render(summary, series, title);
+        this.panel.style.display = 'flex';
+        this.drawCharts(series.samples);
+        
+        const container = this.panel.querySelector('.summary-actions');
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = action.secondary ? 'control-button secondary' : 'control-button';
+            button.textContent = action.label;
+            button.addEventListener('click', () => this.runAction(action));
+            container.appendChild(button);
+        });
+        
+        return new Promise(resolve => {
+            this.resolveClose = resolve;
+        });
+    }
+
+    /**
+     * Hide the view and resolve show()
+     */
+    close(result) {
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+        if (this.resolveClose) {
+            this.resolveClose(result);
+            this.resolveClose = null;
+        }
+    }
+
+    /**
+     * Check if the view is showing
+     */
+    isOpen() {
+        return this.resolveClose !== null;
+    }
+
+    /**
+     * Run an action's callback, closing with its result
+     * Buttons are disabled while it runs; if it throws, the view stays open to retry
+     */
+    async runAction(action) {
+        const buttons = this.panel.querySelectorAll('.summary-actions button');
+        buttons.forEach(button => { button.disabled = true; });
+        if (action.busy) {
+            this.setStatus(action.busy);
+        }
+        
+        try {
+            const result = await action.run();
+            if (result) {
+                this.close(result);
+            } else if (action.busy) {
+                this.setStatus('');
+            }
+        } catch (error) {
+            console.error(`Error running "${action.label}":`, error);
+            this.setStatus(action.error || 'Something went wrong', 'error');
+        }
+        buttons.forEach(button => { button.disabled = false; });
+    }
+
+    /**
+     * Fill the panel from the summary and samples
+     */
+    render(summary, series, title) {
+        const labels = this.metrics.getUnitLabels();
+        const distance = summary.distanceMeters / this.metrics.getUnitMeters();
+        const peakCadence = series.samples.reduce((peak, sample) => Math.max(peak, sample.cadence), 0);
+        const ascent = this.metrics.units === 'metric' ? summary.ascentMeters : summary.ascentMeters * FEET_PER_METER;
+        
+        this.panel.innerHTML = `
+            <div class="settings-content summary-content">
+                <div class="settings-header">
+                    <div>
+                        <h2 id="summaryTitle"></h2>
+                        <div class="summary-trail" id="summaryTrail"></div>
+                    </div>
+                </div>
+                <div class="summary-body">
+                    <div class="summary-achievements" id="summaryAchievements"></div>
+                    <div class="summary-totals">
+                        ${this.renderTotal('Time', VideoLibrary.formatDuration(summary.duration) || '0:00')}
+                        ${this.renderTotal('Distance', `${distance.toFixed(2)} ${labels.distance}`)}
+                        ${this.renderTotal('Avg pace', `${this.metrics.formatPace(distance > 0 ? summary.duration / distance : null)} ${labels.pace}`)}
+                        ${this.renderTotal('Avg cadence', `${summary.avgBobsPerMinute} spm`)}
+                        ${this.renderTotal('Peak cadence', `${Math.round(peakCadence)} spm`)}
+                        ${this.renderTotal('Ascent', `${Math.round(ascent)} ${labels.ascent}`)}
+                    </div>
+                    
+                    <h3>Cadence</h3>
+                    <canvas class="summary-chart" id="summaryCadenceChart"></canvas>
+                    
+                    <h3>Magic &amp; Health</h3>
+                    <canvas class="summary-chart" id="summaryBarsChart"></canvas>
+                    <div class="summary-legend">
+                        <span style="color: ${this.colors.magic}">● Magic</span>
+                        <span style="color: ${this.colors.health}">● Health</span>
+                    </div>
+                    
+                    <h3>Splits</h3>
+                    <table class="summary-splits" id="summarySplits"></table>
+                    
+                    <h3>Collectibles</h3>
+                    <div class="summary-collectibles" id="summaryCollectibles"></div>
+                    
+                    <div class="summary-program" id="summaryProgram"></div>
+                </div>
+                <div class="summary-status" id="summaryStatus"></div>
+                <div class="summary-actions"></div>
+            </div>
+        `;
+        
+        // User-supplied text goes in as text
+        const trails = summary.trails.map(trail => trail.title || trail.videoId);
+        this.panel.querySelector('#summaryTrail').textContent = trails.join(' → ');
+        this.panel.querySelector('#summaryTitle').textContent = title;
+        
+        this.renderSplits(series.samples);
+        this.renderCollectibles(summary.gathered);
+        
+        if (summary.program) {
+            this.panel.querySelector('#summaryProgram').textContent =
+                `${summary.program.name}: ${summary.program.segmentsCompleted}/${summary.program.segments.length} segments, ${summary.program.compliance}% on target cadence`;
+        }
+    }
+
+    /**
+     * New personal records and badges, popping in one after another
+     */
+    renderAchievements(result) {
+        const container = this.panel.querySelector('#summaryAchievements');
+        const items = result ? [
+            ...result.records.map(record => ({
+                icon: record.icon,
+                title: `New record: ${record.label}`,
+                detail: `${Achievements.formatValue(record, record.value, this.metrics)} (was ${Achievements.formatValue(record, record.previous, this.metrics)})`
+            })),
+            ...result.badges.map(badge => ({
+                icon: badge.icon,
+                title: `Badge unlocked: ${badge.label}`,
+                detail: badge.description
+            }))
+        ] : [];
+        if (items.length === 0) return;
+        
+        container.innerHTML = '<h3>🏆 New achievements</h3>';
+        items.forEach((item, i) => {
+            const element = document.createElement('div');
+            element.className = 'summary-achievement';
+            element.style.animationDelay = `${0.3 + i * 0.4}s`;
+            element.innerHTML = `
+                <span class="summary-achievement-icon">${item.icon}</span>
+                <span>
+                    <strong>${item.title}</strong>
+                    <span class="summary-achievement-detail">${item.detail}</span>
+                </span>
+            `;
+            container.appendChild(element);
+        });
+        
+        const note = document.createElement('p');
+        note.className = 'summary-empty';
+        note.textContent = 'Save this workout to keep them.';
+        container.appendChild(note);
+    }
+
+    /**
+     * One total tile
+     */
+    renderTotal(label, value) {
+        return `
+            <div class="summary-total">
+                <span class="summary-total-value">${value}</span>
+                <span class="summary-total-label">${label}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Splits table: time and pace per mile or km
+     */
+    renderSplits(samples) {
+        const table = this.panel.querySelector('#summarySplits');
+        const labels = this.metrics.getUnitLabels();
+        const splits = WorkoutSampler.getSplits(samples, this.metrics.getUnitMeters());
+        
+        if (splits.length === 0) {
+            table.innerHTML = '<tr><td class="summary-empty">No distance recorded</td></tr>';
+            return;
+        }
+        
+        table.innerHTML = `<tr><th>${labels.distance}</th><th>Time</th><th>Pace</th></tr>`;
+        splits.forEach(split => {
+            const row = document.createElement('tr');
+            const name = split.partial
+                ? (split.meters / this.metrics.getUnitMeters()).toFixed(2)
+                : split.number;
+            row.innerHTML = `
+                <td>${name}</td>
+                <td>${VideoLibrary.formatDuration(split.seconds) || '0:00'}</td>
+                <td>${this.metrics.formatPace(split.pace)} ${labels.pace}</td>
+            `;
+            table.appendChild(row);
+        });
+    }
+
+    /**
+     * Collectibles gathered, by type
+     */
+    renderCollectibles(counts) {
+        const container = this.panel.querySelector('#summaryCollectibles');
+        const gathered = this.collectibleTypes.filter(type => counts[type.name] > 0);
+        
+        if (gathered.length === 0) {
+            container.innerHTML = '<span class="summary-empty">None this time</span>';
+            return;
+        }
+        
+        container.innerHTML = gathered.map(type => `
+            <span class="summary-collectible" title="${type.name}">${type.emoji} × ${counts[type.name]}</span>
+        `).join('');
+    }
+
+    /**
+     * Cadence, magic and health over time
+     */
+    drawCharts(samples) {
+        const points = column => samples.map(sample => [sample.t, sample[column]]);
+        
+        new LineChart(this.panel.querySelector('#summaryCadenceChart')).draw([
+            { points: points('cadence'), color: this.colors.cadence, label: 'Cadence' }
+        ], { min: 0 });
+        
+        new LineChart(this.panel.querySelector('#summaryBarsChart')).draw([
+            { points: points('magic'), color: this.colors.magic, label: 'Magic' },
+            { points: points('health'), color: this.colors.health, label: 'Health' }
+        ], { min: 0, max: 100 });
+    }
+
+    /**
+     * Share the workout as text (share sheet, or the clipboard)
+     */
+    async share(summary) {
+        const text = this.getShareText(summary);
+        
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Virtual Trail Run', text });
+            } else if (navigator.clipboard) {
+                await navigator.clipboard.writeText(text);
+                this.setStatus('Copied to clipboard', 'success');
+            } else {
+                this.setStatus('Sharing isn\'t available in this browser', 'error');
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error sharing workout:', error);
+                this.setStatus('Could not share your workout', 'error');
+            }
+        }
+    }
+
+    /**
+     * One-line description of the workout for sharing
+     */
+    getShareText(summary) {
+        const labels = this.metrics.getUnitLabels();
+        const distance = (summary.distanceMeters / this.metrics.getUnitMeters()).toFixed(2);
+        const time = VideoLibrary.formatDuration(summary.duration) || '0:00';
+        const trail = summary.videoTitle ? ` on ${summary.videoTitle}` : '';
+        const gathered = Object.values(summary.gathered).reduce((sum, count) => sum + count, 0);
+        return `🏃 I ran ${distance} ${labels.distance} in ${time}${trail} at ${summary.avgBobsPerMinute} spm` +
+            ` and gathered ${gathered} collectibles on Virtual Trail Run!`;
+    }
+
+    /**
+     * Show a status line above the buttons ('success', 'error' or neutral)
+     */
+    setStatus(text, type = '') {
+        const status = this.panel.querySelector('#summaryStatus');
+        status.textContent = text;
+        status.className = `summary-status ${type}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkoutSummaryView;
+}